@@ -90,6 +90,10 @@ class NavMenu extends HTMLElement {
           transition: all 0.3s ease;
         }
         
+        .nav-link[hidden] {
+          display: none;
+        }
+
         .nav-link:hover {
           color: var(--on-surface);
           background: var(--surface-container-high);
@@ -154,14 +158,62 @@ class NavMenu extends HTMLElement {
               <span class="nav-icon material-symbols-outlined">photo_library</span>
               <span>Gallery</span>
             </a>
-            <a href="/confirm" class="nav-link ${currentPath === '/confirm' ? 'active' : ''}">
+            <a href="/review" class="nav-link ${this.isActive('/review')}">
+              <span class="nav-icon material-symbols-outlined">rate_review</span>
+              <span>Review</span>
+            </a>
+            <a href="/uploads" class="nav-link ${this.isActive('/uploads')}" data-role="admin" hidden>
+              <span class="nav-icon material-symbols-outlined">cloud_upload</span>
+              <span>Uploads</span>
+            </a>
+            <a href="/analytics" class="nav-link ${this.isActive('/analytics')}" data-role="admin" hidden>
+              <span class="nav-icon material-symbols-outlined">monitoring</span>
+              <span>Analytics</span>
+            </a>
+            <a href="/confirm" class="nav-link ${currentPath === '/confirm' ? 'active' : ''}" data-role="admin" hidden>
               <span class="nav-icon material-symbols-outlined">send</span>
               <span>Send Email</span>
             </a>
+            <a href="/account" class="nav-link ${this.isActive('/account')}" id="nav-account" title="Account">
+              <span class="nav-icon material-symbols-outlined">account_circle</span>
+              <span id="nav-username">Account</span>
+            </a>
+            <a href="#" class="nav-link" id="nav-logout" title="Sign out" hidden>
+              <span class="nav-icon material-symbols-outlined">logout</span>
+            </a>
           </div>
         </div>
       </nav>
     `;
+
+    this.loadUser();
+  }
+
+  // Show the signed-in user and only the links their role can use
+  async loadUser() {
+    try {
+      const res = await fetch('/auth/me');
+      const { user, authDisabled } = await res.json();
+      if (!user) {
+        window.location.href = `/login?next=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+        return;
+      }
+      const roles = ['viewer', 'editor', 'admin'];
+      this.shadowRoot.querySelectorAll('[data-role]').forEach(link => {
+        link.hidden = roles.indexOf(user.role) < roles.indexOf(link.dataset.role);
+      });
+      this.shadowRoot.getElementById('nav-username').textContent = `${user.username} (${user.role})`;
+
+      const logout = this.shadowRoot.getElementById('nav-logout');
+      logout.hidden = authDisabled;
+      logout.addEventListener('click', async (event) => {
+        event.preventDefault();
+        await fetch('/auth/logout', { method: 'POST' });
+        window.location.href = '/login';
+      });
+    } catch (e) {
+      console.error('Could not load the signed-in user:', e);
+    }
   }
 }
 
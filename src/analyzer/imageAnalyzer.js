@@ -1,13 +1,15 @@
 /**
- * Image Analyzer & Idea Generator (Migrated to AI Builder Space API)
- * Uses AI Builder Chat API (OpenAI Compatible) to analyze images and generate design ideas
+ * Image Analyzer & Idea Generator
+ * Uses the shared chat client (stage "analyzer") to turn trend insights into design ideas.
+ * Each idea lists the trends it was built from (trendIds, the trend IDs in the run's trends.json).
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import https from 'https';
 import dotenv from 'dotenv';
+import { runFile, writeRunJson } from '../jobs/runArtifacts.js';
+import { chatCompletion, getChatSettings, isChatConfigured, parseJsonReply } from '../llm/chatClient.js';
 
 dotenv.config();
 
@@ -17,8 +19,6 @@ const rootDir = path.join(__dirname, '..', '..');
 
 const DATA_DIR = path.join(rootDir, 'data');
 const IMAGES_DIR = path.join(rootDir, 'downloaded_images');
-const API_BASE_URL = "https://space.ai-builders.com";
-const API_TOKEN = process.env.AI_BUILDER_TOKEN;
 
 /**
  * Convert image file to base64 for API
@@ -43,64 +43,12 @@ function getMimeType(filepath) {
     return mimeTypes[ext] || 'image/jpeg';
 }
 
-/**
- * Call AI Builder Chat API (OpenAI Compatible)
- */
-async function callChatApi(messages, jsonMode = true) {
-    if (!API_TOKEN) {
-        throw new Error("AI_BUILDER_TOKEN not found.");
-    }
-
-    return new Promise((resolve, reject) => {
-        const data = JSON.stringify({
-            model: "gpt-5", // Using 'gpt-5' alias from spec
-            messages: messages,
-            temperature: 0.7,
-            max_tokens: 4096, // Increased to avoid 'length' cut-off
-            response_format: { type: "json_object" }
-        });
-
-        const url = new URL(`${API_BASE_URL}/backend/v1/chat/completions`);
-        const options = {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${API_TOKEN}`,
-                'Content-Length': Buffer.byteLength(data)
-            },
-            rejectUnauthorized: false
-        };
-
-        const req = https.request(url, options, (res) => {
-            let body = '';
-            res.on('data', chunk => body += chunk);
-            res.on('end', () => {
-                if (res.statusCode >= 200 && res.statusCode < 300) {
-                    try {
-                        const json = JSON.parse(body);
-                        const content = json.choices?.[0]?.message?.content;
-                        if (!content) throw new Error("No content in API response");
-                        resolve(content);
-                    } catch (e) {
-                        reject(new Error(`Failed to parse API response: ${e.message}. Body: ${body.substring(0, 200)}...`));
-                    }
-                } else {
-                    reject(new Error(`API Error ${res.statusCode}: ${body}`));
-                }
-            });
-        });
-
-        req.on('error', (e) => reject(e));
-        req.write(data);
-        req.end();
-    });
-}
-
 /**
  * Analyze images and generate design ideas
  */
-async function analyzeAndGenerateIdeasInternal() {
-    console.log('\n🧠 Starting image analysis and idea generation (via AI Builder API)...');
+async function analyzeAndGenerateIdeasInternal({ signal, runId = null } = {}) {
+    const llm = getChatSettings('analyzer');
+    console.log(`\n🧠 Starting image analysis and idea generation (via ${llm.provider} / ${llm.model})...`);
 
     try {
         // Ensure data directory exists
@@ -108,14 +56,14 @@ async function analyzeAndGenerateIdeasInternal() {
             fs.mkdirSync(DATA_DIR, { recursive: true });
         }
 
-        // Check API key
-        if (!API_TOKEN) {
-            console.log('   ⚠️ AI_BUILDER_TOKEN not found. Using sample ideas...');
-            return generateSampleIdeas();
+        // Check LLM credentials
+        if (!isChatConfigured('analyzer')) {
+            console.log(`   ⚠️ LLM provider "${llm.provider}" is not configured. Using sample ideas...`);
+            return generateSampleIdeas(runId);
         }
 
         // Load Trend Data
-        const trendsPath = path.join(DATA_DIR, 'trends.json');
+        const trendsPath = runFile(runId, 'trends.json');
         let trendsData = [];
 
         if (fs.existsSync(trendsPath)) {
@@ -123,14 +71,15 @@ async function analyzeAndGenerateIdeasInternal() {
             console.log(`   📄 Loaded ${trendsData.length} trend insights.`);
         } else {
             console.log('   ⚠️ No trends.json found. Using samples.');
-            return generateSampleIdeas();
+            return generateSampleIdeas(runId);
         }
 
         console.log(`   🧠 Analyzing ALL trends to generate 5 unique ideas...`);
 
         // Prepare Context string
-        // Use ALL trends for maximum context
-        const context = trendsData.map(t => `- ${t.title}: ${t.content}`).join('\n');
+        // Use ALL trends for maximum context, numbered so each idea can say which ones it used
+        const trendIds = trendsData.map((t, i) => t.id ?? i + 1);
+        const context = trendsData.map((t, i) => `- [${trendIds[i]}] ${t.title}: ${t.content}`).join('\n');
 
         const jsonStructure = `
 {
@@ -142,7 +91,8 @@ async function analyzeAndGenerateIdeasInternal() {
         "colorScheme": "String", 
         "designElements": "String", 
         "mood": "String", 
-        "aiPrompt": "String" 
+        "aiPrompt": "String",
+        "trendIds": [1, 2]
       }
   ]
 }`;
@@ -157,24 +107,18 @@ async function analyzeAndGenerateIdeasInternal() {
             },
             {
                 role: "user",
-                content: `Here are diverse trending topics for 2024/2025:\n\n${context}\n\nSynthesize these inputs to generate 5 highly creative and distinct T-shirt design ideas. \n\nIMPORTANT requirements:\n1. Each idea must be significantly different from the others (different styles, moods, color palettes).\n2. Mix different trends together creatively.\n3. Return ONLY a valid JSON object matching this structure under the 'ideas' key.\n${jsonStructure}`
+                content: `Here are diverse trending topics for 2024/2025:\n\n${context}\n\nSynthesize these inputs to generate 5 highly creative and distinct T-shirt design ideas. \n\nIMPORTANT requirements:\n1. Each idea must be significantly different from the others (different styles, moods, color palettes).\n2. Mix different trends together creatively.\n3. In "trendIds", list the [numbers] of the trends each idea actually draws on.\n4. Return ONLY a valid JSON object matching this structure under the 'ideas' key.\n${jsonStructure}`
             }
         ];
 
         let generatedIdeas = [];
         try {
-            const responseText = await callChatApi(messages);
-            let jsonMatch = responseText.match(/\{[\s\S]*\}/);
-
-            if (jsonMatch) {
-                const parsed = JSON.parse(jsonMatch[0]);
-                if (parsed.ideas && Array.isArray(parsed.ideas)) {
-                    generatedIdeas = parsed.ideas;
-                } else {
-                    throw new Error("Invalid structure: missing 'ideas' array");
-                }
+            const responseText = await chatCompletion(messages, { stage: 'analyzer', json: true, signal });
+            const parsed = parseJsonReply(responseText);
+            if (parsed.ideas && Array.isArray(parsed.ideas)) {
+                generatedIdeas = parsed.ideas;
             } else {
-                throw new Error("No JSON found in response");
+                throw new Error("Invalid structure: missing 'ideas' array");
             }
         } catch (e) {
             console.log(`   ⚠️ Batch idea generation failed: ${e.message}`);
@@ -190,16 +134,23 @@ async function analyzeAndGenerateIdeasInternal() {
             throw new Error("Failed to generate any ideas");
         }
 
-        // Format results
-        generatedIdeas = generatedIdeas.map((idea, i) => ({
-            id: i + 1,
-            inspirationSource: 'Trend Analysis',
-            ...idea
-        }));
+        // Format results. Trend IDs the model made up are dropped; an idea left without any is
+        // credited to every trend of the run (see imageGenerator.js)
+        generatedIdeas = generatedIdeas.map((idea, i) => {
+            const used = Array.isArray(idea.trendIds)
+                ? [...new Set(idea.trendIds.map(Number))].filter(id => trendIds.includes(id))
+                : [];
+            return {
+                id: i + 1,
+                inspirationSource: 'Trend Analysis',
+                ...idea,
+                trendIds: used.length > 0 ? used : undefined
+            };
+        });
 
         if (generatedIdeas.length === 0) {
             console.log("   ⚠️ No ideas found in response. Using samples.");
-            return generateSampleIdeas();
+            return generateSampleIdeas(runId);
         }
 
         // Sanitize ideas to remove smart quotes/non-ASCII that might break downstream APIs
@@ -229,58 +180,62 @@ async function analyzeAndGenerateIdeasInternal() {
         // For now, just return what we have (or duplicated if needed, but let's stick to valid ones)
 
         // Save to file
-        const ideasPath = path.join(DATA_DIR, 'ideas.json');
-        fs.writeFileSync(ideasPath, JSON.stringify(generatedIdeas, null, 2));
+        writeRunJson(runId, 'ideas.json', generatedIdeas);
 
         return generatedIdeas;
     } catch (fatalError) {
+        // A cancelled run must stop here, not fall back to sample ideas
+        if (signal?.aborted) throw fatalError;
         console.log(`\n❌ Fatal error in Analyzer: ${fatalError.message}`);
         console.log(`   ⚠️ Switching to fallback: Generating sample ideas...`);
-        return generateSampleIdeas();
+        return generateSampleIdeas(runId);
     }
 }
 
 /**
  * Main Export - With Timeout Wrapper
+ * On timeout the chat request is aborted and sample ideas are used once the analysis has stopped.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the in-flight chat request (job cancellation)
+ * @param {string} [options.runId] - Read trends from / write ideas to data/runs/<runId>/ (default: data/)
  */
-export async function analyzeAndGenerateIdeas() {
+export async function analyzeAndGenerateIdeas(options = {}) {
     // 5 Minute Timeout
     const timeoutMs = 300000;
-    const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error(`Timeout of ${timeoutMs}ms exceeded`)), timeoutMs);
-    });
+    const timeout = new AbortController();
+    const timer = setTimeout(() => timeout.abort(new Error(`Timeout of ${timeoutMs}ms exceeded`)), timeoutMs);
+    const signal = options.signal ? AbortSignal.any([options.signal, timeout.signal]) : timeout.signal;
 
     try {
         console.log(`\n⏱️ Starting Analysis with ${timeoutMs / 1000}s timeout...`);
-        return await Promise.race([
-            analyzeAndGenerateIdeasInternal(),
-            timeoutPromise
-        ]);
+        return await analyzeAndGenerateIdeasInternal({ ...options, signal });
     } catch (error) {
-        console.log(`\n❌ Analyzer Failed or Timed Out: ${error.message}`);
-        return generateSampleIdeas();
+        if (options.signal?.aborted) throw error;
+        console.log(`\n❌ Analyzer Failed or Timed Out: ${(timeout.signal.reason || error).message}`);
+        return generateSampleIdeas(options.runId);
+    } finally {
+        clearTimeout(timer);
     }
 }
 
 /**
  * Restore demo ideas from preset assets
  */
-function restoreDemoIdeas() {
+function restoreDemoIdeas(runId = null) {
     const demoIdeasPath = path.join(DATA_DIR, 'demo_assets', 'ideas.json');
     if (fs.existsSync(demoIdeasPath)) {
         const ideas = JSON.parse(fs.readFileSync(demoIdeasPath, 'utf-8'));
-        const ideasPath = path.join(DATA_DIR, 'ideas.json');
-        fs.writeFileSync(ideasPath, JSON.stringify(ideas, null, 2));
+        writeRunJson(runId, 'ideas.json', ideas);
         console.log(`\n✅ Demo analysis complete! Loaded ${ideas.length} preset ideas.`);
         return ideas;
     }
-    return generateSampleIdeas();
+    return generateSampleIdeas(runId);
 }
 
 /**
  * Generate sample ideas when API is not available
  */
-function generateSampleIdeas() {
+function generateSampleIdeas(runId = null) {
     const sampleIdeas = [
         {
             title: "Cosmic Wanderer",
@@ -342,14 +297,13 @@ function generateSampleIdeas() {
             id: i + 1,
             inspirationSource: 'Sample Library',
             ...template,
+            trendIds: [], // Not based on any trend
             title: `${template.title} ${Math.ceil((i + 1) / 5)}`
         });
     }
 
     // Save ideas
-    if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-    const ideasPath = path.join(DATA_DIR, 'ideas.json');
-    fs.writeFileSync(ideasPath, JSON.stringify(ideas, null, 2));
+    writeRunJson(runId, 'ideas.json', ideas);
 
     console.log(`\n✅ Generated ${ideas.length} sample design ideas!`);
     return ideas;
@@ -0,0 +1,111 @@
+/**
+ * Authentication Middleware
+ * `authenticate` resolves req.user from an API token (Authorization: Bearer dai_...) or the session
+ * cookie and turns away anonymous requests (401 JSON for the API, a redirect to /login for pages).
+ * `requireRole(role)` guards routes that need more than viewer access.
+ *
+ * AUTH_DISABLED=true treats every request as a local admin — for single-user local development only,
+ * and refused when NODE_ENV=production (see assertAuthConfig).
+ */
+
+import { getUser, findUserByApiToken, hasRole, countUsers, createUser } from './userStore.js';
+import { getSession, readSessionCookie } from './sessions.js';
+import { isOidcConfigured } from './oidc.js';
+
+// Reachable without signing in (the login page itself, its assets and health checks)
+const PUBLIC_PATHS = new Set([
+    '/login', '/login.html', '/styles.css', '/favicon.ico', '/health', '/version',
+    '/auth/login', '/auth/logout', '/auth/me', '/auth/providers', '/auth/oidc/start', '/auth/oidc/callback'
+]);
+
+const LOCAL_ADMIN = { id: 'local', username: 'local', role: 'admin', tokens: [] };
+
+export function isAuthDisabled() {
+    return process.env.AUTH_DISABLED === 'true';
+}
+
+/**
+ * Check the auth settings at startup; creates the first admin from ADMIN_USERNAME / ADMIN_PASSWORD
+ * when there are no accounts yet
+ */
+export function assertAuthConfig() {
+    if (isAuthDisabled()) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('AUTH_DISABLED=true is not allowed when NODE_ENV=production');
+        }
+        console.log('   ⚠️ AUTH_DISABLED=true — every request is treated as an admin. Local development only.');
+        return;
+    }
+
+    if (countUsers() === 0 && process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD) {
+        createUser({ username: process.env.ADMIN_USERNAME, password: process.env.ADMIN_PASSWORD, role: 'admin' });
+        console.log(`   👤 Created admin account "${process.env.ADMIN_USERNAME}" from ADMIN_USERNAME / ADMIN_PASSWORD`);
+    }
+    if (countUsers() === 0 && !isOidcConfigured()) {
+        console.log('   ⚠️ No user accounts yet — set ADMIN_USERNAME / ADMIN_PASSWORD, configure OIDC_* or run `npm run users -- add <name> admin`');
+    }
+}
+
+function isApiRequest(req) {
+    return req.path.startsWith('/api/') || req.get('Accept')?.includes('application/json');
+}
+
+function sameOrigin(req) {
+    const origin = req.get('Origin');
+    if (!origin) return true;
+    try {
+        return new URL(origin).host === req.get('Host');
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Resolve the signed-in user (or null) without rejecting the request
+ */
+export function resolveUser(req) {
+    if (isAuthDisabled()) return LOCAL_ADMIN;
+
+    const authorization = req.get('Authorization') || '';
+    if (authorization.startsWith('Bearer ')) {
+        const user = findUserByApiToken(authorization.slice(7).trim());
+        if (user) req.authMethod = 'token';
+        return user;
+    }
+
+    const session = getSession(readSessionCookie(req));
+    if (!session) return null;
+    req.authMethod = 'session';
+    return getUser(session.userId);
+}
+
+export function authenticate(req, res, next) {
+    req.user = resolveUser(req);
+
+    // Cookie-authenticated writes must come from our own pages (SameSite=Lax covers most browsers)
+    if (req.authMethod === 'session' && !['GET', 'HEAD', 'OPTIONS'].includes(req.method) && !sameOrigin(req)) {
+        return res.status(403).json({ success: false, error: 'Cross-origin request refused' });
+    }
+
+    if (req.user || PUBLIC_PATHS.has(req.path)) return next();
+
+    if (isApiRequest(req)) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+}
+
+/**
+ * Only let users with at least `role` through (after `authenticate`)
+ */
+export function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user) return res.status(401).json({ success: false, error: 'Authentication required' });
+        if (!hasRole(req.user, role)) {
+            return res.status(403).json({ success: false, error: `This action requires the ${role} role` });
+        }
+        next();
+    };
+}
+
+export default { isAuthDisabled, assertAuthConfig, resolveUser, authenticate, requireRole };
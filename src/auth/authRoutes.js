@@ -0,0 +1,233 @@
+/**
+ * Auth Routes
+ * Login / logout (local accounts and OIDC), the current user, personal API tokens
+ * and admin user management. Mounted by the server after `authenticate`.
+ */
+
+import express from 'express';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    ROLES, publicUser, listUsers, getUser, createUser, updateUser, deleteUser,
+    verifyLogin, upsertOidcUser, createApiToken, revokeApiToken
+} from './userStore.js';
+import { createSession, destroySession, destroyUserSessions, readSessionCookie, setSessionCookie, clearSessionCookie } from './sessions.js';
+import { isOidcConfigured, buildAuthorizationUrl, completeLogin } from './oidc.js';
+import { isAuthDisabled, requireRole } from './authMiddleware.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.join(__dirname, '..', '..');
+
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const MAX_FAILED_LOGINS = 10;
+const MAX_TRACKED_LOGINS = 10000; // Oldest entries are dropped beyond this
+
+// "ip|username" -> { count, firstAt } of recent failed password logins. Keyed by both, so one
+// client guessing one account is stopped without locking out everyone behind the same address.
+const failedLogins = new Map();
+
+/**
+ * Only allow redirects back into this app ("/gallery", not "//evil.example" or "https://...")
+ */
+function safeNext(next) {
+    return typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') && !next.startsWith('/\\') ? next : '/dashboard';
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function loginKey(req, username) {
+    return `${req.ip}|${String(username || '').trim().toLowerCase().slice(0, 64)}`;
+}
+
+function isExpired(entry) {
+    return Date.now() - entry.firstAt > LOGIN_WINDOW_MS;
+}
+
+function tooManyFailures(key) {
+    const entry = failedLogins.get(key);
+    if (entry && isExpired(entry)) failedLogins.delete(key);
+    return (failedLogins.get(key)?.count || 0) >= MAX_FAILED_LOGINS;
+}
+
+function recordFailure(key) {
+    for (const [tracked, entry] of failedLogins) {
+        if (isExpired(entry)) failedLogins.delete(tracked);
+    }
+    const entry = failedLogins.get(key) || { count: 0, firstAt: Date.now() };
+    entry.count++;
+    failedLogins.delete(key);
+    failedLogins.set(key, entry);
+    // Map order is insertion order, so the first keys are the least recently failed
+    while (failedLogins.size > MAX_TRACKED_LOGINS) failedLogins.delete(failedLogins.keys().next().value);
+}
+
+function startSession(req, res, user) {
+    setSessionCookie(req, res, createSession(user.id));
+}
+
+export function createAuthRouter({ port }) {
+    const router = express.Router();
+
+    // ── Login pages ──
+
+    router.get('/login', (req, res) => {
+        if (req.user) return res.redirect(safeNext(req.query.next));
+        res.sendFile(path.join(rootDir, 'public', 'login.html'));
+    });
+
+    router.get('/account', (req, res) => {
+        res.sendFile(path.join(rootDir, 'public', 'account.html'));
+    });
+
+    router.get('/auth/providers', (req, res) => {
+        res.json({ success: true, local: true, oidc: isOidcConfigured(), authDisabled: isAuthDisabled() });
+    });
+
+    router.post('/auth/login', (req, res) => {
+        const { username, password, next } = req.body || {};
+        const key = loginKey(req, username);
+        if (tooManyFailures(key)) {
+            return res.status(429).json({ success: false, error: 'Too many failed logins — try again in 15 minutes' });
+        }
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ success: false, error: 'username and password are required' });
+        }
+
+        const user = verifyLogin(username, password);
+        if (!user) {
+            recordFailure(key);
+            console.log(`   🔒 Failed login for "${username.slice(0, 64)}" from ${req.ip}`);
+            return res.status(401).json({ success: false, error: 'Invalid username or password' });
+        }
+
+        failedLogins.delete(key);
+        startSession(req, res, user);
+        console.log(`   🔓 ${user.username} signed in (${user.role})`);
+        res.json({ success: true, user: publicUser(user), next: safeNext(next) });
+    });
+
+    router.post('/auth/logout', (req, res) => {
+        destroySession(readSessionCookie(req));
+        clearSessionCookie(req, res);
+        res.json({ success: true });
+    });
+
+    router.get('/auth/me', (req, res) => {
+        res.json({ success: true, user: publicUser(req.user), authDisabled: isAuthDisabled() });
+    });
+
+    // ── OIDC ──
+
+    router.get('/auth/oidc/start', async (req, res) => {
+        if (!isOidcConfigured()) return res.status(404).send('OIDC login is not configured');
+        try {
+            res.redirect(await buildAuthorizationUrl({ next: safeNext(req.query.next), port }));
+        } catch (error) {
+            console.error('OIDC start error:', error.message);
+            res.status(502).send(`<h2>❌ Could not reach the identity provider</h2><p>${escapeHtml(error.message)}</p><a href="/login">Back to login</a>`);
+        }
+    });
+
+    router.get('/auth/oidc/callback', async (req, res) => {
+        const { code, state, error } = req.query;
+        if (error) return res.status(400).send(`<h2>❌ Sign-in denied: ${escapeHtml(error)}</h2><a href="/login">Back to login</a>`);
+
+        try {
+            const { identity, next } = await completeLogin({ code, state, port });
+            const user = upsertOidcUser(identity);
+            startSession(req, res, user);
+            console.log(`   🔓 ${user.username} signed in via OIDC (${user.role})`);
+            res.redirect(safeNext(next));
+        } catch (err) {
+            console.error('OIDC callback error:', err.message);
+            res.status(400).send(`<h2>❌ Sign-in failed</h2><p>${escapeHtml(err.message)}</p><a href="/login">Back to login</a>`);
+        }
+    });
+
+    // ── Own account ──
+
+    router.post('/api/auth/password', (req, res) => {
+        const { currentPassword, newPassword } = req.body || {};
+        if (req.user.oidc || req.user.id === 'local') {
+            return res.status(400).json({ success: false, error: 'This account has no password' });
+        }
+        if (!verifyLogin(req.user.username, String(currentPassword || ''))) {
+            return res.status(400).json({ success: false, error: 'Current password is incorrect' });
+        }
+        try {
+            updateUser(req.user.id, { password: newPassword });
+            destroyUserSessions(req.user.id);
+            startSession(req, res, req.user);
+            res.json({ success: true });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.get('/api/auth/tokens', (req, res) => {
+        res.json({ success: true, tokens: publicUser(req.user).tokens });
+    });
+
+    router.post('/api/auth/tokens', (req, res) => {
+        if (!getUser(req.user.id)) return res.status(400).json({ success: false, error: 'API tokens need a real account' });
+        try {
+            const { token, info } = createApiToken(req.user.id, req.body?.name);
+            res.json({ success: true, token, info });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.delete('/api/auth/tokens/:tokenId', (req, res) => {
+        if (!revokeApiToken(req.user.id, req.params.tokenId)) {
+            return res.status(404).json({ success: false, error: 'Token not found' });
+        }
+        res.json({ success: true });
+    });
+
+    // ── User management (admin) ──
+
+    router.get('/api/users', requireRole('admin'), (req, res) => {
+        res.json({ success: true, roles: ROLES, users: listUsers() });
+    });
+
+    router.post('/api/users', requireRole('admin'), (req, res) => {
+        try {
+            const { username, password, role, email, name } = req.body || {};
+            res.json({ success: true, user: createUser({ username, password, role, email, name }) });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.patch('/api/users/:id', requireRole('admin'), (req, res) => {
+        const { role, password } = req.body || {};
+        if (req.params.id === req.user.id && role && role !== 'admin') {
+            return res.status(400).json({ success: false, error: 'You cannot remove your own admin role' });
+        }
+        try {
+            const user = updateUser(req.params.id, { role, password });
+            if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+            if (password !== undefined) destroyUserSessions(req.params.id);
+            res.json({ success: true, user });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.delete('/api/users/:id', requireRole('admin'), (req, res) => {
+        if (req.params.id === req.user.id) {
+            return res.status(400).json({ success: false, error: 'You cannot delete your own account' });
+        }
+        if (!deleteUser(req.params.id)) return res.status(404).json({ success: false, error: 'User not found' });
+        destroyUserSessions(req.params.id);
+        res.json({ success: true });
+    });
+
+    return router;
+}
+
+export default { createAuthRouter };
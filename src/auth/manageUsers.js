@@ -0,0 +1,99 @@
+/**
+ * User Management CLI
+ * `npm run users -- <command>`:
+ *   list                          List accounts and their roles
+ *   add <username> <role>         Create a local account (viewer | editor | admin)
+ *   role <username> <role>        Change a role
+ *   passwd <username>             Set a new password
+ *   remove <username>             Delete an account
+ *   token <username> <name>       Create an API token for scripts (printed once)
+ * Passwords are read from USER_PASSWORD or prompted for.
+ */
+
+import readline from 'readline';
+import {
+    ROLES, listUsers, findUserByUsername, createUser, updateUser, deleteUser, createApiToken
+} from './userStore.js';
+import { destroyUserSessions } from './sessions.js';
+
+function usage() {
+    console.log('\nUsage: npm run users -- <command>');
+    console.log('  list');
+    console.log(`  add <username> <${ROLES.join('|')}>`);
+    console.log(`  role <username> <${ROLES.join('|')}>`);
+    console.log('  passwd <username>');
+    console.log('  remove <username>');
+    console.log('  token <username> <token name>\n');
+    process.exit(1);
+}
+
+async function readPassword() {
+    if (process.env.USER_PASSWORD) return process.env.USER_PASSWORD;
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const password = await new Promise(resolve => rl.question('Password (min. 10 characters): ', resolve));
+    rl.close();
+    return password;
+}
+
+function requireUser(username) {
+    const user = findUserByUsername(username);
+    if (!user) throw new Error(`User "${username}" not found`);
+    return user;
+}
+
+async function main() {
+    const [command, username, ...rest] = process.argv.slice(2);
+
+    switch (command) {
+        case 'list': {
+            const users = listUsers();
+            if (users.length === 0) console.log('No users yet.');
+            users.forEach(user => {
+                console.log(`  ${user.username.padEnd(30)} ${user.role.padEnd(7)} ${user.provider.padEnd(6)} tokens: ${user.tokens.length}`);
+            });
+            break;
+        }
+        case 'add': {
+            if (!username || !rest[0]) usage();
+            const user = createUser({ username, role: rest[0], password: await readPassword() });
+            console.log(`✅ Created ${user.role} "${user.username}"`);
+            break;
+        }
+        case 'role': {
+            if (!username || !rest[0]) usage();
+            updateUser(requireUser(username).id, { role: rest[0] });
+            console.log(`✅ ${username} is now ${rest[0]}`);
+            break;
+        }
+        case 'passwd': {
+            if (!username) usage();
+            const user = requireUser(username);
+            updateUser(user.id, { password: await readPassword() });
+            destroyUserSessions(user.id);
+            console.log(`✅ Password changed for ${username} (existing sessions signed out)`);
+            break;
+        }
+        case 'remove': {
+            if (!username) usage();
+            const user = requireUser(username);
+            deleteUser(user.id);
+            destroyUserSessions(user.id);
+            console.log(`✅ Removed ${username}`);
+            break;
+        }
+        case 'token': {
+            if (!username || rest.length === 0) usage();
+            const { token } = createApiToken(requireUser(username).id, rest.join(' '));
+            console.log(`✅ API token for ${username} (shown once — store it now):\n\n   ${token}\n`);
+            console.log('   Use it as: Authorization: Bearer <token>');
+            break;
+        }
+        default:
+            usage();
+    }
+}
+
+main().catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,141 @@
+/**
+ * OpenID Connect Login
+ * Authorization code flow with PKCE against any OIDC provider (Google, Okta, Auth0, Keycloak, ...).
+ * Configure OIDC_ISSUER, OIDC_CLIENT_ID and OIDC_CLIENT_SECRET; the redirect URI defaults to
+ * {BASE_URL}/auth/oidc/callback.
+ *
+ * Roles come from the verified email address: OIDC_ADMIN_EMAILS / OIDC_EDITOR_EMAILS (comma-separated,
+ * "@example.com" matches a whole domain), everyone else gets OIDC_DEFAULT_ROLE (default viewer).
+ * An email counts as verified only when the ID token has email_verified: true.
+ *
+ * The ID token is received directly from the token endpoint over a verified TLS connection, so its
+ * signature isn't checked (OpenID Connect Core 3.1.3.7); issuer, audience, expiry and nonce are.
+ */
+
+import crypto from 'crypto';
+import { requestJson } from '../http/httpClient.js';
+import { ROLES } from './userStore.js';
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// state -> { codeVerifier, nonce, next, createdAt }
+const pendingLogins = new Map();
+let discovery = null;
+
+export function isOidcConfigured() {
+    return Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID && process.env.OIDC_CLIENT_SECRET);
+}
+
+function issuer() {
+    return process.env.OIDC_ISSUER.replace(/\/$/, '');
+}
+
+function redirectUri(port) {
+    const baseUrl = process.env.BASE_URL || `http://localhost:${port}`;
+    return process.env.OIDC_REDIRECT_URI || `${baseUrl}/auth/oidc/callback`;
+}
+
+async function getDiscovery() {
+    if (!discovery) discovery = await requestJson(`${issuer()}/.well-known/openid-configuration`);
+    return discovery;
+}
+
+function listSetting(name) {
+    return (process.env[name] || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+function emailMatches(email, patterns) {
+    return patterns.some(pattern => pattern.startsWith('@') ? email.endsWith(pattern) : email === pattern);
+}
+
+/**
+ * Role for a verified email address
+ */
+export function roleForEmail(email) {
+    const address = String(email || '').toLowerCase();
+    if (address && emailMatches(address, listSetting('OIDC_ADMIN_EMAILS'))) return 'admin';
+    if (address && emailMatches(address, listSetting('OIDC_EDITOR_EMAILS'))) return 'editor';
+    const fallback = process.env.OIDC_DEFAULT_ROLE || 'viewer';
+    return ROLES.includes(fallback) ? fallback : 'viewer';
+}
+
+/**
+ * Provider URL to send the browser to; `next` is the local path to return to after login
+ */
+export async function buildAuthorizationUrl({ next = '/', port } = {}) {
+    const config = await getDiscovery();
+    const state = crypto.randomBytes(16).toString('base64url');
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    for (const [key, value] of pendingLogins) {
+        if (Date.now() - value.createdAt > STATE_TTL_MS) pendingLogins.delete(key);
+    }
+    pendingLogins.set(state, { codeVerifier, nonce, next, createdAt: Date.now() });
+
+    const url = new URL(config.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', process.env.OIDC_CLIENT_ID);
+    url.searchParams.set('redirect_uri', redirectUri(port));
+    url.searchParams.set('scope', process.env.OIDC_SCOPES || 'openid email profile');
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+    return url.toString();
+}
+
+function decodeJwtPayload(token) {
+    const payload = String(token || '').split('.')[1];
+    if (!payload) throw new Error('Missing ID token in token response');
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+}
+
+/**
+ * Finish the login from the callback query; resolves { identity, next }
+ * where identity is { issuer, subject, email, name, role }
+ */
+export async function completeLogin({ code, state, port }) {
+    const pending = pendingLogins.get(state);
+    pendingLogins.delete(state);
+    if (!code || !pending || Date.now() - pending.createdAt > STATE_TTL_MS) {
+        throw new Error('Login session expired or invalid — please sign in again');
+    }
+
+    const config = await getDiscovery();
+    const credentials = Buffer.from(
+        `${encodeURIComponent(process.env.OIDC_CLIENT_ID)}:${encodeURIComponent(process.env.OIDC_CLIENT_SECRET)}`
+    ).toString('base64');
+    const tokens = await requestJson(config.token_endpoint, {
+        form: {
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: redirectUri(port),
+            code_verifier: pending.codeVerifier
+        },
+        headers: { 'Authorization': `Basic ${credentials}` }
+    });
+
+    const claims = decodeJwtPayload(tokens.id_token);
+    const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (claims.iss?.replace(/\/$/, '') !== issuer()) throw new Error('ID token issuer mismatch');
+    if (!audience.includes(process.env.OIDC_CLIENT_ID)) throw new Error('ID token audience mismatch');
+    if (!claims.exp || claims.exp * 1000 < Date.now()) throw new Error('ID token expired');
+    if (claims.nonce !== pending.nonce) throw new Error('ID token nonce mismatch');
+
+    // Only trust the email for role mapping once the provider says it is verified (a missing claim is not enough)
+    const email = claims.email && claims.email_verified === true ? claims.email : null;
+    return {
+        identity: {
+            issuer: issuer(),
+            subject: String(claims.sub),
+            email,
+            name: claims.name || null,
+            role: roleForEmail(email)
+        },
+        next: pending.next
+    };
+}
+
+export default { isOidcConfigured, roleForEmail, buildAuthorizationUrl, completeLogin };
@@ -0,0 +1,138 @@
+/**
+ * Login Sessions
+ * Server-side sessions referenced by an HttpOnly, SameSite=Lax cookie. Only a SHA-256 of the
+ * session ID is stored (data/sessions.json), so a leaked file can't be replayed as a cookie.
+ * Sessions last SESSION_TTL_HOURS (default 168 = 7 days) and survive restarts.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.join(__dirname, '..', '..');
+
+const SESSIONS_PATH = path.join(rootDir, 'data', 'sessions.json');
+export const SESSION_COOKIE = 'dai_session';
+
+let sessions = null;
+let loadedStamp = null; // mtime + size of the file `sessions` was read from
+
+function ttlMs() {
+    return (Number(process.env.SESSION_TTL_HOURS) || 168) * 60 * 60 * 1000;
+}
+
+function fileStamp() {
+    if (!fs.existsSync(SESSIONS_PATH)) return null;
+    const { mtimeMs, size } = fs.statSync(SESSIONS_PATH);
+    return `${mtimeMs}:${size}`;
+}
+
+/**
+ * The sessions, re-read whenever the file changed on disk (`npm run users` ends sessions from
+ * another process)
+ */
+function load() {
+    const stamp = fileStamp();
+    if (sessions && stamp === loadedStamp) return sessions;
+    sessions = stamp ? JSON.parse(fs.readFileSync(SESSIONS_PATH, 'utf-8')) : {};
+    loadedStamp = stamp;
+    return sessions;
+}
+
+function save() {
+    // Drop expired sessions on every write
+    const now = Date.now();
+    for (const [key, session] of Object.entries(sessions)) {
+        if (session.expiresAt < now) delete sessions[key];
+    }
+    fs.mkdirSync(path.dirname(SESSIONS_PATH), { recursive: true });
+    fs.writeFileSync(`${SESSIONS_PATH}.tmp`, JSON.stringify(sessions, null, 2), { mode: 0o600 });
+    fs.renameSync(`${SESSIONS_PATH}.tmp`, SESSIONS_PATH);
+    loadedStamp = fileStamp();
+}
+
+function sessionKey(sessionId) {
+    return crypto.createHash('sha256').update(sessionId).digest('hex');
+}
+
+/**
+ * Start a session for a user; resolves the session ID to put in the cookie
+ */
+export function createSession(userId) {
+    load();
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    sessions[sessionKey(sessionId)] = { userId, createdAt: Date.now(), expiresAt: Date.now() + ttlMs() };
+    save();
+    return sessionId;
+}
+
+/**
+ * The live session for a cookie value, or null
+ */
+export function getSession(sessionId) {
+    if (typeof sessionId !== 'string' || !sessionId) return null;
+    const session = load()[sessionKey(sessionId)];
+    return session && session.expiresAt > Date.now() ? session : null;
+}
+
+export function destroySession(sessionId) {
+    if (typeof sessionId !== 'string' || !sessionId) return;
+    const key = sessionKey(sessionId);
+    if (load()[key]) {
+        delete sessions[key];
+        save();
+    }
+}
+
+/**
+ * End every session of a user (after deletion or a password change)
+ */
+export function destroyUserSessions(userId) {
+    load();
+    for (const [key, session] of Object.entries(sessions)) {
+        if (session.userId === userId) delete sessions[key];
+    }
+    save();
+}
+
+/**
+ * Read the session ID from the request's Cookie header
+ */
+export function readSessionCookie(req) {
+    for (const part of String(req.headers.cookie || '').split(';')) {
+        const [name, ...value] = part.trim().split('=');
+        if (name !== SESSION_COOKIE) continue;
+        try {
+            return decodeURIComponent(value.join('='));
+        } catch (e) {
+            return null; // Malformed cookie: treat as signed out
+        }
+    }
+    return null;
+}
+
+function isHttps(req) {
+    return req.secure || req.headers['x-forwarded-proto'] === 'https';
+}
+
+export function setSessionCookie(req, res, sessionId) {
+    res.cookie(SESSION_COOKIE, sessionId, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: isHttps(req),
+        maxAge: ttlMs(),
+        path: '/'
+    });
+}
+
+export function clearSessionCookie(req, res) {
+    res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'lax', secure: isHttps(req), path: '/' });
+}
+
+export default {
+    SESSION_COOKIE, createSession, getSession, destroySession, destroyUserSessions,
+    readSessionCookie, setSessionCookie, clearSessionCookie
+};
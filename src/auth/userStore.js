@@ -0,0 +1,273 @@
+/**
+ * User Store
+ * Accounts and roles for the web app / API, kept in data/users.json:
+ * - local accounts (scrypt password hashes) and OIDC accounts (linked by issuer + subject)
+ * - per-user API tokens for scripts; only a SHA-256 of each token is stored, the token itself
+ *   is shown once when it is created
+ *
+ * Roles are ordered: viewer (browse) < editor (run workflows, review designs) < admin (Etsy, email, debug).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.join(__dirname, '..', '..');
+
+const USERS_PATH = path.join(rootDir, 'data', 'users.json');
+const SCRYPT_KEYLEN = 64;
+const TOKEN_PREFIX = 'dai_';
+const MIN_PASSWORD_LENGTH = 10;
+
+export const ROLES = ['viewer', 'editor', 'admin'];
+
+let users = null;
+let loadedStamp = null; // mtime + size of the file `users` was read from
+
+function fileStamp() {
+    if (!fs.existsSync(USERS_PATH)) return null;
+    const { mtimeMs, size } = fs.statSync(USERS_PATH);
+    return `${mtimeMs}:${size}`;
+}
+
+/**
+ * The accounts, re-read whenever the file changed on disk — `npm run users` edits it while the
+ * server runs, and a stale copy must not be written back over those changes
+ */
+function load() {
+    const stamp = fileStamp();
+    if (users && stamp === loadedStamp) return users;
+    users = stamp ? JSON.parse(fs.readFileSync(USERS_PATH, 'utf-8')).users || [] : [];
+    loadedStamp = stamp;
+    return users;
+}
+
+function save() {
+    fs.mkdirSync(path.dirname(USERS_PATH), { recursive: true });
+    fs.writeFileSync(`${USERS_PATH}.tmp`, JSON.stringify({ users }, null, 2), { mode: 0o600 });
+    fs.renameSync(`${USERS_PATH}.tmp`, USERS_PATH);
+    loadedStamp = fileStamp();
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+}
+
+/**
+ * Whether `user` has at least `role`
+ */
+export function hasRole(user, role) {
+    return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function validateRole(role) {
+    if (!ROLES.includes(role)) throw new Error(`Invalid role "${role}" (expected one of: ${ROLES.join(', ')})`);
+}
+
+/**
+ * User without secrets, safe to return from the API
+ */
+export function publicUser(user) {
+    if (!user) return null;
+    return {
+        id: user.id,
+        username: user.username,
+        email: user.email || null,
+        name: user.name || null,
+        role: user.role,
+        provider: user.oidc ? 'oidc' : 'local',
+        createdAt: user.createdAt,
+        lastLoginAt: user.lastLoginAt || null,
+        tokens: (user.tokens || []).map(({ hash, ...token }) => token)
+    };
+}
+
+// ── Passwords ──────────────────────────────────────────────────────────────────
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function checkPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const actual = crypto.scryptSync(password, salt, SCRYPT_KEYLEN);
+    return crypto.timingSafeEqual(actual, Buffer.from(hash, 'hex'));
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+}
+
+// ── Users ──────────────────────────────────────────────────────────────────────
+
+export function listUsers() {
+    return load().map(publicUser);
+}
+
+export function countUsers() {
+    return load().length;
+}
+
+export function getUser(id) {
+    return load().find(user => user.id === id) || null;
+}
+
+export function findUserByUsername(username) {
+    return load().find(user => user.username === normalizeUsername(username)) || null;
+}
+
+/**
+ * Create a local account
+ */
+export function createUser({ username, password, role = 'viewer', email = null, name = null }) {
+    const key = normalizeUsername(username);
+    if (!/^[a-z0-9._@-]{2,64}$/.test(key)) {
+        throw new Error('Username must be 2-64 characters of letters, digits, ".", "_", "-" or "@"');
+    }
+    validateRole(role);
+    validatePassword(password);
+    if (load().some(user => user.username === key)) throw new Error(`User "${key}" already exists`);
+
+    const user = {
+        id: crypto.randomUUID(),
+        username: key,
+        email,
+        name,
+        role,
+        passwordHash: hashPassword(password),
+        tokens: [],
+        createdAt: new Date().toISOString()
+    };
+    users.push(user);
+    save();
+    return publicUser(user);
+}
+
+/**
+ * Change a user's role and / or password
+ */
+export function updateUser(id, { role, password } = {}) {
+    const user = getUser(id);
+    if (!user) return null;
+    if (role !== undefined) {
+        validateRole(role);
+        user.role = role;
+    }
+    if (password !== undefined) {
+        if (user.oidc) throw new Error('OIDC accounts sign in through the identity provider and have no password');
+        validatePassword(password);
+        user.passwordHash = hashPassword(password);
+    }
+    save();
+    return publicUser(user);
+}
+
+export function deleteUser(id) {
+    const before = load().length;
+    users = users.filter(user => user.id !== id);
+    if (users.length === before) return false;
+    save();
+    return true;
+}
+
+/**
+ * Check a local username / password; resolves the user or null
+ */
+export function verifyLogin(username, password) {
+    const user = findUserByUsername(username);
+    // Hash anyway for unknown users so response time doesn't reveal which usernames exist
+    const valid = checkPassword(String(password || ''), user?.passwordHash || `scrypt$${'0'.repeat(32)}$${'0'.repeat(SCRYPT_KEYLEN * 2)}`);
+    if (!user || !user.passwordHash || !valid) return null;
+    user.lastLoginAt = new Date().toISOString();
+    save();
+    return user;
+}
+
+/**
+ * Find or create the account for an OIDC identity. `role` is the minimum role the identity
+ * gets from configuration; a role granted by an admin is kept if it is higher.
+ */
+export function upsertOidcUser({ issuer, subject, email, name, role }) {
+    validateRole(role);
+    let user = load().find(u => u.oidc?.issuer === issuer && u.oidc?.subject === subject);
+    if (!user) {
+        const base = normalizeUsername(email || `oidc-${subject}`).replace(/[^a-z0-9._@-]/g, '-');
+        const taken = new Set(users.map(u => u.username));
+        let username = base;
+        for (let i = 2; taken.has(username); i++) username = `${base}-${i}`;
+        user = { id: crypto.randomUUID(), username, role, oidc: { issuer, subject }, tokens: [], createdAt: new Date().toISOString() };
+        users.push(user);
+    } else if (!hasRole(user, role)) {
+        user.role = role;
+    }
+    user.email = email || null;
+    user.name = name || null;
+    user.lastLoginAt = new Date().toISOString();
+    save();
+    return user;
+}
+
+// ── API tokens ─────────────────────────────────────────────────────────────────
+
+/**
+ * Create an API token for a user. Resolves { token, info } — `token` is only returned here.
+ */
+export function createApiToken(userId, name) {
+    const user = getUser(userId);
+    if (!user) return null;
+    const label = String(name || '').trim().slice(0, 100);
+    if (!label) throw new Error('Token name is required');
+
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const info = { id: crypto.randomUUID(), name: label, prefix: token.slice(0, 10), createdAt: new Date().toISOString(), lastUsedAt: null };
+    user.tokens = [...(user.tokens || []), { ...info, hash: sha256(token) }];
+    save();
+    return { token, info };
+}
+
+export function revokeApiToken(userId, tokenId) {
+    const user = getUser(userId);
+    if (!user) return false;
+    const before = (user.tokens || []).length;
+    user.tokens = (user.tokens || []).filter(token => token.id !== tokenId);
+    if (user.tokens.length === before) return false;
+    save();
+    return true;
+}
+
+/**
+ * Resolve the user owning an API token, or null
+ */
+export function findUserByApiToken(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+    const hash = sha256(token);
+    for (const user of load()) {
+        const match = (user.tokens || []).find(t => t.hash === hash);
+        if (match) {
+            // Record usage at most once a minute to avoid a write per request
+            if (!match.lastUsedAt || Date.now() - Date.parse(match.lastUsedAt) > 60000) {
+                match.lastUsedAt = new Date().toISOString();
+                save();
+            }
+            return user;
+        }
+    }
+    return null;
+}
+
+export default {
+    ROLES, hasRole, publicUser, listUsers, countUsers, getUser, findUserByUsername, createUser, updateUser, deleteUser,
+    verifyLogin, upsertOidcUser, createApiToken, revokeApiToken, findUserByApiToken
+};
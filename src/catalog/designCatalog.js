@@ -0,0 +1,433 @@
+/**
+ * Design Catalog
+ * Every generated design (source idea, prompt, trend lineage, run ID, status, review state, Etsy listing ID,
+ * earlier image versions) is stored in an append-only log (data/catalog/designs.jsonl) with a small index of byte offsets
+ * and filter/sort fields (data/catalog/index.json). Queries filter and sort the index and only
+ * read the records of the requested page. Replaces the old ever-growing history.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.join(__dirname, '..', '..');
+
+const CATALOG_DIR = path.join(rootDir, 'data', 'catalog');
+const LOG_PATH = path.join(CATALOG_DIR, 'designs.jsonl');
+const INDEX_PATH = path.join(CATALOG_DIR, 'index.json');
+const LEGACY_HISTORY_PATH = path.join(rootDir, 'data', 'history.json');
+
+const INDEX_VERSION = 3; // Bump when indexFields() changes so old indexes get rebuilt
+const READ_CHUNK_SIZE = 1024 * 1024;
+const COMPACT_MIN_STALE = 500; // Rewrite the log once superseded lines outnumber live ones (and exceed this)
+
+export const SORTS = ['newest', 'oldest', 'title'];
+
+// Review states; only approved and favourite designs are published to Etsy
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'favourite'];
+export const PUBLISHABLE_REVIEW_STATUSES = ['approved', 'favourite'];
+
+// In-memory index: { logSize, nextSeq, stale, entries: Map(id -> entry) }
+let index = null;
+
+/**
+ * The fields kept in the index for filtering and sorting (never the full record)
+ */
+function indexFields(record) {
+    return {
+        runId: record.runId || null,
+        title: record.title || '',
+        description: record.description || '',
+        style: record.style || '',
+        mood: record.mood || '',
+        status: record.status,
+        reviewStatus: record.reviewStatus || 'pending',
+        etsyListingId: record.etsyListingId || null,
+        createdAt: record.createdAt
+    };
+}
+
+function logSize() {
+    return fs.existsSync(LOG_PATH) ? fs.statSync(LOG_PATH).size : 0;
+}
+
+function saveIndex() {
+    const data = {
+        version: INDEX_VERSION,
+        logSize: index.logSize,
+        nextSeq: index.nextSeq,
+        stale: index.stale,
+        entries: [...index.entries.values()]
+    };
+    fs.writeFileSync(`${INDEX_PATH}.tmp`, JSON.stringify(data));
+    fs.renameSync(`${INDEX_PATH}.tmp`, INDEX_PATH);
+}
+
+/**
+ * Call `onLine(line, offset, length)` for every line of the log, reading it in chunks
+ */
+function scanLog(onLine) {
+    if (!fs.existsSync(LOG_PATH)) return;
+    const fd = fs.openSync(LOG_PATH, 'r');
+    try {
+        const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+        let carry = Buffer.alloc(0);
+        let carryOffset = 0;
+        let position = 0;
+        let bytesRead;
+        while ((bytesRead = fs.readSync(fd, buffer, 0, READ_CHUNK_SIZE, position)) > 0) {
+            position += bytesRead;
+            const data = Buffer.concat([carry, buffer.subarray(0, bytesRead)]);
+            let start = 0;
+            let newline;
+            while ((newline = data.indexOf(10, start)) !== -1) {
+                if (newline > start) onLine(data.toString('utf-8', start, newline), carryOffset + start, newline - start);
+                start = newline + 1;
+            }
+            carry = Buffer.from(data.subarray(start));
+            carryOffset += start;
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Rebuild the index from the log (the index is missing, corrupt or behind the log)
+ */
+function rebuildIndex() {
+    index = { logSize: 0, nextSeq: 1, stale: 0, entries: new Map() };
+    scanLog((line, offset, length) => {
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (e) {
+            console.log(`   ⚠️ Skipping unreadable catalog line at byte ${offset}`);
+            return;
+        }
+        const previous = index.entries.get(record.id);
+        if (previous) index.stale++;
+        index.entries.set(record.id, {
+            id: record.id,
+            seq: previous?.seq || index.nextSeq++,
+            offset,
+            length,
+            ...indexFields(record)
+        });
+    });
+    index.logSize = logSize();
+    saveIndex();
+    if (index.entries.size > 0) console.log(`   📚 Rebuilt design catalog index (${index.entries.size} designs)`);
+}
+
+function loadIndex() {
+    // The CLI workflow may have appended designs since we last looked
+    if (index && index.logSize === logSize()) return index;
+    index = null;
+    if (!fs.existsSync(CATALOG_DIR)) fs.mkdirSync(CATALOG_DIR, { recursive: true });
+
+    if (fs.existsSync(INDEX_PATH)) {
+        try {
+            const data = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf-8'));
+            if (data.version === INDEX_VERSION && data.logSize === logSize()) {
+                index = {
+                    logSize: data.logSize,
+                    nextSeq: data.nextSeq,
+                    stale: data.stale || 0,
+                    entries: new Map(data.entries.map(entry => [entry.id, entry]))
+                };
+            }
+        } catch (e) {
+            console.log(`   ⚠️ Failed to parse catalog index, rebuilding: ${e.message}`);
+        }
+    }
+    if (!index) rebuildIndex();
+
+    if (index.entries.size === 0) migrateLegacyHistory();
+    return index;
+}
+
+function readRecord(entry) {
+    const fd = fs.openSync(LOG_PATH, 'r');
+    try {
+        const buffer = Buffer.alloc(entry.length);
+        fs.readSync(fd, buffer, 0, entry.length, entry.offset);
+        // Designs stored before review states existed are pending
+        return { reviewStatus: 'pending', ...JSON.parse(buffer.toString('utf-8')) };
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Append records to the log and point the index at them (caller saves the index)
+ */
+function appendRecords(records) {
+    if (records.length === 0) return;
+    let offset = logSize();
+    const lines = records.map(record => {
+        const line = JSON.stringify(record);
+        const length = Buffer.byteLength(line);
+        const previous = index.entries.get(record.id);
+        if (previous) index.stale++;
+        index.entries.set(record.id, {
+            id: record.id,
+            seq: previous?.seq || index.nextSeq++,
+            offset,
+            length,
+            ...indexFields(record)
+        });
+        offset += length + 1;
+        return line + '\n';
+    });
+    fs.appendFileSync(LOG_PATH, lines.join(''));
+    index.logSize = logSize();
+}
+
+function normalizeDesign(design) {
+    const now = new Date().toISOString();
+    const createdAt = design.createdAt
+        || (design.timestamp ? new Date(design.timestamp).toISOString() : now);
+    return {
+        id: String(design.id),
+        runId: design.runId || null,
+        title: design.title || 'Untitled design',
+        description: design.description || '',
+        style: design.style || '',
+        colorScheme: design.colorScheme || design.idea?.colorScheme || '',
+        mood: design.mood || design.idea?.mood || '',
+        imagePath: design.imagePath,
+        prompt: design.prompt || null,
+        provider: design.provider || null,
+        idea: design.idea || null,
+        trends: design.trends || [],
+        trendAttribution: design.trendAttribution || 'run', // idea: the trends the idea drew on; run: every trend of its run
+        status: design.status || (design.description === 'Generation Failed' ? 'failed' : 'generated'),
+        reviewStatus: design.reviewStatus || 'pending',
+        reviewedAt: design.reviewedAt || null,
+        etsyListingId: design.etsyListingId || null,
+        listingCopy: design.listingCopy || null, // SEO title, description, tags and alt text (listingCopy.js)
+        version: design.version || 1,
+        variants: design.variants || [], // Earlier versions, oldest first
+        regeneratedAt: design.regeneratedAt || null,
+        createdAt,
+        updatedAt: now
+    };
+}
+
+/**
+ * One-time import of data/history.json into an empty catalog (history is newest first)
+ */
+function migrateLegacyHistory() {
+    if (!fs.existsSync(LEGACY_HISTORY_PATH)) return;
+    let history;
+    try {
+        history = JSON.parse(fs.readFileSync(LEGACY_HISTORY_PATH, 'utf-8'));
+    } catch (e) {
+        console.log(`   ⚠️ Failed to parse history.json, nothing migrated: ${e.message}`);
+        return;
+    }
+    if (!Array.isArray(history) || history.length === 0) return;
+
+    // Entries without a timestamp inherit the one of the (older) design listed after them
+    const timestamps = [];
+    for (let i = history.length - 1, last = 1; i >= 0; i--) {
+        last = history[i].timestamp || last;
+        timestamps[i] = last;
+    }
+    appendRecords(history.map((design, i) => normalizeDesign({ ...design, timestamp: timestamps[i] })));
+    saveIndex();
+    console.log(`   📚 Migrated ${history.length} designs from history.json into the catalog`);
+}
+
+/**
+ * Add newly generated designs
+ */
+export function addDesigns(designs) {
+    loadIndex();
+    const records = designs.map(normalizeDesign);
+    appendRecords(records);
+    saveIndex();
+    return records;
+}
+
+export function getDesign(id) {
+    const entry = loadIndex().entries.get(String(id));
+    return entry ? readRecord(entry) : null;
+}
+
+/**
+ * Merge `patch` into a design (appends the new version to the log). Returns null if unknown.
+ */
+export function updateDesign(id, patch) {
+    return updateDesigns([id], patch)[0] || null;
+}
+
+/**
+ * Merge `patch` into several designs in one write. Unknown IDs are skipped.
+ */
+export function updateDesigns(ids, patch) {
+    loadIndex();
+    const now = new Date().toISOString();
+    const records = ids
+        .map(id => getDesign(id))
+        .filter(Boolean)
+        .map(current => ({ ...current, ...patch, id: current.id, updatedAt: now }));
+    appendRecords(records);
+    saveIndex();
+    if (index.stale > COMPACT_MIN_STALE && index.stale > index.entries.size) compactCatalog();
+    return records;
+}
+
+/**
+ * Set the review state of designs (one of REVIEW_STATUSES). Returns the updated designs.
+ */
+export function reviewDesigns(ids, reviewStatus) {
+    if (!REVIEW_STATUSES.includes(reviewStatus)) {
+        throw new Error(`reviewStatus must be one of: ${REVIEW_STATUSES.join(', ')}`);
+    }
+    return updateDesigns(ids, { reviewStatus, reviewedAt: reviewStatus === 'pending' ? null : new Date().toISOString() });
+}
+
+/**
+ * Swap in a regenerated image. The current image (with its prompt, style and color scheme) is kept
+ * in `variants`, and the design goes back to pending review. Returns null if unknown.
+ */
+export function addDesignVersion(id, next) {
+    const current = getDesign(id);
+    if (!current) return null;
+    const previous = {
+        version: current.version || 1,
+        imagePath: current.imagePath,
+        prompt: current.prompt,
+        provider: current.provider || null,
+        style: current.style,
+        colorScheme: current.colorScheme,
+        status: current.status,
+        createdAt: current.regeneratedAt || current.createdAt
+    };
+    return updateDesign(id, {
+        ...next,
+        status: 'generated',
+        version: previous.version + 1,
+        variants: [...(current.variants || []), previous],
+        regeneratedAt: new Date().toISOString(),
+        reviewStatus: 'pending',
+        reviewedAt: null
+    });
+}
+
+const includesText = (value, text) => (value || '').toLowerCase().includes(text.toLowerCase());
+
+/**
+ * Filter and sort design-shaped objects (index entries, or run images before they are in the catalog)
+ * by the queryDesigns options below. Needs title, description, style, mood, runId, createdAt,
+ * etsyListingId, status, reviewStatus and seq (generation order).
+ */
+export function filterDesigns(entries, { q, style, mood, runId, from, to, uploaded, status, review, sort = 'newest' } = {}) {
+    if (q) {
+        const words = q.trim().split(/\s+/).filter(Boolean);
+        entries = entries.filter(entry => {
+            const text = `${entry.title} ${entry.description} ${entry.style}`;
+            return words.every(word => includesText(text, word));
+        });
+    }
+    if (style) entries = entries.filter(entry => includesText(entry.style, style));
+    if (mood) entries = entries.filter(entry => includesText(entry.mood, mood));
+    if (runId) entries = entries.filter(entry => entry.runId === runId);
+    if (from) entries = entries.filter(entry => entry.createdAt.slice(0, 10) >= from);
+    if (to) entries = entries.filter(entry => entry.createdAt.slice(0, 10) <= to);
+    if (uploaded !== undefined) entries = entries.filter(entry => Boolean(entry.etsyListingId) === uploaded);
+    if (status) entries = entries.filter(entry => entry.status === status);
+    if (review?.length) entries = entries.filter(entry => review.includes(entry.reviewStatus));
+
+    // Designs of one run share a timestamp and keep the order they were generated in
+    const byNewest = (a, b) => b.createdAt.localeCompare(a.createdAt) || a.seq - b.seq;
+    const comparators = {
+        newest: byNewest,
+        oldest: (a, b) => -byNewest(a, b),
+        title: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base' }) || byNewest(a, b)
+    };
+    return [...entries].sort(comparators[sort] || byNewest);
+}
+
+/**
+ * Page through designs.
+ * @param {object} [options]
+ * @param {string} [options.q] - Free text; every word must appear in the title, description or style
+ * @param {string} [options.style] - Style contains this text
+ * @param {string} [options.mood] - Mood contains this text
+ * @param {string} [options.runId] - Only designs from this run
+ * @param {string} [options.from] - Created on or after this date (YYYY-MM-DD, UTC)
+ * @param {string} [options.to] - Created on or before this date (YYYY-MM-DD, UTC)
+ * @param {boolean} [options.uploaded] - true: has an Etsy listing, false: not uploaded yet
+ * @param {string} [options.status] - 'generated' or 'failed'
+ * @param {string[]} [options.review] - Only designs in one of these review states
+ * @param {string} [options.sort] - One of SORTS (default 'newest')
+ * @param {number} [options.offset]
+ * @param {number} [options.limit]
+ * @param {boolean} [options.idsOnly] - Return design IDs instead of reading the records
+ * @returns {{ total: number, items: object[] }}
+ */
+export function queryDesigns({ offset = 0, limit = 50, idsOnly = false, ...filters } = {}) {
+    const entries = filterDesigns([...loadIndex().entries.values()], filters);
+    const page = entries.slice(offset, offset + limit);
+    return {
+        total: entries.length,
+        items: idsOnly ? page.map(entry => entry.id) : page.map(readRecord)
+    };
+}
+
+export function countDesigns() {
+    return loadIndex().entries.size;
+}
+
+/**
+ * Distinct moods and styles with their design counts (most common first), for filter pickers
+ */
+export function getDesignFacets(limit = 50) {
+    const tally = (pick) => {
+        const counts = new Map();
+        for (const entry of loadIndex().entries.values()) {
+            const value = pick(entry);
+            if (value) counts.set(value, (counts.get(value) || 0) + 1);
+        }
+        return [...counts.entries()]
+            .map(([value, count]) => ({ value, count }))
+            .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+            .slice(0, limit);
+    };
+    return {
+        moods: tally(entry => entry.mood),
+        styles: tally(entry => entry.style)
+    };
+}
+
+/**
+ * Rewrite the log with only the latest version of each design
+ */
+export function compactCatalog() {
+    loadIndex();
+    const live = [...index.entries.values()].sort((a, b) => a.seq - b.seq);
+    const records = live.map(readRecord);
+
+    const tmp = `${LOG_PATH}.tmp`;
+    fs.writeFileSync(tmp, records.map(record => JSON.stringify(record) + '\n').join(''));
+    fs.renameSync(tmp, LOG_PATH);
+    rebuildIndex();
+    console.log(`   📚 Compacted design catalog (${records.length} designs)`);
+}
+
+/**
+ * IDs of every design matching the query filters (no paging), e.g. for bulk review of a run
+ */
+export function findDesignIds(filters = {}) {
+    return queryDesigns({ ...filters, offset: 0, limit: Infinity, idsOnly: true }).items;
+}
+
+export default {
+    SORTS, REVIEW_STATUSES, PUBLISHABLE_REVIEW_STATUSES, addDesigns, getDesign, filterDesigns, updateDesign, updateDesigns,
+    addDesignVersion, reviewDesigns, queryDesigns, findDesignIds, countDesigns, getDesignFacets, compactCatalog
+};
@@ -1,202 +1,182 @@
 /**
  * Etsy OAuth2 Authorization Helper
- * Run once: `npm run etsy-auth`
- * Opens a browser for Etsy authorization, captures the token via local callback,
- * and saves it to .env automatically.
+ * Run once: `npm run etsy-auth -- [--port 3001] [--redirect-uri <url>] [--headless]`
+ * Opens a browser for Etsy authorization, captures the code via a local callback server,
+ * and saves the tokens to the encrypted token store (TOKEN_STORE_KEY must be set).
+ *
+ * --headless (for SSH sessions): prints the authorization URL instead of opening a browser and
+ * asks you to paste back the URL Etsy redirected to — the page itself won't load, that's fine.
+ *
+ * The redirect URI must be registered for your app at https://www.etsy.com/developers/your-apps.
  */
 
 import http from 'http';
-import https from 'https';
-import { exec } from 'child_process';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import readline from 'readline';
+import open from 'open';
 import dotenv from 'dotenv';
+import { buildEtsyAuthorizationUrl, completeEtsyAuthorization } from './etsyOAuth.js';
 dotenv.config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const rootDir = path.join(__dirname, '..', '..');
-const envPath = path.join(rootDir, '.env');
+const DEFAULT_PORT = 3001; // Not 3000, so it doesn't clash with a running server
 
-const ETSY_API_KEY = process.env.ETSY_API_KEY;
-const PORT = 3000;
-const CALLBACK_URL = `http://localhost:${PORT}/auth/etsy/callback`;
-const SCOPES = 'listings_r listings_w listings_d shops_r';
-
-if (!ETSY_API_KEY) {
+if (!process.env.ETSY_API_KEY) {
     console.error('\n❌ ETSY_API_KEY not found in .env');
     console.error('  1. Register your app at https://www.etsy.com/developers/register');
     console.error('  2. Add ETSY_API_KEY=your_key to .env');
     process.exit(1);
 }
 
-// Generate PKCE code verifier and challenge
-function generateCodeVerifier() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~';
-    let verifier = '';
-    for (let i = 0; i < 64; i++) {
-        verifier += chars.charAt(Math.floor(Math.random() * chars.length));
+if (!process.env.TOKEN_STORE_KEY || process.env.TOKEN_STORE_KEY.length < 16) {
+    console.error('\n❌ TOKEN_STORE_KEY not set (at least 16 characters)');
+    console.error('  Etsy tokens are stored encrypted with this key — add it to .env and keep it stable.');
+    process.exit(1);
+}
+
+/**
+ * Parse `--port <n>`, `--redirect-uri <url>` and `--headless` from the command line
+ * (ETSY_AUTH_PORT / ETSY_AUTH_REDIRECT_URI in .env work too)
+ */
+function parseArgs(argv) {
+    const value = name => {
+        const index = argv.indexOf(name);
+        if (index === -1) return null;
+        const next = argv[index + 1];
+        if (!next || next.startsWith('--')) throw new Error(`${name} needs a value`);
+        return next;
+    };
+
+    const port = parseInt(value('--port') || process.env.ETSY_AUTH_PORT || DEFAULT_PORT, 10);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error('--port must be a port number');
+
+    const redirectUri = value('--redirect-uri') || process.env.ETSY_AUTH_REDIRECT_URI || `http://localhost:${port}/auth/etsy/callback`;
+    try {
+        new URL(redirectUri);
+    } catch (e) {
+        throw new Error(`--redirect-uri is not a valid URL: ${redirectUri}`);
     }
-    return verifier;
+
+    return { port, redirectUri, headless: argv.includes('--headless') };
 }
 
-async function sha256Base64url(str) {
-    const { createHash } = await import('crypto');
-    return createHash('sha256').update(str).digest('base64url');
+function printConnected({ shopName }) {
+    const connectedAs = shopName ? `Connected as shop ${shopName}` : 'Connected (no shop found for this account yet)';
+    console.log('\n🎉 Etsy authorization complete!');
+    console.log(`   ${connectedAs} — tokens saved to the encrypted token store`);
+    console.log('   You can now upload designs to your Etsy shop.\n');
+    return connectedAs;
+}
+
+/**
+ * Headless mode: the user opens the URL elsewhere and pastes the redirected URL back
+ */
+async function authorizeByPaste(authUrl) {
+    console.log('\nOpen this URL in a browser on any machine and approve access:\n');
+    console.log(`${authUrl}\n`);
+    console.log('Etsy then redirects to your callback URL. The page may fail to load — copy the');
+    console.log('full URL from the address bar and paste it here.\n');
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const pasted = await new Promise(resolve => rl.question('Redirected URL: ', resolve));
+    rl.close();
+
+    let params;
+    try {
+        params = new URL(pasted.trim()).searchParams;
+    } catch (e) {
+        throw new Error('That is not a URL — paste the complete address, starting with http');
+    }
+    if (params.get('error')) throw new Error(`Authorization denied: ${params.get('error')}`);
+
+    console.log('✅ Authorization code received! Exchanging for tokens...');
+    printConnected(await completeEtsyAuthorization({ code: params.get('code'), state: params.get('state') }));
 }
 
-async function exchangeCodeForToken(code, codeVerifier) {
+/**
+ * Browser mode: a one-shot local server receives Etsy's redirect
+ */
+function authorizeByCallback(authUrl, { port, redirectUri }) {
+    const callbackPath = new URL(redirectUri).pathname;
+
     return new Promise((resolve, reject) => {
-        const body = new URLSearchParams({
-            grant_type: 'authorization_code',
-            client_id: ETSY_API_KEY,
-            redirect_uri: CALLBACK_URL,
-            code,
-            code_verifier: codeVerifier
-        }).toString();
-
-        const options = {
-            hostname: 'api.etsy.com',
-            path: '/v3/public/oauth/token',
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded',
-                'Content-Length': Buffer.byteLength(body)
+        const server = http.createServer(async (req, res) => {
+            const url = new URL(req.url, `http://localhost:${port}`);
+
+            if (url.pathname !== callbackPath) {
+                res.writeHead(404);
+                res.end('Not found');
+                return;
             }
-        };
-
-        const req = https.request(options, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                try {
-                    resolve(JSON.parse(data));
-                } catch (e) {
-                    reject(new Error(`Failed to parse token response: ${data}`));
-                }
-            });
-        });
-        req.on('error', reject);
-        req.write(body);
-        req.end();
-    });
-}
 
-function updateEnvFile(accessToken, refreshToken) {
-    let envContent = fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf-8') : '';
+            const error = url.searchParams.get('error');
+            if (error) {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.end('<h2>❌ Authorization denied</h2><p>You can close this tab.</p>');
+                server.close();
+                return reject(new Error(`Authorization denied: ${error}`));
+            }
 
-    // Update or append ETSY_ACCESS_TOKEN
-    if (envContent.includes('ETSY_ACCESS_TOKEN=')) {
-        envContent = envContent.replace(/ETSY_ACCESS_TOKEN=.*/g, `ETSY_ACCESS_TOKEN=${accessToken}`);
-    } else {
-        envContent += `\nETSY_ACCESS_TOKEN=${accessToken}`;
-    }
+            try {
+                console.log('✅ Authorization code received! Exchanging for tokens...');
+                const connectedAs = printConnected(await completeEtsyAuthorization({
+                    code: url.searchParams.get('code'),
+                    state: url.searchParams.get('state')
+                }));
+
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.end(`
+                    <html><body style="font-family:sans-serif;text-align:center;padding:50px">
+                    <h1>✅ Etsy Connected!</h1>
+                    <p>${connectedAs.replace(/[<>&]/g, '')}.</p>
+                    <p>You can close this tab and return to the terminal.</p>
+                    </body></html>
+                `);
+                server.close();
+                resolve();
+            } catch (err) {
+                res.writeHead(400, { 'Content-Type': 'text/html' });
+                res.end('<h2>❌ Etsy authorization failed</h2><p>See the terminal for details.</p>');
+                server.close();
+                reject(err);
+            }
+        });
 
-    // Update or append ETSY_REFRESH_TOKEN
-    if (envContent.includes('ETSY_REFRESH_TOKEN=')) {
-        envContent = envContent.replace(/ETSY_REFRESH_TOKEN=.*/g, `ETSY_REFRESH_TOKEN=${refreshToken}`);
-    } else {
-        envContent += `\nETSY_REFRESH_TOKEN=${refreshToken}`;
-    }
+        server.on('error', err => {
+            if (err.code === 'EADDRINUSE') {
+                reject(new Error(`Port ${port} is in use — pick another with --port (and register the matching redirect URI)`));
+            } else {
+                reject(err);
+            }
+        });
 
-    fs.writeFileSync(envPath, envContent);
-    console.log('\n✅ Tokens saved to .env');
+        server.listen(port, 'localhost', async () => {
+            console.log(`\n⏳ Waiting for authorization on port ${port} (${redirectUri})`);
+            console.log('   (Press Ctrl+C to cancel)\n');
+            try {
+                await open(authUrl);
+                console.log(`Browser opened. If nothing happened, visit:\n${authUrl}\n`);
+            } catch (e) {
+                console.log(`\nCould not open a browser — visit this URL (or rerun with --headless):\n${authUrl}\n`);
+            }
+        });
+    });
 }
 
 async function main() {
-    const codeVerifier = generateCodeVerifier();
-    const codeChallenge = await sha256Base64url(codeVerifier);
-    const state = Math.random().toString(36).substring(2);
-
-    const authUrl = new URL('https://www.etsy.com/oauth/connect');
-    authUrl.searchParams.set('response_type', 'code');
-    authUrl.searchParams.set('redirect_uri', CALLBACK_URL);
-    authUrl.searchParams.set('scope', SCOPES);
-    authUrl.searchParams.set('client_id', ETSY_API_KEY);
-    authUrl.searchParams.set('state', state);
-    authUrl.searchParams.set('code_challenge', codeChallenge);
-    authUrl.searchParams.set('code_challenge_method', 'S256');
+    const { port, redirectUri, headless } = parseArgs(process.argv.slice(2));
+    const authUrl = buildEtsyAuthorizationUrl({ redirectUri });
 
     console.log('\n🔐 Etsy OAuth2 Authorization');
     console.log('='.repeat(50));
-    console.log('\nOpening browser for Etsy authorization...');
-    console.log(`\nIf browser doesn't open, visit:\n${authUrl.toString()}\n`);
-
-    // Start local callback server
-    const server = http.createServer(async (req, res) => {
-        const url = new URL(req.url, `http://localhost:${PORT}`);
-
-        if (url.pathname !== '/auth/etsy/callback') {
-            res.writeHead(404);
-            res.end('Not found');
-            return;
-        }
-
-        const code = url.searchParams.get('code');
-        const returnedState = url.searchParams.get('state');
-        const error = url.searchParams.get('error');
-
-        if (error) {
-            res.writeHead(200, { 'Content-Type': 'text/html' });
-            res.end(`<h2>❌ Authorization denied: ${error}</h2><p>You can close this tab.</p>`);
-            server.close();
-            process.exit(1);
-        }
-
-        if (!code || returnedState !== state) {
-            res.writeHead(400, { 'Content-Type': 'text/html' });
-            res.end('<h2>❌ Invalid callback</h2>');
-            server.close();
-            return;
-        }
-
-        try {
-            console.log('✅ Authorization code received! Exchanging for tokens...');
-            const tokens = await exchangeCodeForToken(code, codeVerifier);
-
-            if (!tokens.access_token) {
-                throw new Error(`No access token in response: ${JSON.stringify(tokens)}`);
-            }
-
-            updateEnvFile(tokens.access_token, tokens.refresh_token || '');
-
-            res.writeHead(200, { 'Content-Type': 'text/html' });
-            res.end(`
-                <html><body style="font-family:sans-serif;text-align:center;padding:50px">
-                <h1>✅ Etsy Connected!</h1>
-                <p>Your access token has been saved to <code>.env</code>.</p>
-                <p>You can close this tab and return to the terminal.</p>
-                </body></html>
-            `);
-
-            console.log('\n🎉 Etsy authorization complete!');
-            console.log('   Access token saved to .env');
-            console.log('   You can now upload designs to your Etsy shop.\n');
-
-            setTimeout(() => { server.close(); process.exit(0); }, 1000);
-        } catch (err) {
-            console.error('\n❌ Token exchange failed:', err.message);
-            res.writeHead(500, { 'Content-Type': 'text/html' });
-            res.end(`<h2>❌ Error: ${err.message}</h2>`);
-            server.close();
-            process.exit(1);
-        }
-    });
+    console.log(`Redirect URI: ${redirectUri} (must be registered for your Etsy app)`);
 
-    server.listen(PORT, 'localhost', () => {
-        // Open in browser (Windows)
-        const url = authUrl.toString();
-        exec(`start "" "${url}"`, (err) => {
-            if (err) console.log(`\nPlease open this URL manually:\n${url}\n`);
-        });
-    });
-
-    console.log(`\n⏳ Waiting for authorization on http://localhost:${PORT}/auth/etsy/callback`);
-    console.log('   (Press Ctrl+C to cancel)\n');
+    if (headless) {
+        await authorizeByPaste(authUrl);
+    } else {
+        await authorizeByCallback(authUrl, { port, redirectUri });
+    }
 }
 
-main().catch(err => {
-    console.error('Fatal error:', err);
+main().then(() => process.exit(0)).catch(err => {
+    console.error(`\n❌ ${err.message}`);
     process.exit(1);
 });
@@ -1,59 +1,25 @@
 /**
  * Etsy Open API v3 Client
- * Read-only operations using API Key (no OAuth needed for public data)
+ * Read-only operations using API Key (no OAuth needed for public data); the shop's own listing
+ * stats and receipts use its OAuth token
  */
 
-import https from 'https';
 import dotenv from 'dotenv';
+import { requestJson } from '../http/httpClient.js';
+import { getEtsyConnection } from './tokenStore.js';
+import { etsyAuthorizedRequest } from './etsyOAuth.js';
 dotenv.config();
 
-const ETSY_API_KEY = process.env.ETSY_API_KEY;
-const BASE = 'openapi.etsy.com';
+const BASE_URL = 'https://openapi.etsy.com/v3/application';
 
 /**
- * Make a GET request to the Etsy Open API v3
+ * Make a GET request to the Etsy Open API v3.
+ * `auth` adds the shop's OAuth token (refreshed when expired) — needed for private shop data.
  */
-function etsyGet(path) {
-    return new Promise((resolve, reject) => {
-        if (!ETSY_API_KEY) {
-            reject(new Error('ETSY_API_KEY not set in .env'));
-            return;
-        }
-
-        const options = {
-            hostname: BASE,
-            path: `/v3/application${path}`,
-            method: 'GET',
-            headers: {
-                'x-api-key': ETSY_API_KEY,
-                'Accept': 'application/json'
-            }
-        };
-
-        const req = https.request(options, (res) => {
-            let body = '';
-            res.on('data', chunk => body += chunk);
-            res.on('end', () => {
-                try {
-                    const json = JSON.parse(body);
-                    if (res.statusCode >= 200 && res.statusCode < 300) {
-                        resolve(json);
-                    } else {
-                        reject(new Error(`Etsy API ${res.statusCode}: ${json.error || body}`));
-                    }
-                } catch (e) {
-                    reject(new Error(`Failed to parse Etsy response: ${e.message}`));
-                }
-            });
-        });
-
-        req.on('error', reject);
-        req.setTimeout(15000, () => {
-            req.destroy();
-            reject(new Error('Etsy API request timed out'));
-        });
-        req.end();
-    });
+async function etsyGet(path, { auth = false } = {}) {
+    if (auth) return etsyAuthorizedRequest(`${BASE_URL}${path}`, { timeout: 15000 });
+    if (!process.env.ETSY_API_KEY) throw new Error('ETSY_API_KEY not set in .env');
+    return requestJson(`${BASE_URL}${path}`, { headers: { 'x-api-key': process.env.ETSY_API_KEY }, timeout: 15000 });
 }
 
 /**
@@ -63,6 +29,15 @@ export async function getShopInfo(shopId) {
     return etsyGet(`/shops/${shopId}`);
 }
 
+/**
+ * The shop owned by the connected Etsy account: { shop_id, shop_name, ... }
+ */
+export async function getConnectedShop() {
+    const connection = getEtsyConnection();
+    if (!connection?.userId) throw new Error('Etsy is not connected — authorize at /auth/etsy/start');
+    return etsyGet(`/users/${connection.userId}/shops`, { auth: true });
+}
+
 /**
  * Get active listings from a shop
  */
@@ -70,6 +45,23 @@ export async function getActiveListings(shopId, limit = 10) {
     return etsyGet(`/shops/${shopId}/listings/active?limit=${limit}&includes[]=MainImage`);
 }
 
+/**
+ * Up to 100 listings by ID, with their view and favourite counts (views, num_favorers).
+ * Authorized so the shop's drafts and inactive listings are included.
+ */
+export async function getListingsByIds(listingIds) {
+    return etsyGet(`/listings/batch?listing_ids=${listingIds.join(',')}`, { auth: true });
+}
+
+/**
+ * A page of the shop's receipts (orders) with their transactions, newest first.
+ * Needs the transactions_r scope. `minCreated` is a Unix timestamp in seconds.
+ */
+export async function getShopReceipts(shopId, { minCreated = null, limit = 100, offset = 0 } = {}) {
+    const since = minCreated ? `&min_created=${minCreated}` : '';
+    return etsyGet(`/shops/${shopId}/receipts?limit=${limit}&offset=${offset}${since}`, { auth: true });
+}
+
 /**
  * Search Etsy marketplace listings for trend research
  */
@@ -101,4 +93,6 @@ export async function getTrendingDesignTitles(query = 'trending t-shirt graphic
     }
 }
 
-export default { getShopInfo, getActiveListings, searchListings, getTrendingDesignTitles };
+export default {
+    getShopInfo, getConnectedShop, getActiveListings, getListingsByIds, getShopReceipts, searchListings, getTrendingDesignTitles
+};
@@ -0,0 +1,179 @@
+/**
+ * Etsy OAuth
+ * The authorization-code + PKCE flow shared by the server's /auth/etsy/* routes and
+ * `npm run etsy-auth`: buildEtsyAuthorizationUrl() remembers the code verifier for the state,
+ * completeEtsyAuthorization() exchanges the code and stores the tokens and shop.
+ *
+ * Also keeps the stored access token usable. Etsy access tokens expire after an hour, so the token is
+ * refreshed at /v3/public/oauth/token shortly before it expires, or when Etsy answers 401.
+ * Etsy rotates the refresh token on every exchange, so the new pair is written back to the
+ * token store straight away.
+ */
+
+import crypto from 'crypto';
+import { requestJson, HttpStatusError } from '../http/httpClient.js';
+import { getEtsyConnection, saveEtsyConnection } from './tokenStore.js';
+
+export const ETSY_TOKEN_URL = 'https://api.etsy.com/v3/public/oauth/token';
+const ETSY_CONNECT_URL = 'https://www.etsy.com/oauth/connect';
+const ETSY_SCOPES = 'listings_r listings_w listings_d shops_r transactions_r'; // transactions_r: sales for /analytics
+const STATE_TTL_MS = 10 * 60 * 1000;
+const EXPIRY_MARGIN_MS = 60 * 1000; // Refresh a minute early rather than send a dying token
+
+// state -> { codeVerifier, redirectUri, createdAt } between the redirect to Etsy and the callback
+const pendingAuthorizations = new Map();
+let refreshInFlight = null;
+
+function isExpiring(connection) {
+    return Boolean(connection.expiresAt) && connection.expiresAt - Date.now() < EXPIRY_MARGIN_MS;
+}
+
+/**
+ * Token store fields for an Etsy token response ({ access_token, refresh_token, expires_in })
+ */
+export function tokenFields(tokens) {
+    if (!tokens.access_token) throw new Error(`No access_token in Etsy token response: ${JSON.stringify(tokens)}`);
+    return {
+        accessToken: tokens.access_token,
+        ...(tokens.refresh_token ? { refreshToken: tokens.refresh_token } : {}),
+        expiresAt: tokens.expires_in ? Date.now() + tokens.expires_in * 1000 : null
+    };
+}
+
+/**
+ * The Etsy consent URL for a new authorization. Etsy only accepts redirect URIs registered for the app.
+ */
+export function buildEtsyAuthorizationUrl({ redirectUri }) {
+    if (!process.env.ETSY_API_KEY) throw new Error('ETSY_API_KEY not set in .env');
+    const state = crypto.randomBytes(16).toString('base64url');
+    const codeVerifier = crypto.randomBytes(48).toString('base64url');
+
+    for (const [key, value] of pendingAuthorizations) {
+        if (Date.now() - value.createdAt > STATE_TTL_MS) pendingAuthorizations.delete(key);
+    }
+    pendingAuthorizations.set(state, { codeVerifier, redirectUri, createdAt: Date.now() });
+
+    const url = new URL(ETSY_CONNECT_URL);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', ETSY_SCOPES);
+    url.searchParams.set('client_id', process.env.ETSY_API_KEY);
+    url.searchParams.set('state', state);
+    url.searchParams.set('code_challenge', crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+    url.searchParams.set('code_challenge_method', 'S256');
+    return url.toString();
+}
+
+/**
+ * Exchange the callback's code for tokens, store them and look up the connected shop.
+ * Resolves { shopId, shopName } (null when the account has no shop yet).
+ */
+export async function completeEtsyAuthorization({ code, state }) {
+    const pending = pendingAuthorizations.get(state);
+    pendingAuthorizations.delete(state);
+    if (!code || !pending || Date.now() - pending.createdAt > STATE_TTL_MS) {
+        throw new Error('Invalid or expired OAuth state — start the authorization again');
+    }
+
+    const tokens = await requestJson(ETSY_TOKEN_URL, {
+        form: {
+            grant_type: 'authorization_code',
+            client_id: process.env.ETSY_API_KEY,
+            redirect_uri: pending.redirectUri,
+            code,
+            code_verifier: pending.codeVerifier
+        }
+    });
+    // A new authorization may be for a different account: forget the previous shop
+    saveEtsyConnection({ refreshToken: null, ...tokenFields(tokens), shopId: null, shopName: null });
+
+    try {
+        const { getConnectedShop } = await import('./etsyClient.js');
+        const shop = await getConnectedShop();
+        const shopId = shop.shop_id ? String(shop.shop_id) : null;
+        saveEtsyConnection({ shopId, shopName: shop.shop_name || null });
+        return { shopId, shopName: shop.shop_name || null };
+    } catch (e) {
+        console.error('   ⚠️ Etsy shop lookup failed:', e.message);
+        return { shopId: null, shopName: null };
+    }
+}
+
+async function exchangeRefreshToken(staleToken) {
+    const connection = getEtsyConnection();
+    if (!connection?.refreshToken) {
+        throw new Error('Etsy access token expired and no refresh token is stored — reconnect at /auth/etsy/start');
+    }
+    // The server and a CLI workflow run share the store: the other one may have rotated the pair already
+    if (staleToken && connection.accessToken !== staleToken && !isExpiring(connection)) {
+        return connection.accessToken;
+    }
+
+    let tokens;
+    try {
+        tokens = await requestJson(ETSY_TOKEN_URL, {
+            form: {
+                grant_type: 'refresh_token',
+                client_id: process.env.ETSY_API_KEY,
+                refresh_token: connection.refreshToken
+            }
+        });
+    } catch (e) {
+        if (e instanceof HttpStatusError && (e.status === 400 || e.status === 401)) {
+            throw new Error(`Etsy rejected the refresh token (${e.message}) — reconnect at /auth/etsy/start`);
+        }
+        throw e;
+    }
+
+    const { accessToken } = saveEtsyConnection(tokenFields(tokens));
+    console.log('   🔄 Etsy access token refreshed');
+    return accessToken;
+}
+
+/**
+ * Exchange the stored refresh token for a new pair and persist it; resolves the new access token.
+ * Concurrent callers share one exchange, since each exchange invalidates the previous refresh token.
+ * @param {string} [staleToken] - The access token Etsy just rejected
+ */
+export async function refreshAccessToken(staleToken) {
+    if (!refreshInFlight) {
+        refreshInFlight = exchangeRefreshToken(staleToken).finally(() => { refreshInFlight = null; });
+    }
+    return refreshInFlight;
+}
+
+/**
+ * A current access token, refreshed first when it is about to expire
+ */
+export async function getAccessToken() {
+    const connection = getEtsyConnection();
+    if (!connection?.accessToken) throw new Error('Etsy is not connected — authorize at /auth/etsy/start or run `npm run etsy-auth`');
+    if (isExpiring(connection) && connection.refreshToken) return refreshAccessToken(connection.accessToken);
+    return connection.accessToken;
+}
+
+/**
+ * requestJson() with the app key and the shop's bearer token. On 401 the token is refreshed
+ * and the request sent once more — Etsy rejects it before doing anything, so a retried POST is safe.
+ */
+export async function etsyAuthorizedRequest(url, options = {}) {
+    if (!process.env.ETSY_API_KEY) throw new Error('ETSY_API_KEY not set in .env');
+    const send = token => requestJson(url, {
+        ...options,
+        headers: { ...options.headers, 'x-api-key': process.env.ETSY_API_KEY, 'Authorization': `Bearer ${token}` }
+    });
+
+    const token = await getAccessToken();
+    try {
+        return await send(token);
+    } catch (e) {
+        if (!(e instanceof HttpStatusError) || e.status !== 401) throw e;
+        console.log('   🔑 Etsy rejected the access token — refreshing and retrying');
+        return send(await refreshAccessToken(token));
+    }
+}
+
+export default {
+    ETSY_TOKEN_URL, tokenFields, buildEtsyAuthorizationUrl, completeEtsyAuthorization,
+    refreshAccessToken, getAccessToken, etsyAuthorizedRequest
+};
@@ -1,200 +1,245 @@
 /**
  * Etsy Listing Uploader
- * Requires OAuth2 access token (run `npm run etsy-auth` first)
- * Creates draft listings in your Etsy shop with AI-generated images
+ * Uses the shop's OAuth tokens from the token store (connect at /auth/etsy/start or run `npm run etsy-auth`),
+ * refreshing the access token automatically when it expires
+ * Creates draft listings in your Etsy shop with AI-generated images, configured by listing-templates.json.
+ * A draft is built in steps (listing, variations, image) so the upload outbox can retry each one.
  */
 
 import fs from 'fs';
 import path from 'path';
-import https from 'https';
 import dotenv from 'dotenv';
+import { getEtsyConnection } from './tokenStore.js';
+import { etsyAuthorizedRequest } from './etsyOAuth.js';
+import { resolveListingTemplate, buildListingPayload, buildInventoryPayload } from './listingTemplates.js';
 dotenv.config();
 
-const ETSY_API_KEY = process.env.ETSY_API_KEY;
-const ETSY_ACCESS_TOKEN = process.env.ETSY_ACCESS_TOKEN;
-const ETSY_SHOP_ID = process.env.ETSY_SHOP_ID;
-const BASE = 'openapi.etsy.com';
-
-/**
- * Make an authenticated request to the Etsy API
- */
-function etsyRequest(method, path, body = null) {
-    return new Promise((resolve, reject) => {
-        if (!ETSY_ACCESS_TOKEN) {
-            reject(new Error('ETSY_ACCESS_TOKEN not set. Run `npm run etsy-auth` first.'));
-            return;
-        }
-        if (!ETSY_API_KEY) {
-            reject(new Error('ETSY_API_KEY not set in .env'));
-            return;
-        }
-
-        const bodyStr = body ? JSON.stringify(body) : null;
-        const options = {
-            hostname: BASE,
-            path: `/v3/application${path}`,
-            method,
-            headers: {
-                'x-api-key': ETSY_API_KEY,
-                'Authorization': `Bearer ${ETSY_ACCESS_TOKEN}`,
-                'Accept': 'application/json',
-                ...(bodyStr ? {
-                    'Content-Type': 'application/json',
-                    'Content-Length': Buffer.byteLength(bodyStr)
-                } : {})
-            }
-        };
-
-        const req = https.request(options, (res) => {
-            let responseBody = '';
-            res.on('data', chunk => responseBody += chunk);
-            res.on('end', () => {
-                try {
-                    const json = JSON.parse(responseBody);
-                    if (res.statusCode >= 200 && res.statusCode < 300) {
-                        resolve(json);
-                    } else {
-                        reject(new Error(`Etsy API ${res.statusCode}: ${json.error || responseBody}`));
-                    }
-                } catch (e) {
-                    reject(new Error(`Failed to parse response: ${e.message}. Body: ${responseBody.substring(0, 200)}`));
-                }
-            });
-        });
+const BASE_URL = 'https://openapi.etsy.com/v3/application';
 
-        req.on('error', reject);
-        req.setTimeout(30000, () => {
-            req.destroy();
-            reject(new Error('Request timed out'));
-        });
+/**
+ * Shop ID from the token store (read per call, so a reconnect needs no restart)
+ */
+function connectedShopId() {
+    const connection = getEtsyConnection();
+    if (!connection?.accessToken) throw new Error('Etsy is not connected — authorize at /auth/etsy/start or run `npm run etsy-auth`');
+    if (!connection.shopId) throw new Error('No Etsy shop found for the connected account (set ETSY_SHOP_ID to override)');
+    return connection.shopId;
+}
 
-        if (bodyStr) req.write(bodyStr);
-        req.end();
+/**
+ * Make an authenticated request to the Etsy API (expired tokens are refreshed and the request retried)
+ */
+async function etsyRequest(method, path, body = null) {
+    return etsyAuthorizedRequest(`${BASE_URL}${path}`, {
+        method,
+        ...(body ? { json: body } : {})
     });
 }
 
 /**
- * Upload an image file to an Etsy listing using multipart form
- */
-function uploadImageMultipart(listingId, imagePath) {
-    return new Promise((resolve, reject) => {
-        if (!ETSY_ACCESS_TOKEN || !ETSY_API_KEY) {
-            reject(new Error('Missing Etsy credentials'));
-            return;
-        }
-
-        const imageBuffer = fs.readFileSync(imagePath);
-        const boundary = `----FormBoundary${Date.now()}`;
-        const filename = path.basename(imagePath);
-
-        const header = Buffer.from(
-            `--${boundary}\r\nContent-Disposition: form-data; name="image"; filename="${filename}"\r\nContent-Type: image/png\r\n\r\n`
-        );
-        const footer = Buffer.from(`\r\n--${boundary}--\r\n`);
-        const body = Buffer.concat([header, imageBuffer, footer]);
-
-        const options = {
-            hostname: BASE,
-            path: `/v3/application/shops/${ETSY_SHOP_ID}/listings/${listingId}/images`,
-            method: 'POST',
-            headers: {
-                'x-api-key': ETSY_API_KEY,
-                'Authorization': `Bearer ${ETSY_ACCESS_TOKEN}`,
-                'Content-Type': `multipart/form-data; boundary=${boundary}`,
-                'Content-Length': body.length
-            }
-        };
-
-        const req = https.request(options, (res) => {
-            let responseBody = '';
-            res.on('data', chunk => responseBody += chunk);
-            res.on('end', () => {
-                try {
-                    const json = JSON.parse(responseBody);
-                    if (res.statusCode >= 200 && res.statusCode < 300) {
-                        resolve(json);
-                    } else {
-                        reject(new Error(`Image upload failed ${res.statusCode}: ${json.error || responseBody}`));
-                    }
-                } catch (e) {
-                    reject(new Error(`Failed to parse upload response: ${e.message}`));
-                }
-            });
-        });
-
-        req.on('error', reject);
-        req.write(body);
-        req.end();
+ * Upload an image file to an Etsy listing using multipart form (rank 1 = the primary image)
+ */
+async function uploadImageMultipart(listingId, imagePath, { rank = null, altText = null } = {}) {
+    const shopId = connectedShopId();
+    const imageBuffer = fs.readFileSync(imagePath);
+    const boundary = `----FormBoundary${Date.now()}`;
+    const filename = path.basename(imagePath);
+
+    const field = (name, value) => `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`;
+    const fields = (rank ? field('rank', rank) : '') + (altText ? field('alt_text', altText) : '');
+    const header = Buffer.from(
+        `${fields}--${boundary}\r\nContent-Disposition: form-data; name="image"; filename="${filename}"\r\nContent-Type: image/png\r\n\r\n`
+    );
+    const footer = Buffer.from(`\r\n--${boundary}--\r\n`);
+
+    return etsyAuthorizedRequest(`${BASE_URL}/shops/${shopId}/listings/${listingId}/images`, {
+        method: 'POST',
+        headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` },
+        body: Buffer.concat([header, imageBuffer, footer]),
+        timeout: 60000
     });
 }
 
 /**
- * Create a draft listing in your Etsy shop
- * @param {object} idea - Design idea object with title, theme, style, etc.
- * @param {string} imagePath - Absolute local path to the generated image
- * @returns {object} { listingId, listingUrl, success }
+ * Set the listing's size/color variations, their prices and quantities
  */
-export async function createDraftListing(idea, imagePath) {
-    if (!ETSY_SHOP_ID) {
-        throw new Error('ETSY_SHOP_ID not set in .env');
-    }
+async function updateInventory(listingId, inventory) {
+    return etsyRequest('PUT', `/listings/${listingId}/inventory`, inventory);
+}
 
-    console.log(`\n📦 Creating Etsy draft listing: "${idea.title}"...`);
-
-    // Step 1: Create the listing shell
-    const listingPayload = {
-        quantity: 999, // Print-on-demand: no stock limit
-        title: idea.title.substring(0, 140), // Etsy max 140 chars
-        description: [
-            idea.theme || '',
-            '',
-            `Style: ${idea.style || 'Graphic Design'}`,
-            `Colors: ${idea.colorScheme || ''}`,
-            '',
-            idea.designElements ? `Design Elements: ${idea.designElements}` : '',
-            '',
-            '✅ High-quality print-on-demand t-shirt',
-            '✅ Unisex sizing available',
-            '✅ Ships worldwide'
-        ].filter(Boolean).join('\n'),
-        price: 24.99,    // Default price — edit in Etsy dashboard
-        who_made: 'i_did',
-        when_made: 'made_to_order',
-        taxonomy_id: 1063,  // Clothing > Tops & Shirts > T-Shirts (standard Etsy taxonomy)
-        tags: [
-            'tshirt', 'graphic tee', 'ai art',
-            (idea.style || 'design').toLowerCase().replace(/\s+/g, ' ').split(' ').slice(0, 2).join(' '),
-            (idea.mood || 'unique').toLowerCase()
-        ].slice(0, 13),     // Etsy max 13 tags
-        materials: ['cotton'],
-        shipping_profile_id: null,   // Will be set manually in Etsy dashboard
-        return_policy_id: null,      // Will be set manually if needed
-        is_draft: true               // Save as draft, not published yet
+/**
+ * The connected shop and its listing template for idea.productType (see listingTemplates.js)
+ */
+function draftTemplate(idea) {
+    const shopId = connectedShopId();
+    return { shopId, template: resolveListingTemplate({ shopId, productType: idea.productType }) };
+}
+
+function draftResult(listing, template) {
+    return {
+        listingId: listing.listing_id,
+        listingUrl: `https://www.etsy.com/listing/${listing.listing_id}`,
+        title: listing.title,
+        template: template.name
     };
+}
+
+/**
+ * Create the draft listing shell (no variations or image yet)
+ * @param {object} idea - Design idea object with title, theme, style, etc.
+ * @returns {object} { listingId, listingUrl, title, template }
+ */
+export async function createDraftListing(idea) {
+    const { shopId, template } = draftTemplate(idea);
+    console.log(`\n📦 Creating Etsy draft listing: "${idea.title}" (${template.name} template)...`);
+
+    const listing = await etsyRequest('POST', `/shops/${shopId}/listings`, buildListingPayload(idea, template));
+    console.log(`   ✅ Draft listing created (ID: ${listing.listing_id})`);
+    return draftResult(listing, template);
+}
+
+/**
+ * The draft an earlier createDraftListing(idea) call made at or after `since` (ms), or null.
+ * Used when that call timed out: Etsy may have created the listing without us seeing the answer.
+ * A draft already tagged with `sku` (see tagDraftListing) is ours. Failing that, an untagged draft
+ * with the same title counts, but only when exactly one such draft exists and its ID isn't in
+ * `exclude` (listings other designs already own); a draft tagged with another SKU never does.
+ */
+export async function findDraftListing(idea, { since, sku, exclude = [] }) {
+    const { shopId, template } = draftTemplate(idea);
+    const { title } = buildListingPayload(idea, template);
+    const drafts = await etsyRequest('GET', `/shops/${shopId}/listings?state=draft&sort_on=created&sort_order=desc&limit=100`);
+    const recent = (drafts?.results || []).filter(draft =>
+        draft.creation_timestamp * 1000 >= since - 60 * 1000 // Allow for clock skew
+    );
+    const tagged = recent.find(draft => (draft.skus || []).includes(sku));
+    if (tagged) return { ...draftResult(tagged, template), tagged: true };
+
+    const owned = new Set(exclude.map(String));
+    const untagged = recent.filter(draft =>
+        draft.title === title && !(draft.skus || []).some(Boolean) && !owned.has(String(draft.listing_id))
+    );
+    return untagged.length === 1 ? { ...draftResult(untagged[0], template), tagged: false } : null;
+}
+
+/**
+ * Write the upload's SKU into a new draft's inventory as a single product, so a retry can tell this
+ * draft apart from other designs' drafts with the same title. setDraftVariations replaces it later.
+ */
+export async function tagDraftListing(listingId, idea, sku) {
+    const { template } = draftTemplate(idea);
+    await updateInventory(listingId, buildInventoryPayload({ ...template, variations: {} }, { listingId, sku }));
+    console.log(`   🏷️ Draft ${listingId} tagged with SKU ${sku}`);
+}
+
+/**
+ * Set the template's size/color variations on a draft. Returns the number of variations (0 = none configured).
+ * Safe to repeat: the inventory is replaced as a whole. `sku` stays on the products unless the template has a skuPrefix.
+ */
+export async function setDraftVariations(listingId, idea, { sku = '' } = {}) {
+    const { template } = draftTemplate(idea);
+    if (!template.variations?.sizes?.length && !template.variations?.colors?.length) return 0;
+    const inventory = buildInventoryPayload(template, { listingId, sku });
+    await updateInventory(listingId, inventory);
+    console.log(`   📐 ${inventory.products.length} variation(s) set`);
+    return inventory.products.length;
+}
+
+/**
+ * Upload the design as the draft's primary image, unless the listing already has an image
+ * (an earlier attempt that timed out may have gone through). Returns true when it uploaded.
+ */
+export async function uploadDraftImage(listingId, imagePath, { altText = null } = {}) {
+    if (!imagePath || !fs.existsSync(imagePath)) throw new Error('Image file not found');
+    const existing = await etsyRequest('GET', `/listings/${listingId}/images`);
+    if (existing?.count > 0 || existing?.results?.length > 0) return false;
+    await uploadImageMultipart(listingId, imagePath, { rank: 1, altText });
+    console.log(`   🖼️ Image uploaded to listing ${listingId}`);
+    return true;
+}
+
+/**
+ * A listing as Etsy has it now (drafts need the shop's token, so this is authenticated)
+ */
+export async function getListing(listingId) {
+    return etsyRequest('GET', `/listings/${listingId}`);
+}
 
-    const listing = await etsyRequest('POST', `/shops/${ETSY_SHOP_ID}/listings`, listingPayload);
-    const listingId = listing.listing_id;
-    console.log(`   ✅ Draft listing created (ID: ${listingId})`);
-
-    // Step 2: Upload the image
-    if (imagePath && fs.existsSync(imagePath)) {
-        try {
-            await uploadImageMultipart(listingId, imagePath);
-            console.log(`   🖼️ Image uploaded to listing`);
-        } catch (imgErr) {
-            console.error(`   ⚠️ Image upload failed: ${imgErr.message} (listing still created)`);
-        }
+/**
+ * Change listing fields, e.g. { state: 'active' } to publish a draft or { title, description, tags }
+ */
+export async function updateListing(listingId, fields) {
+    return etsyRequest('PATCH', `/shops/${connectedShopId()}/listings/${listingId}`, fields);
+}
+
+/**
+ * Set the listing's (lowest) price. Every variation moves by the same amount, so size/color
+ * surcharges from the listing template are kept. A listing without any offerings gets a single
+ * product at `price`, with the listing's quantity.
+ */
+export async function setListingPrice(listingId, price) {
+    const inventory = await etsyRequest('GET', `/listings/${listingId}/inventory`);
+    const amount = offering => offering.price.amount / offering.price.divisor;
+    const offerings = (inventory?.products || []).flatMap(product => product.offerings.filter(o => !o.is_deleted));
+    if (offerings.length === 0) {
+        const listing = await getListing(listingId);
+        return updateInventory(listingId, {
+            products: [{
+                sku: '',
+                property_values: [],
+                offerings: [{ price, quantity: listing?.quantity || 1, is_enabled: true }]
+            }],
+            price_on_property: [],
+            quantity_on_property: [],
+            sku_on_property: []
+        });
     }
+    const shift = price - Math.min(...offerings.map(amount));
+
+    return updateInventory(listingId, {
+        products: inventory.products.map(product => ({
+            sku: product.sku || '',
+            property_values: product.property_values.map(value => ({
+                property_id: value.property_id,
+                property_name: value.property_name,
+                ...(value.scale_id ? { scale_id: value.scale_id } : {}),
+                value_ids: value.value_ids,
+                values: value.values
+            })),
+            offerings: product.offerings.filter(o => !o.is_deleted).map(offering => ({
+                price: Math.round((amount(offering) + shift) * 100) / 100,
+                quantity: offering.quantity,
+                is_enabled: offering.is_enabled
+            }))
+        })),
+        price_on_property: inventory.price_on_property || [],
+        quantity_on_property: inventory.quantity_on_property || [],
+        sku_on_property: inventory.sku_on_property || []
+    });
+}
 
-    const listingUrl = `https://www.etsy.com/listing/${listingId}`;
-    console.log(`   🔗 View draft: ${listingUrl}`);
+/**
+ * Upload a new primary image and remove the listing's previous images
+ */
+export async function replaceListingImages(listingId, imagePath, { altText = null } = {}) {
+    if (!imagePath || !fs.existsSync(imagePath)) throw new Error('Image file not found');
+    const shopId = connectedShopId();
+    const existing = await etsyRequest('GET', `/listings/${listingId}/images`);
+    const uploaded = await uploadImageMultipart(listingId, imagePath, { rank: 1, altText });
+    for (const image of existing?.results || []) {
+        await etsyRequest('DELETE', `/shops/${shopId}/listings/${listingId}/images/${image.listing_image_id}`);
+    }
+    return uploaded;
+}
 
-    return {
-        success: true,
-        listingId,
-        listingUrl,
-        title: listing.title
-    };
+/**
+ * Delete a listing from Etsy for good
+ */
+export async function deleteListing(listingId) {
+    return etsyRequest('DELETE', `/listings/${listingId}`);
 }
 
-export default { createDraftListing };
+export default {
+    createDraftListing, findDraftListing, tagDraftListing, setDraftVariations, uploadDraftImage,
+    getListing, updateListing, setListingPrice, replaceListingImages, deleteListing
+};
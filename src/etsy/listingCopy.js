@@ -0,0 +1,234 @@
+/**
+ * Etsy Listing Copy
+ * SEO copy for a design's listing — a keyword-rich title, a description, 13 tags and the image's alt
+ * text — written by the chat client (stage "copy") from the design idea and the run's trends.
+ * The copy is cleaned up and checked against Etsy's rules, then stored on the design
+ * (design.listingCopy) so it can be reviewed and edited in the gallery before upload.
+ * buildListingPayload() uses it instead of the templated title, description and tags.
+ *
+ * Etsy's rules (Open API v3 createDraftListing / uploadListingImage):
+ *   title     at most 140 characters of letters, numbers, punctuation, math symbols, spaces, ™ © ®;
+ *             % : & + at most once each
+ *   tags      at most 13, each at most 20 characters of letters, numbers, spaces, - ' ™ © ®
+ *   alt text  at most 500 characters
+ */
+
+import dotenv from 'dotenv';
+import { findDesignIds, getDesign, updateDesign } from '../catalog/designCatalog.js';
+import { readRunJson } from '../jobs/runArtifacts.js';
+import { chatCompletion, getChatSettings, isChatConfigured, parseJsonReply } from '../llm/chatClient.js';
+
+dotenv.config();
+
+export const LISTING_COPY_LIMITS = { titleLength: 140, tags: 13, tagLength: 20, altTextLength: 500 };
+
+const TITLE_INVALID = /[^\p{L}\p{Nd}\p{P}\p{Sm}\p{Zs}™©®]/u;
+const TAG_INVALID = /[^\p{L}\p{Nd}\p{Zs}\-'™©®]/u;
+const TITLE_ONCE = ['%', ':', '&', '+'];
+const MAX_TREND_CONTEXT = 10;
+
+/**
+ * Cut at the last word boundary that fits
+ */
+function truncateWords(text, limit) {
+    if (text.length <= limit) return text;
+    const cut = text.slice(0, limit + 1).replace(/\s+\S*$/, '');
+    return (cut || text.slice(0, limit)).trim();
+}
+
+/**
+ * A title Etsy accepts: invalid characters removed, % : & + kept only the first time, at most 140 characters
+ */
+export function cleanListingTitle(title) {
+    const seen = new Set();
+    const cleaned = String(title || '')
+        .replace(new RegExp(TITLE_INVALID.source, 'gu'), ' ')
+        .replace(/[%:&+]/g, char => {
+            if (!seen.has(char)) {
+                seen.add(char);
+                return char;
+            }
+            return char === '&' ? ' and ' : ' ';
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+    return truncateWords(cleaned, LISTING_COPY_LIMITS.titleLength);
+}
+
+function cleanTag(tag) {
+    const cleaned = String(tag || '')
+        .toLowerCase()
+        .replace(new RegExp(TAG_INVALID.source, 'gu'), ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return truncateWords(cleaned, LISTING_COPY_LIMITS.tagLength);
+}
+
+/**
+ * Problems with listing copy ({ title, description, tags, altText }), empty when Etsy will accept it.
+ * `partial` only checks the fields that are present (for edits of a live listing).
+ */
+export function validateListingCopy(copy, { partial = false } = {}) {
+    const { title, description, tags, altText } = copy || {};
+    const has = value => value !== undefined || !partial;
+    const errors = [];
+
+    if (has(title)) {
+        if (typeof title !== 'string' || !title.trim() || title.length > LISTING_COPY_LIMITS.titleLength) {
+            errors.push(`title must be 1-${LISTING_COPY_LIMITS.titleLength} characters`);
+        } else {
+            if (TITLE_INVALID.test(title)) errors.push('title may only contain letters, numbers, punctuation, spaces, ™, © and ®');
+            const repeated = TITLE_ONCE.filter(char => title.split(char).length > 2);
+            if (repeated.length > 0) errors.push(`title may use ${repeated.join(' ')} only once`);
+        }
+    }
+    if (has(description) && (typeof description !== 'string' || !description.trim())) {
+        errors.push('description must be a non-empty string');
+    }
+    if (has(tags)) {
+        if (!Array.isArray(tags) || tags.length > LISTING_COPY_LIMITS.tags) {
+            errors.push(`tags must be a list of at most ${LISTING_COPY_LIMITS.tags}`);
+        } else {
+            const invalid = tags.filter(tag => typeof tag !== 'string' || !tag.trim()
+                || tag.length > LISTING_COPY_LIMITS.tagLength || TAG_INVALID.test(tag));
+            if (invalid.length > 0) {
+                errors.push(`tags must be at most ${LISTING_COPY_LIMITS.tagLength} characters of letters, numbers, spaces, - and ' (${invalid.map(String).join(', ')})`);
+            }
+            if (new Set(tags.map(tag => String(tag).trim().toLowerCase())).size !== tags.length) errors.push('tags must not repeat');
+        }
+    }
+    if (altText !== undefined && altText !== null
+        && (typeof altText !== 'string' || altText.length > LISTING_COPY_LIMITS.altTextLength)) {
+        errors.push(`altText must be at most ${LISTING_COPY_LIMITS.altTextLength} characters`);
+    }
+    return errors;
+}
+
+/**
+ * Tags to fill up with when the model returns fewer than 13 usable ones
+ */
+function fallbackTags(idea) {
+    return [
+        'graphic tee',
+        'tshirt',
+        ...String(idea.style || '').split(/[,/]/),
+        ...String(idea.mood || '').split(/[,/]/),
+        ...String(idea.colorScheme || '').split(/[,/]/),
+        'gift idea'
+    ];
+}
+
+/**
+ * Bring model output (or hand-edited copy) within Etsy's rules: cleaned title and tags, duplicates
+ * removed, tags topped up to 13 from the idea when `idea` is given
+ */
+export function normalizeListingCopy(raw, idea = null) {
+    const tags = [];
+    for (const tag of [...(Array.isArray(raw.tags) ? raw.tags : []), ...(idea ? fallbackTags(idea) : [])]) {
+        const cleaned = cleanTag(tag);
+        if (cleaned && !tags.includes(cleaned)) tags.push(cleaned);
+        if (tags.length === LISTING_COPY_LIMITS.tags) break;
+    }
+    return {
+        title: cleanListingTitle(raw.title),
+        description: String(raw.description || '').trim(),
+        tags,
+        altText: truncateWords(String(raw.altText || '').replace(/\s+/g, ' ').trim(), LISTING_COPY_LIMITS.altTextLength)
+    };
+}
+
+/**
+ * Trend titles and snippets behind the design (its lineage, plus the run's trend file for the content)
+ */
+function trendContext(design) {
+    const runTrends = design.runId ? readRunJson(design.runId, 'trends.json', []) : [];
+    const titles = new Set((design.trends || []).map(trend => trend.title));
+    const trends = (titles.size > 0 ? runTrends.filter(trend => titles.has(trend.title)) : runTrends)
+        .slice(0, MAX_TREND_CONTEXT);
+    return trends.map(trend => `- ${trend.title}: ${String(trend.content || '').slice(0, 200)}`).join('\n');
+}
+
+/**
+ * Ask the model for the design's listing copy. Resolves { title, description, tags, altText,
+ * generatedAt, model }; throws when the reply can't be made valid.
+ */
+export async function writeListingCopy(design, { signal } = {}) {
+    const idea = design.idea || design;
+    const llm = getChatSettings('copy');
+    const messages = [
+        {
+            role: 'system',
+            content: 'You are an Etsy SEO copywriter for a print-on-demand T-shirt shop. You write listing copy that '
+                + 'ranks in Etsy search: titles lead with the phrases buyers type, tags cover different long-tail '
+                + 'searches (occasions, recipients, styles, themes), descriptions are warm and scannable. '
+                + 'Never claim brands, licensed characters or trademarks. Output valid JSON only.'
+        },
+        {
+            role: 'user',
+            content: `Write the Etsy listing for this T-shirt design.
+
+Design title: ${idea.title || design.title}
+Theme: ${idea.theme || design.description || ''}
+Style: ${idea.style || design.style || ''}
+Colors: ${idea.colorScheme || design.colorScheme || ''}
+Design elements: ${idea.designElements || ''}
+Mood: ${idea.mood || design.mood || ''}
+
+Trends it is based on:
+${trendContext(design) || '- (none recorded)'}
+
+Rules:
+1. "title": at most 140 characters, most important keywords first, no ALL CAPS; only letters, numbers, punctuation, spaces; use each of % : & + at most once; no $ ^ or emoji.
+2. "description": 3-5 short paragraphs about the design, who it's for and occasions; no sizing or shipping details (those are added automatically).
+3. "tags": exactly 13 different search phrases, each at most 20 characters, only letters, numbers, spaces, hyphens and apostrophes.
+4. "altText": one sentence (at most 500 characters) describing the printed design for screen readers.
+
+Return ONLY this JSON:
+{ "title": "String", "description": "String", "tags": ["String"], "altText": "String" }`
+        }
+    ];
+
+    const reply = await chatCompletion(messages, { stage: 'copy', json: true, signal });
+    const copy = normalizeListingCopy(parseJsonReply(reply), idea);
+    const errors = validateListingCopy(copy);
+    if (errors.length > 0) throw new Error(`Listing copy rejected: ${errors.join('; ')}`);
+    return { ...copy, generatedAt: new Date().toISOString(), model: `${llm.provider}/${llm.model}`, editedAt: null };
+}
+
+/**
+ * Listing copy stage: write copy for a run's generated designs that don't have any yet.
+ * A design whose copy fails keeps the template title/description/tags; the run carries on.
+ * @returns {{ written: number, skipped: number, failed: number }}
+ */
+export async function generateListingCopy({ runId, signal, force = false } = {}) {
+    const llm = getChatSettings('copy');
+    const designs = findDesignIds({ runId, status: 'generated' })
+        .map(id => getDesign(id))
+        .filter(Boolean);
+    const pending = designs.filter(design => force || !design.listingCopy);
+    const counts = { written: 0, skipped: designs.length - pending.length, failed: 0 };
+
+    if (!isChatConfigured('copy')) {
+        console.log(`   ⚠️ LLM provider "${llm.provider}" is not configured — listings use the template title, description and tags`);
+        return { ...counts, skipped: designs.length };
+    }
+
+    console.log(`\n✍️ Writing Etsy listing copy for ${pending.length} design(s) (via ${llm.provider} / ${llm.model})...`);
+    for (const design of pending) {
+        try {
+            const listingCopy = await writeListingCopy(design, { signal });
+            updateDesign(design.id, { listingCopy });
+            console.log(`   ✅ "${listingCopy.title}" (${listingCopy.tags.length} tags)`);
+            counts.written++;
+        } catch (e) {
+            if (signal?.aborted) throw e;
+            console.log(`   ⚠️ Listing copy failed for "${design.title}": ${e.message}`);
+            counts.failed++;
+        }
+    }
+    return counts;
+}
+
+export default {
+    LISTING_COPY_LIMITS, cleanListingTitle, validateListingCopy, normalizeListingCopy, writeListingCopy, generateListingCopy
+};
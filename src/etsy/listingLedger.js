@@ -0,0 +1,125 @@
+/**
+ * Etsy Listing Ledger
+ * Which design became which Etsy listing, and what state that listing is in, kept in
+ * data/etsy-listings.json (keyed by design ID). Read from disk on every call, so the server and
+ * a CLI workflow run see each other's uploads.
+ *
+ * Entry: { designId, listingId, shopId, state, title, listingUrl, template, createdAt, updatedAt,
+ *          publishedAt, syncedAt, lastError }
+ * States: creating (upload in progress), draft, active, inactive, sold_out, expired, deleted
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.join(__dirname, '..', '..');
+
+const LEDGER_PATH = path.join(rootDir, 'data', 'etsy-listings.json');
+const STALE_CREATING_MS = 10 * 60 * 1000; // A "creating" entry older than this was left by a crashed upload
+
+export const LISTING_STATES = ['creating', 'draft', 'active', 'inactive', 'sold_out', 'expired', 'deleted'];
+
+function load() {
+    if (!fs.existsSync(LEDGER_PATH)) return {};
+    return JSON.parse(fs.readFileSync(LEDGER_PATH, 'utf-8')).listings || {};
+}
+
+function save(listings) {
+    fs.mkdirSync(path.dirname(LEDGER_PATH), { recursive: true });
+    fs.writeFileSync(`${LEDGER_PATH}.tmp`, JSON.stringify({ listings }, null, 2));
+    fs.renameSync(`${LEDGER_PATH}.tmp`, LEDGER_PATH);
+}
+
+export function getListingEntry(designId) {
+    return load()[String(designId)] || null;
+}
+
+/**
+ * Ledger entries for several designs at once: { [designId]: entry }
+ */
+export function getListingEntries(designIds) {
+    const listings = load();
+    const result = {};
+    for (const id of designIds) {
+        if (listings[String(id)]) result[String(id)] = listings[String(id)];
+    }
+    return result;
+}
+
+/**
+ * All entries, most recently changed first (optionally only some states)
+ */
+export function listListingEntries({ states } = {}) {
+    return Object.values(load())
+        .filter(entry => !states || states.includes(entry.state))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Whether the design has a listing on Etsy (or one being created right now)
+ */
+export function isListed(entry) {
+    if (!entry || entry.state === 'deleted') return false;
+    if (entry.state === 'creating') return Date.now() - Date.parse(entry.updatedAt) < STALE_CREATING_MS;
+    return true;
+}
+
+/**
+ * Claim a design for upload. Returns false when it is already listed (or being listed),
+ * so a second click can't create a duplicate.
+ */
+export function reserveListing(designId) {
+    const listings = load();
+    const id = String(designId);
+    if (isListed(listings[id])) return false;
+    const now = new Date().toISOString();
+    listings[id] = {
+        designId: id,
+        listingId: null,
+        state: 'creating',
+        createdAt: now,
+        updatedAt: now,
+        lastError: null
+    };
+    save(listings);
+    return true;
+}
+
+/**
+ * Drop a reservation whose upload failed before a listing existed
+ */
+export function releaseListing(designId) {
+    const listings = load();
+    if (listings[String(designId)]?.state !== 'creating') return;
+    delete listings[String(designId)];
+    save(listings);
+}
+
+/**
+ * Merge fields into a design's entry (creating it if needed). Returns the entry.
+ */
+export function recordListing(designId, fields) {
+    if (fields.state && !LISTING_STATES.includes(fields.state)) {
+        throw new Error(`Unknown listing state "${fields.state}"`);
+    }
+    const listings = load();
+    const id = String(designId);
+    const now = new Date().toISOString();
+    listings[id] = {
+        designId: id,
+        createdAt: now,
+        ...listings[id],
+        ...fields,
+        updatedAt: now
+    };
+    save(listings);
+    return listings[id];
+}
+
+export default {
+    LISTING_STATES, getListingEntry, getListingEntries, listListingEntries, isListed,
+    reserveListing, releaseListing, recordListing
+};
@@ -0,0 +1,194 @@
+/**
+ * Etsy Listing Sync
+ * Ties designs to their Etsy listings through the ledger (listingLedger.js): a design gets at most
+ * one listing, created as a draft through the upload outbox (uploadOutbox.js) and later published,
+ * edited, re-imaged, deactivated or deleted from the app. The design's etsyListingId is kept in step,
+ * so catalog filters stay correct.
+ */
+
+import { getDesign, updateDesign } from '../catalog/designCatalog.js';
+import { resolveImageFile } from '../jobs/runArtifacts.js';
+import { getListing, updateListing, setListingPrice, replaceListingImages, deleteListing } from './etsyUploader.js';
+import { LISTING_STATES, getListingEntry, recordListing } from './listingLedger.js';
+import { enqueueUpload, processUpload } from './uploadOutbox.js';
+import { validateListingCopy } from './listingCopy.js';
+import { HttpStatusError } from '../http/httpClient.js';
+
+/**
+ * The idea a draft is built from (older designs have no stored idea), with the design's listing copy
+ */
+export function designIdea(design) {
+    const idea = design.idea || {
+        title: design.title,
+        theme: design.description,
+        style: design.style,
+        colorScheme: design.colorScheme,
+        mood: design.mood
+    };
+    return design.listingCopy ? { ...idea, listingCopy: design.listingCopy } : idea;
+}
+
+/**
+ * The listing state Etsy reports, or `fallback` for states the ledger doesn't track
+ */
+function etsyState(listing, fallback) {
+    return LISTING_STATES.includes(listing?.state) ? listing.state : fallback;
+}
+
+/**
+ * The design's ledger entry. Designs uploaded before the ledger existed only carry etsyListingId;
+ * they get an entry on first use (state unknown until synced, assumed draft).
+ */
+function ledgerEntry(designId) {
+    const entry = getListingEntry(designId);
+    if (entry) return entry;
+    const design = getDesign(designId);
+    if (!design?.etsyListingId) return null;
+    return recordListing(designId, {
+        listingId: design.etsyListingId,
+        state: 'draft',
+        title: design.title,
+        listingUrl: `https://www.etsy.com/listing/${design.etsyListingId}`
+    });
+}
+
+function requireListing(designId) {
+    const entry = ledgerEntry(designId);
+    if (!entry?.listingId || entry.state === 'deleted') throw new Error(`Design ${designId} has no Etsy listing`);
+    return entry;
+}
+
+/**
+ * Queue the design's draft listing in the upload outbox (unless it already has a listing or an
+ * upload in progress) and run the upload straight away. Failed steps stay queued for retry.
+ * @returns {{ queued: boolean, upload: object|null, entry: object }} queued=false means the existing
+ *   upload / ledger entry is returned; upload.status 'done' means the draft is complete
+ */
+export async function uploadDesign(design, idea = designIdea(design)) {
+    ledgerEntry(design.id);
+    const { queued, upload } = enqueueUpload(design, idea);
+    if (!queued) return { queued, upload, entry: getListingEntry(design.id) };
+    return { queued, upload: await processUpload(design.id), entry: getListingEntry(design.id) };
+}
+
+/**
+ * Upload several designs one after another (a workflow run's approved designs).
+ * @param {object[]} designs
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Stops before the next design when the run is cancelled
+ * @returns {{ done: number, retrying: number, failed: number, skipped: number }} skipped = already on Etsy or queued
+ */
+export async function uploadDesigns(designs, { signal } = {}) {
+    const counts = { done: 0, retrying: 0, failed: 0, skipped: 0 };
+    for (const design of designs) {
+        signal?.throwIfAborted();
+        const { queued, upload } = await uploadDesign(design);
+        if (!queued) counts.skipped++;
+        else if (upload.status === 'done') counts.done++;
+        else if (upload.status === 'failed') counts.failed++;
+        else counts.retrying++;
+    }
+    return counts;
+}
+
+/**
+ * Publish the design's draft (Etsy charges the listing fee at this point)
+ */
+export async function publishDesignListing(designId) {
+    const entry = requireListing(designId);
+    try {
+        const listing = await updateListing(entry.listingId, { state: 'active' });
+        return recordListing(designId, { state: etsyState(listing, 'active'), publishedAt: new Date().toISOString(), lastError: null });
+    } catch (e) {
+        recordListing(designId, { lastError: e.message });
+        throw e;
+    }
+}
+
+/**
+ * Take an active listing off the shop without deleting it
+ */
+export async function deactivateDesignListing(designId) {
+    const entry = requireListing(designId);
+    const listing = await updateListing(entry.listingId, { state: 'inactive' });
+    return recordListing(designId, { state: etsyState(listing, 'inactive'), lastError: null });
+}
+
+/**
+ * Problems with listing edits ({ title, description, tags, price }), or null when they are valid
+ */
+export function validateListingEdits({ title, description, tags, price }) {
+    const [problem] = validateListingCopy({ title, description, tags }, { partial: true });
+    if (problem) return problem;
+    if (price !== undefined && !(typeof price === 'number' && price >= 0.2)) {
+        return 'price must be a number of at least 0.20';
+    }
+    return null;
+}
+
+/**
+ * Edit the title, description, tags and/or price of the design's listing
+ */
+export async function updateDesignListing(designId, { title, description, tags, price }) {
+    const entry = requireListing(designId);
+    const fields = {
+        ...(title !== undefined ? { title: title.trim() } : {}),
+        ...(description !== undefined ? { description } : {}),
+        ...(tags !== undefined ? { tags: tags.map(tag => tag.trim()) } : {})
+    };
+
+    const listing = Object.keys(fields).length > 0 ? await updateListing(entry.listingId, fields) : null;
+    if (price !== undefined) await setListingPrice(entry.listingId, price);
+    return recordListing(designId, {
+        ...(listing ? { title: listing.title, state: etsyState(listing, entry.state) } : {}),
+        ...(price !== undefined ? { price } : {}),
+        lastError: null
+    });
+}
+
+/**
+ * Replace the listing's images with the design's current image (e.g. after regenerating it)
+ */
+export async function replaceDesignListingImage(designId) {
+    const entry = requireListing(designId);
+    const design = getDesign(designId);
+    if (!design?.imagePath) throw new Error(`Design ${designId} has no image`);
+    await replaceListingImages(entry.listingId, resolveImageFile(design.imagePath), { altText: design.listingCopy?.altText || null });
+    return recordListing(designId, { imageVersion: design.version || 1, lastError: null });
+}
+
+/**
+ * Delete the listing on Etsy. The design can be uploaded again afterwards.
+ */
+export async function deleteDesignListing(designId) {
+    const entry = requireListing(designId);
+    await deleteListing(entry.listingId);
+    updateDesign(designId, { etsyListingId: null });
+    return recordListing(designId, { state: 'deleted', deletedAt: new Date().toISOString(), lastError: null });
+}
+
+/**
+ * Refresh the ledger state from Etsy (listings also change in the Etsy dashboard)
+ */
+export async function syncDesignListing(designId) {
+    const entry = requireListing(designId);
+    let listing;
+    try {
+        listing = await getListing(entry.listingId);
+    } catch (e) {
+        if (!(e instanceof HttpStatusError) || e.status !== 404) throw e;
+        // Deleted in the Etsy dashboard
+        updateDesign(designId, { etsyListingId: null });
+        return recordListing(designId, { state: 'deleted', deletedAt: new Date().toISOString(), syncedAt: new Date().toISOString() });
+    }
+    return recordListing(designId, {
+        state: etsyState(listing, entry.state),
+        title: listing.title,
+        syncedAt: new Date().toISOString()
+    });
+}
+
+export default {
+    designIdea, uploadDesign, uploadDesigns, publishDesignListing, deactivateDesignListing, validateListingEdits,
+    updateDesignListing, replaceDesignListingImage, deleteDesignListing, syncDesignListing
+};
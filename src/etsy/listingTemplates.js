@@ -0,0 +1,312 @@
+/**
+ * Etsy Listing Templates
+ * Everything a draft listing is created with besides the design itself: category, price rules,
+ * shipping profile, return policy, production partners, processing time and size/color variations.
+ * Read from listing-templates.json (ETSY_LISTING_TEMPLATES overrides the path) on every upload,
+ * so edits apply to the next draft without a restart.
+ *
+ * {
+ *   "defaultProductType": "tshirt",
+ *   "defaults":     { ...template },                     // every listing
+ *   "productTypes": { "tshirt": { ...template } },       // idea.productType, else defaultProductType
+ *   "shops":        { "<shopId>": { ...template, "productTypes": { "tshirt": { ...template } } } }
+ * }
+ * Layers merge in the order defaults → shop → product type → shop product type (objects merge,
+ * everything else — including arrays — is replaced).
+ *
+ * Template fields:
+ *   taxonomyId, quantity, whoMade, whenMade, isSupply, materials[], tags[], descriptionFooter[]
+ *   shippingProfileId, returnPolicyId, productionPartnerIds[]   (IDs from your Etsy Shop Manager)
+ *   processing: { readinessStateId } or { minDays, maxDays }
+ *   pricing: { basePrice, sizeSurcharges: { "2XL": 2 }, colorSurcharges: { "Red": 1 }, priceEnding: 0.99 }
+ *   variations: { sizes[], colors[], skuPrefix, sizePropertyId = 513, colorPropertyId = 514 }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { cleanListingTitle } from './listingCopy.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.join(__dirname, '..', '..');
+
+const DEFAULT_TEMPLATES_PATH = path.join(rootDir, 'listing-templates.json');
+
+// Etsy's custom variation properties, valid in every taxonomy
+const CUSTOM_PROPERTY_1 = 513;
+const CUSTOM_PROPERTY_2 = 514;
+
+const MAX_TAGS = 13;
+const MAX_TAG_LENGTH = 20;
+
+// Used when there is no listing-templates.json: the settings drafts were created with before templates
+const BUILT_IN_TEMPLATES = {
+    defaultProductType: 'tshirt',
+    defaults: {
+        quantity: 999,
+        whoMade: 'i_did',
+        whenMade: 'made_to_order',
+        isSupply: false,
+        shippingProfileId: null,
+        returnPolicyId: null,
+        productionPartnerIds: [],
+        pricing: { basePrice: 24.99 }
+    },
+    productTypes: {
+        tshirt: {
+            taxonomyId: 1063,
+            materials: ['cotton'],
+            tags: ['tshirt', 'graphic tee', 'ai art'],
+            descriptionFooter: ['✅ High-quality print-on-demand t-shirt', '✅ Unisex sizing available', '✅ Ships worldwide']
+        }
+    },
+    shops: {}
+};
+
+function templatesPath() {
+    return process.env.ETSY_LISTING_TEMPLATES
+        ? path.resolve(rootDir, process.env.ETSY_LISTING_TEMPLATES)
+        : DEFAULT_TEMPLATES_PATH;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function mergeTemplates(...layers) {
+    const result = {};
+    for (const layer of layers) {
+        for (const [key, value] of Object.entries(layer || {})) {
+            result[key] = isPlainObject(value) && isPlainObject(result[key])
+                ? mergeTemplates(result[key], value)
+                : value;
+        }
+    }
+    return result;
+}
+
+/**
+ * The whole template file (built-in defaults when it doesn't exist)
+ */
+export function loadListingTemplates() {
+    const file = templatesPath();
+    if (!fs.existsSync(file)) return BUILT_IN_TEMPLATES;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+        throw new Error(`Could not read listing templates from ${file}: ${e.message}`);
+    }
+}
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Check a resolved template against what createDraftListing / updateListingInventory accept.
+ * Returns a list of problems (empty when valid).
+ */
+export function validateListingTemplate(template) {
+    const errors = [];
+    const pricing = template.pricing || {};
+    const variations = template.variations || {};
+    const processing = template.processing || {};
+
+    if (!isPositiveInteger(template.taxonomyId)) errors.push('taxonomyId must be an Etsy taxonomy ID');
+    if (!isPositiveInteger(template.quantity)) errors.push('quantity must be a positive integer');
+    if (!(typeof pricing.basePrice === 'number' && pricing.basePrice > 0)) errors.push('pricing.basePrice must be a positive number');
+    for (const [name, surcharges] of [['sizeSurcharges', pricing.sizeSurcharges], ['colorSurcharges', pricing.colorSurcharges]]) {
+        if (surcharges !== undefined && (!isPlainObject(surcharges) || Object.values(surcharges).some(v => typeof v !== 'number'))) {
+            errors.push(`pricing.${name} must map values to amounts`);
+        }
+    }
+    if (pricing.priceEnding != null && !(pricing.priceEnding >= 0 && pricing.priceEnding < 1)) {
+        errors.push('pricing.priceEnding must be between 0 and 1 (e.g. 0.99)');
+    }
+    for (const key of ['shippingProfileId', 'returnPolicyId']) {
+        if (template[key] != null && !isPositiveInteger(template[key])) errors.push(`${key} must be an Etsy ID or null`);
+    }
+    if (template.productionPartnerIds && (!Array.isArray(template.productionPartnerIds) || !template.productionPartnerIds.every(isPositiveInteger))) {
+        errors.push('productionPartnerIds must be a list of Etsy IDs');
+    }
+    if (processing.readinessStateId != null && !isPositiveInteger(processing.readinessStateId)) {
+        errors.push('processing.readinessStateId must be an Etsy ID');
+    }
+    if ((processing.minDays != null || processing.maxDays != null)
+        && !(isPositiveInteger(processing.minDays) && isPositiveInteger(processing.maxDays) && processing.minDays <= processing.maxDays)) {
+        errors.push('processing.minDays and maxDays must be whole days, min ≤ max');
+    }
+    for (const key of ['sizes', 'colors']) {
+        const values = variations[key];
+        if (values === undefined) continue;
+        if (!Array.isArray(values) || !values.every(v => typeof v === 'string' && v.trim())) {
+            errors.push(`variations.${key} must be a list of names`);
+        } else if (new Set(values).size !== values.length) {
+            errors.push(`variations.${key} has duplicates`);
+        }
+    }
+    if ((variations.sizes?.length || 0) * (variations.colors?.length || 1) > 400) {
+        errors.push('variations allow at most 400 size/color combinations');
+    }
+    if (template.tags && !Array.isArray(template.tags)) errors.push('tags must be a list');
+    if (template.materials && !Array.isArray(template.materials)) errors.push('materials must be a list');
+    return errors;
+}
+
+/**
+ * The template for a shop and product type, validated. Throws when it can't be used.
+ * @returns {object} template with `name` (the product type)
+ */
+export function resolveListingTemplate({ shopId = null, productType = null } = {}) {
+    const config = loadListingTemplates();
+    const name = productType || config.defaultProductType || 'default';
+    if (productType && !config.productTypes?.[productType]) {
+        throw new Error(`No listing template for product type "${productType}" in ${path.basename(templatesPath())}`);
+    }
+
+    const { productTypes: shopProductTypes, ...shopTemplate } = (shopId && config.shops?.[shopId]) || {};
+    const template = mergeTemplates(
+        config.defaults,
+        shopTemplate,
+        config.productTypes?.[name],
+        shopProductTypes?.[name]
+    );
+
+    const errors = validateListingTemplate(template);
+    if (errors.length > 0) throw new Error(`Invalid listing template "${name}": ${errors.join('; ')}`);
+    return { ...template, name };
+}
+
+function applyPriceEnding(price, ending) {
+    if (ending == null) return price;
+    return Math.ceil(price - ending) + ending;
+}
+
+/**
+ * Price of one size/color combination: base price plus surcharges, rounded up to the price ending
+ */
+export function priceFor(template, { size = null, color = null } = {}) {
+    const pricing = template.pricing;
+    const price = pricing.basePrice
+        + (size ? pricing.sizeSurcharges?.[size] || 0 : 0)
+        + (color ? pricing.colorSurcharges?.[color] || 0 : 0);
+    return Math.round(applyPriceEnding(price, pricing.priceEnding) * 100) / 100;
+}
+
+/**
+ * Etsy tags: lower-case, at most 20 characters, no duplicates, at most 13
+ */
+function listingTags(template, idea) {
+    const candidates = [
+        ...(template.tags || []),
+        (idea.style || 'design').toLowerCase().replace(/\s+/g, ' ').split(' ').slice(0, 2).join(' '),
+        (idea.mood || 'unique').toLowerCase()
+    ];
+    const tags = candidates
+        .map(tag => String(tag).replace(/[^\p{L}\p{N}\s'-]/gu, ' ').replace(/\s+/g, ' ').trim().slice(0, MAX_TAG_LENGTH).trim())
+        .filter(Boolean);
+    return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+function listingDescription(template, idea) {
+    return [
+        idea.theme || '',
+        '',
+        `Style: ${idea.style || 'Graphic Design'}`,
+        `Colors: ${idea.colorScheme || ''}`,
+        '',
+        idea.designElements ? `Design Elements: ${idea.designElements}` : '',
+        '',
+        ...(template.descriptionFooter || [])
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Description from the listing copy, followed by the template's footer lines
+ */
+function copyDescription(template, copy) {
+    return [copy.description, '', ...(template.descriptionFooter || [])].join('\n').trim();
+}
+
+/**
+ * Body for POST /shops/{shop_id}/listings. `price` is the lowest variation price, as Etsy shows it.
+ * Title, description and tags come from idea.listingCopy (see listingCopy.js) when the design has it.
+ */
+export function buildListingPayload(idea, template) {
+    const copy = idea.listingCopy || null;
+    const processing = template.processing || {};
+    const variations = template.variations || {};
+    const prices = (variations.sizes?.length ? variations.sizes : [null]).flatMap(size =>
+        (variations.colors?.length ? variations.colors : [null]).map(color => priceFor(template, { size, color }))
+    );
+
+    return {
+        quantity: template.quantity,
+        title: cleanListingTitle(copy?.title || idea.title),
+        description: copy?.description ? copyDescription(template, copy) : listingDescription(template, idea),
+        price: Math.min(...prices),
+        who_made: template.whoMade || 'i_did',
+        when_made: template.whenMade || 'made_to_order',
+        is_supply: Boolean(template.isSupply),
+        taxonomy_id: template.taxonomyId,
+        tags: copy?.tags?.length ? copy.tags.slice(0, MAX_TAGS) : listingTags(template, idea),
+        materials: template.materials || [],
+        shipping_profile_id: template.shippingProfileId ?? null,
+        return_policy_id: template.returnPolicyId ?? null,
+        ...(template.productionPartnerIds?.length ? { production_partner_ids: template.productionPartnerIds } : {}),
+        // A processing profile (readiness state) replaces the older min/max processing days
+        ...(processing.readinessStateId
+            ? { readiness_state_id: processing.readinessStateId }
+            : processing.minDays ? { processing_min: processing.minDays, processing_max: processing.maxDays } : {}),
+        is_draft: true // Save as draft, not published yet
+    };
+}
+
+/**
+ * Body for PUT /listings/{listing_id}/inventory, or null when the template has no variations and no `sku` is given.
+ * Sizes and colors use Etsy's custom variation properties unless the template names others.
+ * `sku` goes on every product unless the template builds per-variation SKUs from its skuPrefix.
+ */
+export function buildInventoryPayload(template, { listingId = null, sku = '' } = {}) {
+    const variations = template.variations || {};
+    const sizes = variations.sizes || [];
+    const colors = variations.colors || [];
+    if (sizes.length === 0 && colors.length === 0 && !sku) return null;
+
+    const sizePropertyId = variations.sizePropertyId || CUSTOM_PROPERTY_1;
+    const colorPropertyId = variations.colorPropertyId || CUSTOM_PROPERTY_2;
+    const skuFor = (size, color) => variations.skuPrefix
+        ? [variations.skuPrefix, listingId, size, color].filter(Boolean).join('-').replace(/\s+/g, '').toUpperCase()
+        : sku;
+
+    const products = (sizes.length ? sizes : [null]).flatMap(size =>
+        (colors.length ? colors : [null]).map(color => ({
+            sku: skuFor(size, color),
+            property_values: [
+                ...(size ? [{ property_id: sizePropertyId, property_name: 'Size', value_ids: [], values: [size] }] : []),
+                ...(color ? [{ property_id: colorPropertyId, property_name: 'Color', value_ids: [], values: [color] }] : [])
+            ],
+            offerings: [{ price: priceFor(template, { size, color }), quantity: template.quantity, is_enabled: true }]
+        }))
+    );
+
+    const variedProperties = [...(sizes.length ? [sizePropertyId] : []), ...(colors.length ? [colorPropertyId] : [])];
+    const pricing = template.pricing;
+    const priceVaries = [
+        ...(sizes.length && Object.keys(pricing.sizeSurcharges || {}).length ? [sizePropertyId] : []),
+        ...(colors.length && Object.keys(pricing.colorSurcharges || {}).length ? [colorPropertyId] : [])
+    ];
+
+    return {
+        products,
+        price_on_property: priceVaries,
+        quantity_on_property: [],
+        sku_on_property: variations.skuPrefix ? variedProperties : []
+    };
+}
+
+export default {
+    loadListingTemplates, validateListingTemplate, resolveListingTemplate, priceFor,
+    buildListingPayload, buildInventoryPayload
+};
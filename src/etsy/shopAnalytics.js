@@ -0,0 +1,317 @@
+/**
+ * Etsy Shop Analytics
+ * Periodically pulls views, favourites and sales for the listings this app created (the listing
+ * ledger) and keeps them in data/etsy-analytics.json. The report joins each listing back to its
+ * design, the design's style and the trends it came from, so /analytics can show which
+ * aesthetics actually sell. Designs whose idea named its trends count towards those only; older
+ * designs (trendAttribution "run") count towards every trend of their run.
+ *
+ * File: { shop, syncedAt, lastError, receiptsSyncedAt,
+ *         listings: { [listingId]: { listingId, views, favorites, state, updatedAt } },
+ *         sales:    { [transactionId]: { listingId, receiptId, quantity, amount, currency, soldAt } } }
+ * Sales come from the shop's receipts (needs the transactions_r scope — reconnect Etsy if it was
+ * connected before analytics existed). Receipts are fetched incrementally and de-duplicated by
+ * transaction ID.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getDesign } from '../catalog/designCatalog.js';
+import { HttpStatusError } from '../http/httpClient.js';
+import { getShopInfo, getListingsByIds, getShopReceipts } from './etsyClient.js';
+import { listListingEntries } from './listingLedger.js';
+import { getEtsyConnection, isEtsyConnected } from './tokenStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.join(__dirname, '..', '..');
+
+const ANALYTICS_PATH = path.join(rootDir, 'data', 'etsy-analytics.json');
+const DEFAULT_INTERVAL_HOURS = 6;
+const TICK_MS = 10 * 60 * 1000; // How often the server checks whether a sync is due
+const LISTING_BATCH_SIZE = 100; // Etsy's limit for getListingsByListingIds
+const RECEIPT_PAGE_SIZE = 100;
+const MAX_RECEIPT_PAGES = 20;
+const RECEIPT_OVERLAP_SECONDS = 24 * 60 * 60; // Re-read the last day so receipts paid late aren't missed
+
+let timer = null;
+let syncInFlight = null;
+
+function load() {
+    if (!fs.existsSync(ANALYTICS_PATH)) return { listings: {}, sales: {} };
+    const data = JSON.parse(fs.readFileSync(ANALYTICS_PATH, 'utf-8'));
+    return { ...data, listings: data.listings || {}, sales: data.sales || {} };
+}
+
+function save(data) {
+    fs.mkdirSync(path.dirname(ANALYTICS_PATH), { recursive: true });
+    fs.writeFileSync(`${ANALYTICS_PATH}.tmp`, JSON.stringify(data, null, 2));
+    fs.renameSync(`${ANALYTICS_PATH}.tmp`, ANALYTICS_PATH);
+}
+
+/**
+ * Hours between syncs (ETSY_ANALYTICS_INTERVAL_HOURS, 0 turns background syncing off)
+ */
+function syncIntervalMs() {
+    const hours = Number(process.env.ETSY_ANALYTICS_INTERVAL_HOURS ?? DEFAULT_INTERVAL_HOURS);
+    return Number.isFinite(hours) && hours > 0 ? hours * 60 * 60 * 1000 : 0;
+}
+
+function money(price) {
+    return price?.divisor ? price.amount / price.divisor : 0;
+}
+
+/**
+ * Listings the app created that still exist on Etsy
+ */
+function trackedEntries() {
+    return listListingEntries().filter(entry => entry.listingId && !['creating', 'deleted'].includes(entry.state));
+}
+
+async function fetchListingStats(listingIds) {
+    const stats = {};
+    for (let i = 0; i < listingIds.length; i += LISTING_BATCH_SIZE) {
+        const { results = [] } = await getListingsByIds(listingIds.slice(i, i + LISTING_BATCH_SIZE));
+        for (const listing of results) {
+            stats[listing.listing_id] = {
+                listingId: listing.listing_id,
+                views: listing.views || 0,
+                favorites: listing.num_favorers || 0,
+                state: listing.state || null,
+                updatedAt: new Date().toISOString()
+            };
+        }
+    }
+    return stats;
+}
+
+/**
+ * Transactions for our listings in receipts created since `minCreated` (Unix seconds)
+ */
+async function fetchSales(shopId, listingIds, minCreated) {
+    const ours = new Set(listingIds.map(String));
+    const sales = {};
+    for (let page = 0; page < MAX_RECEIPT_PAGES; page++) {
+        const { results = [] } = await getShopReceipts(shopId, {
+            minCreated, limit: RECEIPT_PAGE_SIZE, offset: page * RECEIPT_PAGE_SIZE
+        });
+        for (const receipt of results) {
+            if (receipt.is_paid === false) continue;
+            for (const transaction of receipt.transactions || []) {
+                if (!ours.has(String(transaction.listing_id))) continue;
+                sales[transaction.transaction_id] = {
+                    listingId: transaction.listing_id,
+                    receiptId: receipt.receipt_id,
+                    quantity: transaction.quantity || 1,
+                    amount: money(transaction.price) * (transaction.quantity || 1),
+                    currency: transaction.price?.currency_code || null,
+                    soldAt: new Date((transaction.created_timestamp || receipt.created_timestamp) * 1000).toISOString()
+                };
+            }
+        }
+        if (results.length < RECEIPT_PAGE_SIZE) break;
+    }
+    return sales;
+}
+
+async function runSync() {
+    const connection = getEtsyConnection();
+    if (!connection?.accessToken || !connection.shopId) {
+        throw new Error('Etsy is not connected — authorize at /auth/etsy/start');
+    }
+    const data = load();
+    const entries = trackedEntries();
+    const listingIds = entries.map(entry => entry.listingId);
+    const startedAt = Math.floor(Date.now() / 1000);
+    const errors = [];
+
+    try {
+        const shop = await getShopInfo(connection.shopId);
+        data.shop = {
+            shopId: shop.shop_id,
+            name: shop.shop_name,
+            url: shop.url,
+            currency: shop.currency_code,
+            totalSales: shop.transaction_sold_count ?? null,
+            favorites: shop.num_favorers ?? null
+        };
+    } catch (e) {
+        errors.push(`shop: ${e.message}`);
+    }
+
+    if (listingIds.length > 0) {
+        try {
+            Object.assign(data.listings, await fetchListingStats(listingIds));
+        } catch (e) {
+            errors.push(`listings: ${e.message}`);
+        }
+
+        // First sync reads back to the oldest tracked listing
+        const oldest = Math.min(...entries.map(entry => Date.parse(entry.createdAt) / 1000).filter(Number.isFinite));
+        const minCreated = data.receiptsSyncedAt
+            ? data.receiptsSyncedAt - RECEIPT_OVERLAP_SECONDS
+            : Math.floor(Number.isFinite(oldest) ? oldest : startedAt - RECEIPT_OVERLAP_SECONDS);
+        try {
+            Object.assign(data.sales, await fetchSales(connection.shopId, listingIds, minCreated));
+            data.receiptsSyncedAt = startedAt;
+        } catch (e) {
+            if (e instanceof HttpStatusError && (e.status === 401 || e.status === 403)) {
+                errors.push('sales: Etsy refused access to receipts — reconnect Etsy at /auth/etsy/start to grant transactions_r');
+            } else {
+                errors.push(`sales: ${e.message}`);
+            }
+        }
+    }
+
+    data.syncedAt = new Date().toISOString();
+    data.lastError = errors.length > 0 ? errors.join('; ') : null;
+    save(data);
+    return { listings: listingIds.length, sales: Object.keys(data.sales).length, errors };
+}
+
+/**
+ * Pull the latest views, favourites and sales from Etsy. Concurrent calls share one sync.
+ * @returns {{ listings: number, sales: number, errors: string[] }}
+ */
+export function syncShopAnalytics() {
+    if (!syncInFlight) {
+        syncInFlight = runSync().finally(() => { syncInFlight = null; });
+    }
+    return syncInFlight;
+}
+
+function addTotals(target, row) {
+    target.listings++;
+    target.views += row.views;
+    target.favorites += row.favorites;
+    target.orders += row.orders;
+    target.units += row.units;
+    target.revenue += row.revenue;
+}
+
+function emptyTotals(fields = {}) {
+    return { ...fields, listings: 0, views: 0, favorites: 0, orders: 0, units: 0, revenue: 0 };
+}
+
+function withRates(group) {
+    return {
+        ...group,
+        revenue: Math.round(group.revenue * 100) / 100,
+        conversion: group.views > 0 ? group.units / group.views : null
+    };
+}
+
+function bestSellingFirst(a, b) {
+    return b.units - a.units || b.revenue - a.revenue || b.favorites - a.favorites || b.views - a.views;
+}
+
+/**
+ * Listing stats joined to designs, plus totals per style and per trend (runLevelListings: how many
+ * of a trend's listings are only credited to it because it was part of their design's run).
+ * @returns {{ shop, syncedAt, lastError, currency, totals, listings: object[], styles: object[], trends: object[] }}
+ */
+export function getShopAnalytics() {
+    const data = load();
+    const salesByListing = {};
+    for (const sale of Object.values(data.sales)) {
+        const totals = salesByListing[sale.listingId] ||= { orders: new Set(), units: 0, revenue: 0, lastSoldAt: null };
+        totals.orders.add(sale.receiptId);
+        totals.units += sale.quantity;
+        totals.revenue += sale.amount;
+        if (!totals.lastSoldAt || sale.soldAt > totals.lastSoldAt) totals.lastSoldAt = sale.soldAt;
+    }
+
+    const listings = listListingEntries()
+        .filter(entry => entry.listingId && entry.state !== 'creating')
+        .filter(entry => entry.state !== 'deleted' || salesByListing[entry.listingId])
+        .map(entry => {
+            const design = getDesign(entry.designId);
+            const stats = data.listings[entry.listingId] || {};
+            const sales = salesByListing[entry.listingId];
+            return withRates({
+                designId: entry.designId,
+                listingId: entry.listingId,
+                listingUrl: entry.listingUrl,
+                title: entry.title || design?.title || null,
+                state: entry.state,
+                imagePath: design?.imagePath || null,
+                style: design?.style || null,
+                mood: design?.mood || null,
+                runId: design?.runId || null,
+                trends: design?.trends || [],
+                trendAttribution: design?.trendAttribution || 'run',
+                views: stats.views || 0,
+                favorites: stats.favorites || 0,
+                orders: sales ? sales.orders.size : 0,
+                units: sales?.units || 0,
+                revenue: sales?.revenue || 0,
+                lastSoldAt: sales?.lastSoldAt || null,
+                statsUpdatedAt: stats.updatedAt || null
+            });
+        })
+        .sort(bestSellingFirst);
+
+    const totals = emptyTotals();
+    const styles = new Map();
+    const trends = new Map();
+    for (const row of listings) {
+        addTotals(totals, row);
+        const style = row.style || 'Unknown';
+        if (!styles.has(style)) styles.set(style, emptyTotals({ style }));
+        addTotals(styles.get(style), row);
+        for (const trend of row.trends) {
+            const key = trend.id || trend.title;
+            if (!trends.has(key)) {
+                trends.set(key, { ...emptyTotals({ id: trend.id || null, title: trend.title, source: trend.source || null }), runLevelListings: 0 });
+            }
+            addTotals(trends.get(key), row);
+            if (row.trendAttribution === 'run') trends.get(key).runLevelListings++;
+        }
+    }
+
+    const currency = data.shop?.currency || Object.values(data.sales).find(sale => sale.currency)?.currency || null;
+    return {
+        shop: data.shop || null,
+        syncedAt: data.syncedAt || null,
+        lastError: data.lastError || null,
+        currency,
+        totals: withRates(totals),
+        listings,
+        styles: [...styles.values()].map(withRates).sort(bestSellingFirst),
+        trends: [...trends.values()].map(withRates).sort(bestSellingFirst)
+    };
+}
+
+function isDue() {
+    const interval = syncIntervalMs();
+    if (!interval) return false;
+    const { syncedAt } = load();
+    return !syncedAt || Date.now() - Date.parse(syncedAt) >= interval;
+}
+
+/**
+ * Sync analytics in the background whenever the last sync is older than the interval (server only)
+ */
+export function startShopAnalytics() {
+    if (timer || !syncIntervalMs()) return;
+    const tick = async () => {
+        if (syncInFlight || !isEtsyConnected() || !isDue()) return;
+        try {
+            const result = await syncShopAnalytics();
+            console.log(`   📈 Shop analytics: ${result.listings} listing(s), ${result.sales} sale(s)${result.errors.length ? ` — ${result.errors.join('; ')}` : ''}`);
+        } catch (e) {
+            console.error(`Shop analytics sync failed: ${e.message}`);
+        }
+    };
+    timer = setInterval(tick, TICK_MS);
+    timer.unref();
+    tick();
+}
+
+export function stopShopAnalytics() {
+    clearInterval(timer);
+    timer = null;
+}
+
+export default { syncShopAnalytics, getShopAnalytics, startShopAnalytics, stopShopAnalytics };
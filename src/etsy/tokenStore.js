@@ -0,0 +1,157 @@
+/**
+ * Etsy Token Store
+ * Keeps the shop's OAuth tokens encrypted at rest in data/etsy-tokens.enc.json (AES-256-GCM,
+ * key derived with scrypt from TOKEN_STORE_KEY), so tokens never have to be copied into .env or
+ * deploy-config.json. Read on every Etsy call, so a new authorization takes effect immediately.
+ *
+ * Stored connection: { accessToken, refreshToken, expiresAt, userId, shopId, shopName, connectedAt, updatedAt }
+ *
+ * Tokens from the legacy ETSY_ACCESS_TOKEN / ETSY_REFRESH_TOKEN variables are imported once
+ * when there is no store file yet. Disconnecting leaves a marker file ({ version, disconnectedAt },
+ * no tokens) instead of deleting it, so those variables aren't imported again.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.join(__dirname, '..', '..');
+
+const STORE_PATH = path.join(rootDir, 'data', 'etsy-tokens.enc.json');
+const STORE_VERSION = 1;
+const AAD = Buffer.from('etsy-tokens-v1');
+
+function storeKey(salt) {
+    const secret = process.env.TOKEN_STORE_KEY;
+    if (!secret || secret.length < 16) {
+        throw new Error('TOKEN_STORE_KEY must be set (at least 16 characters) to store Etsy tokens');
+    }
+    return crypto.scryptSync(secret, salt, 32);
+}
+
+function encrypt(value) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', storeKey(salt), iv);
+    cipher.setAAD(AAD);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf-8'), cipher.final()]);
+    return {
+        version: STORE_VERSION,
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+function decrypt(file) {
+    if (file.version !== STORE_VERSION) throw new Error(`Unsupported token store version ${file.version}`);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', storeKey(Buffer.from(file.salt, 'base64')), Buffer.from(file.iv, 'base64'));
+    decipher.setAAD(AAD);
+    decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+    try {
+        const plain = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+        return JSON.parse(plain.toString('utf-8'));
+    } catch (e) {
+        throw new Error('Could not decrypt the Etsy token store — was TOKEN_STORE_KEY changed? Reconnect Etsy to replace it.');
+    }
+}
+
+function writeFile(file) {
+    fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+    fs.writeFileSync(`${STORE_PATH}.tmp`, JSON.stringify(file, null, 2), { mode: 0o600 });
+    fs.renameSync(`${STORE_PATH}.tmp`, STORE_PATH);
+}
+
+function writeStore(connection) {
+    writeFile(encrypt(connection));
+}
+
+/**
+ * Import tokens from the environment once (deployments that predate the store)
+ */
+function importLegacyEnvTokens() {
+    if (!process.env.ETSY_ACCESS_TOKEN || !process.env.TOKEN_STORE_KEY) return null;
+    const connection = saveEtsyConnection({
+        accessToken: process.env.ETSY_ACCESS_TOKEN,
+        refreshToken: process.env.ETSY_REFRESH_TOKEN || null,
+        shopId: process.env.ETSY_SHOP_ID || null
+    });
+    console.log('   🔐 Imported ETSY_ACCESS_TOKEN into the encrypted token store — you can remove it from .env');
+    return connection;
+}
+
+/**
+ * The stored Etsy connection, or null when Etsy isn't connected
+ */
+export function getEtsyConnection() {
+    if (!fs.existsSync(STORE_PATH)) return importLegacyEnvTokens();
+    const file = JSON.parse(fs.readFileSync(STORE_PATH, 'utf-8'));
+    if (file.disconnectedAt) return null;
+    const connection = decrypt(file);
+    // ETSY_SHOP_ID still overrides the shop found at connect time
+    return { ...connection, shopId: process.env.ETSY_SHOP_ID || connection.shopId };
+}
+
+/**
+ * Whether tokens and a shop are available for uploads (never throws)
+ */
+export function isEtsyConnected() {
+    try {
+        const connection = getEtsyConnection();
+        return Boolean(connection?.accessToken && connection.shopId);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Create or update the stored connection (fields not given are kept). Resolves the saved connection.
+ */
+export function saveEtsyConnection(fields) {
+    const existing = fs.existsSync(STORE_PATH) ? getEtsyConnection() : null;
+    const now = new Date().toISOString();
+    const connection = {
+        ...existing,
+        ...fields,
+        // Etsy access tokens are "<numeric user id>.<token>"
+        userId: fields.userId || (fields.accessToken ? fields.accessToken.split('.')[0] : existing?.userId) || null,
+        connectedAt: existing?.connectedAt || now,
+        updatedAt: now
+    };
+    writeStore(connection);
+    return connection;
+}
+
+/**
+ * Forget the tokens. Leaves the disconnected marker so legacy env tokens stay ignored until the next connect.
+ */
+export function clearEtsyConnection() {
+    writeFile({ version: STORE_VERSION, disconnectedAt: new Date().toISOString() });
+}
+
+/**
+ * Connection details without the tokens, safe to return from the API
+ */
+export function describeEtsyConnection() {
+    try {
+        const connection = getEtsyConnection();
+        if (!connection) return { connected: false };
+        return {
+            connected: Boolean(connection.accessToken),
+            shopId: connection.shopId || null,
+            shopName: connection.shopName || null,
+            connectedAt: connection.connectedAt || null,
+            expiresAt: connection.expiresAt || null
+        };
+    } catch (e) {
+        return { connected: false, error: e.message };
+    }
+}
+
+export default {
+    getEtsyConnection, isEtsyConnected, saveEtsyConnection, clearEtsyConnection, describeEtsyConnection
+};
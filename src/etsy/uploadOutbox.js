@@ -0,0 +1,351 @@
+/**
+ * Etsy Upload Outbox
+ * Uploads to Etsy go through a persistent queue (data/etsy-outbox.json, keyed by design ID) instead of
+ * being fired all at once. Each upload has an idempotency key derived from its design ID, written
+ * into the draft as its SKU, and runs as separate steps:
+ *   listing    - create the draft listing and tag it with the key
+ *   variations - set the template's size/color variations
+ *   image      - upload the design image
+ * A step that fails is retried with exponential backoff; completed steps are never repeated, so a
+ * failed image upload is retried on the existing draft rather than creating a second listing.
+ * Steps whose outcome is unknown (timeout) check Etsy before repeating: a draft tagged with the key
+ * (or a lone untagged draft with the same title that no other design owns) created since the first
+ * attempt, or an image already on the listing, counts as done.
+ * The key only needs to survive the listing step: once it completes, the listing ID is in the outbox
+ * and the ledger. It stays on the products through the variations step unless the template has a
+ * skuPrefix, whose per-variation SKUs (PREFIX-<listingId>-SIZE-COLOR) replace it.
+ *
+ * Upload statuses: pending (due now or waiting for a retry), running, failed (out of attempts or a
+ * permanent error — retry or abandon it from /uploads), done, abandoned.
+ * Like the ledger, the file is read on every call so the server and a CLI workflow run share it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { updateDesign } from '../catalog/designCatalog.js';
+import { resolveImageFile } from '../jobs/runArtifacts.js';
+import { HttpStatusError, HttpTimeoutError, HttpNetworkError } from '../http/httpClient.js';
+import { createDraftListing, findDraftListing, tagDraftListing, setDraftVariations, uploadDraftImage } from './etsyUploader.js';
+import { reserveListing, releaseListing, recordListing, listListingEntries } from './listingLedger.js';
+import { getEtsyConnection, isEtsyConnected } from './tokenStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.join(__dirname, '..', '..');
+
+const OUTBOX_PATH = path.join(rootDir, 'data', 'etsy-outbox.json');
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_DELAY_MS = 60 * 1000; // 1, 2, 4, 8, 16 minutes between attempts
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+const STALE_RUNNING_MS = 10 * 60 * 1000; // A "running" upload older than this was left by a dead process
+const TICK_MS = 30 * 1000;
+const TRANSIENT_STATUSES = [408, 409, 425, 429];
+const UPLOAD_KEY_PREFIX = 'DAI-'; // Etsy SKUs are at most 32 characters
+
+export const UPLOAD_STEPS = ['listing', 'variations', 'image'];
+export const UPLOAD_STATUSES = ['pending', 'running', 'failed', 'done', 'abandoned'];
+const OPEN_STATUSES = ['pending', 'running', 'failed'];
+
+let timer = null;
+
+function load() {
+    if (!fs.existsSync(OUTBOX_PATH)) return {};
+    return JSON.parse(fs.readFileSync(OUTBOX_PATH, 'utf-8')).uploads || {};
+}
+
+function save(uploads) {
+    fs.mkdirSync(path.dirname(OUTBOX_PATH), { recursive: true });
+    fs.writeFileSync(`${OUTBOX_PATH}.tmp`, JSON.stringify({ uploads }, null, 2));
+    fs.renameSync(`${OUTBOX_PATH}.tmp`, OUTBOX_PATH);
+}
+
+/**
+ * Read-modify-write one upload. `change` returns the new upload, or null to leave the file alone.
+ */
+function modify(designId, change) {
+    const uploads = load();
+    const id = String(designId);
+    const next = change(uploads[id] || null);
+    if (!next) return null;
+    uploads[id] = { ...next, updatedAt: new Date().toISOString() };
+    save(uploads);
+    return uploads[id];
+}
+
+function isStaleRun(upload) {
+    return upload.status === 'running' && Date.now() - Date.parse(upload.claimedAt) > STALE_RUNNING_MS;
+}
+
+function isDue(upload) {
+    if (upload.status === 'pending') return !upload.nextAttemptAt || Date.parse(upload.nextAttemptAt) <= Date.now();
+    return isStaleRun(upload);
+}
+
+/**
+ * Network errors, timeouts, 5xx and rate limits are worth retrying; anything else (a rejected payload,
+ * a missing image, a broken template) fails the upload straight away
+ */
+function isTransient(error) {
+    if (error instanceof HttpTimeoutError || error instanceof HttpNetworkError) return true;
+    if (error instanceof HttpStatusError) return error.status >= 500 || TRANSIENT_STATUSES.includes(error.status);
+    return false;
+}
+
+function retryDelay(attempts) {
+    return Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempts - 1));
+}
+
+export function getUpload(designId) {
+    return load()[String(designId)] || null;
+}
+
+/**
+ * Uploads, most recently changed first (optionally only some statuses)
+ */
+export function listUploads({ statuses } = {}) {
+    return Object.values(load())
+        .filter(upload => !statuses || statuses.includes(upload.status))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * The idempotency key for a design's upload: the same design always gets the same key
+ */
+export function uploadKey(designId) {
+    return UPLOAD_KEY_PREFIX + crypto.createHash('sha256').update(String(designId)).digest('hex').slice(0, 16).toUpperCase();
+}
+
+/**
+ * Queue a design for upload. Returns { queued: false, upload } when the design already has an
+ * upload in the outbox or a listing on Etsy (upload is null in the latter case).
+ * @param {object} design - Catalog design ({ id, imagePath })
+ * @param {object} idea - What the listing is built from (title, theme, style, productType, ...)
+ */
+export function enqueueUpload(design, idea) {
+    const existing = getUpload(design.id);
+    if (existing && OPEN_STATUSES.includes(existing.status)) return { queued: false, upload: existing };
+    if (!reserveListing(design.id)) return { queued: false, upload: null };
+
+    const now = new Date().toISOString();
+    const upload = modify(design.id, () => ({
+        designId: String(design.id),
+        idempotencyKey: uploadKey(design.id),
+        idea,
+        imagePath: design.imagePath || null,
+        status: 'pending',
+        steps: Object.fromEntries(UPLOAD_STEPS.map(step => [step, { status: 'pending', attempts: 0 }])),
+        listingId: null,
+        attempts: 0,
+        nextAttemptAt: null,
+        lastError: null,
+        createdAt: now
+    }));
+    recordListing(design.id, { uploadKey: upload.idempotencyKey });
+    return { queued: true, upload };
+}
+
+/**
+ * Take an upload for this process. Returns the claimed upload, or null when it isn't due (or another
+ * process got it first). `force` claims a waiting or failed upload straight away.
+ */
+function claim(designId, { force = false } = {}) {
+    return modify(designId, upload => {
+        if (!upload) return null;
+        const claimable = isDue(upload) || (force && ['pending', 'failed'].includes(upload.status));
+        if (!claimable) return null;
+        return { ...upload, status: 'running', claimedAt: new Date().toISOString(), claimedBy: process.pid };
+    });
+}
+
+function updateStep(designId, step, fields, uploadFields = {}) {
+    return modify(designId, upload => ({
+        ...upload,
+        ...uploadFields,
+        steps: { ...upload.steps, [step]: { ...upload.steps[step], ...fields } }
+    }));
+}
+
+/**
+ * Run one step. Each is safe to repeat: see the header for how unknown outcomes are resolved.
+ */
+async function runStep(upload, step) {
+    const attempted = upload.steps[step].attempts > 0;
+    updateStep(upload.designId, step, {
+        attempts: upload.steps[step].attempts + 1,
+        lastAttemptAt: new Date().toISOString(),
+        ...(attempted ? {} : { firstAttemptAt: new Date().toISOString() })
+    });
+
+    const key = uploadKey(upload.designId); // Uploads queued before keys were derived carry a random one
+    if (step === 'listing') {
+        const previous = attempted
+            ? await findDraftListing(upload.idea, {
+                since: Date.parse(upload.steps.listing.firstAttemptAt),
+                sku: key,
+                exclude: listListingEntries()
+                    .filter(entry => entry.listingId && entry.designId !== upload.designId)
+                    .map(entry => entry.listingId)
+            })
+            : null;
+        if (previous) console.log(`   ♻️ Draft ${previous.listingId} from an earlier attempt found — reusing it`);
+        const result = previous || await createDraftListing(upload.idea);
+        if (!previous?.tagged) await tagDraftListing(result.listingId, upload.idea, key);
+
+        recordListing(upload.designId, {
+            listingId: result.listingId,
+            shopId: getEtsyConnection()?.shopId || null,
+            state: 'draft',
+            title: result.title,
+            listingUrl: result.listingUrl,
+            template: result.template
+        });
+        updateDesign(upload.designId, { etsyListingId: result.listingId });
+        return { listingId: result.listingId, result: { listingId: result.listingId, template: result.template } };
+    }
+    if (step === 'variations') {
+        // A skuPrefix template drops the key here; the listing ID is already recorded
+        return { result: { variations: await setDraftVariations(upload.listingId, upload.idea, { sku: key }) } };
+    }
+    if (!upload.imagePath) return { result: { skipped: 'no image' } };
+    const uploaded = await uploadDraftImage(upload.listingId, resolveImageFile(upload.imagePath), {
+        altText: upload.idea.listingCopy?.altText || null
+    });
+    return { result: { uploaded } };
+}
+
+/**
+ * Mark a failed step: retried later with backoff, or failed for good (permanent error, out of attempts)
+ */
+function recordFailure(upload, step, error) {
+    const attempts = upload.attempts + 1;
+    const retry = isTransient(error) && attempts < MAX_ATTEMPTS;
+    const message = `${step} step: ${error.message}`;
+
+    const failed = updateStep(upload.designId, step, { lastError: error.message }, {
+        status: retry ? 'pending' : 'failed',
+        attempts,
+        nextAttemptAt: retry ? new Date(Date.now() + retryDelay(attempts)).toISOString() : null,
+        lastError: message
+    });
+    recordListing(upload.designId, { lastError: retry ? `${message} (retrying)` : message });
+    console.log(retry
+        ? `   ⚠️ Etsy upload of design ${upload.designId} failed at the ${message} — retry ${attempts}/${MAX_ATTEMPTS - 1} at ${failed.nextAttemptAt}`
+        : `   ❌ Etsy upload of design ${upload.designId} failed at the ${message} — retry or abandon it at /uploads`);
+    return failed;
+}
+
+/**
+ * Run a claimed upload's remaining steps in order, stopping at the first failure
+ */
+async function runUpload(upload) {
+    for (const step of UPLOAD_STEPS) {
+        if (upload.steps[step].status === 'done') continue;
+        try {
+            const { listingId, result } = await runStep(upload, step);
+            upload = updateStep(upload.designId, step, {
+                status: 'done', completedAt: new Date().toISOString(), lastError: null, result
+            }, listingId ? { listingId } : {});
+        } catch (e) {
+            return recordFailure(getUpload(upload.designId), step, e);
+        }
+    }
+
+    recordListing(upload.designId, { lastError: null });
+    return modify(upload.designId, current => ({
+        ...current, status: 'done', attempts: 0, nextAttemptAt: null, lastError: null, completedAt: new Date().toISOString()
+    }));
+}
+
+/**
+ * Process one design's upload if it is due (or `force` it). Resolves the upload afterwards.
+ */
+export async function processUpload(designId, { force = false } = {}) {
+    const claimed = claim(designId, { force });
+    return claimed ? runUpload(claimed) : getUpload(designId);
+}
+
+/**
+ * Process due uploads one at a time (all of them, or only `designIds`).
+ * @returns {{ done: number, retrying: number, failed: number }} counts for the uploads processed
+ */
+export async function processUploadOutbox({ designIds } = {}) {
+    const wanted = designIds ? new Set(designIds.map(String)) : null;
+    const due = Object.values(load()).filter(upload => isDue(upload) && (!wanted || wanted.has(upload.designId)));
+    const counts = { done: 0, retrying: 0, failed: 0 };
+
+    for (const { designId } of due) {
+        const upload = await processUpload(designId);
+        if (upload?.status === 'done') counts.done++;
+        else if (upload?.status === 'pending') counts.retrying++;
+        else if (upload?.status === 'failed') counts.failed++;
+    }
+    return counts;
+}
+
+/**
+ * Retry a failed (or waiting) upload now, with a fresh set of attempts
+ */
+export async function retryUpload(designId) {
+    const upload = getUpload(designId);
+    if (!upload || !['pending', 'failed'].includes(upload.status)) {
+        throw new Error(`Design ${designId} has no failed or waiting upload`);
+    }
+    modify(designId, current => ({ ...current, attempts: 0 }));
+    return processUpload(designId, { force: true });
+}
+
+/**
+ * Give up on an upload. A draft created by it stays on Etsy (delete it from the gallery if unwanted);
+ * if no listing was created the design can be uploaded again.
+ */
+export function abandonUpload(designId) {
+    const upload = getUpload(designId);
+    if (!upload || !(['pending', 'failed'].includes(upload.status) || isStaleRun(upload))) {
+        throw new Error(`Design ${designId} has no failed or waiting upload`);
+    }
+
+    const abandoned = modify(designId, current => ({
+        ...current, status: 'abandoned', nextAttemptAt: null, abandonedAt: new Date().toISOString()
+    }));
+    if (abandoned.listingId) {
+        recordListing(designId, { lastError: `Upload abandoned: ${abandoned.lastError || 'incomplete'}` });
+    } else {
+        releaseListing(designId);
+    }
+    return abandoned;
+}
+
+/**
+ * Retry due uploads in the background (server only)
+ */
+export function startUploadOutbox() {
+    if (timer) return;
+    let busy = false;
+    timer = setInterval(async () => {
+        if (busy || !isEtsyConnected()) return;
+        busy = true;
+        try {
+            const counts = await processUploadOutbox();
+            if (counts.done + counts.retrying + counts.failed > 0) {
+                console.log(`   📤 Upload outbox: ${counts.done} done, ${counts.retrying} retrying, ${counts.failed} failed`);
+            }
+        } catch (e) {
+            console.error(`Upload outbox error: ${e.message}`);
+        } finally {
+            busy = false;
+        }
+    }, TICK_MS);
+    timer.unref();
+}
+
+export function stopUploadOutbox() {
+    clearInterval(timer);
+    timer = null;
+}
+
+export default {
+    UPLOAD_STEPS, UPLOAD_STATUSES, getUpload, listUploads, uploadKey, enqueueUpload, processUpload, processUploadOutbox,
+    retryUpload, abandonUpload, startUploadOutbox, stopUploadOutbox
+};
@@ -1,43 +1,34 @@
 /**
- * AI Image Generator (Migrated to AI Builder Space API)
- * Generates images using the hosted OpenAI-compatible Image Generation API
+ * AI Image Generator
+ * Generates images through a pluggable image provider (see ./providers): the hosted
+ * OpenAI-compatible API by default, Gemini, a local Stable Diffusion server or an offline stub.
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import https from 'https';
 import dotenv from 'dotenv';
+import { runFile, runImagesDir, runImageUrl, readRunJson, writeRunJson } from '../jobs/runArtifacts.js';
+import { addDesigns, getDesign, addDesignVersion } from '../catalog/designCatalog.js';
+import { getImageProvider } from './providers/index.js';
+import { request, GENERATION_TIMEOUT } from '../http/httpClient.js';
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const rootDir = path.join(__dirname, '..', '..');
-const DATA_DIR = path.join(rootDir, 'data');
-const OUTPUT_DIR = path.join(rootDir, 'generated_images');
-const API_BASE_URL = "https://space.ai-builders.com"; // Force correct backend URL
-const API_TOKEN = process.env.AI_BUILDER_TOKEN;
 
-async function generateImagesInternal() {
-    console.log('\n🎨 Starting AI image generation (via AI Builder API)...');
+async function generateImagesInternal({ onImageGenerated, signal, runId = null, provider: providerName } = {}) {
+    const provider = getImageProvider(providerName);
+    console.log(`\n🎨 Starting AI image generation (via ${provider.label})...`);
+    const output = { runId, dir: runImagesDir(runId), provider };
 
     try {
         // Ensure output directory exists
-        if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-
-        // Load History
-        const historyPath = path.join(DATA_DIR, 'history.json');
-        let history = [];
-        if (fs.existsSync(historyPath)) {
-            try {
-                history = JSON.parse(fs.readFileSync(historyPath, 'utf-8'));
-            } catch (e) {
-                console.log('   ⚠️ Failed to parse history.json, starting fresh.');
-            }
-        }
+        if (!fs.existsSync(output.dir)) fs.mkdirSync(output.dir, { recursive: true });
 
-        const ideasPath = path.join(DATA_DIR, 'ideas.json');
+        const ideasPath = runFile(runId, 'ideas.json');
         if (!fs.existsSync(ideasPath)) {
             console.log('   ❌ No ideas found.');
             return [];
@@ -48,13 +39,15 @@ async function generateImagesInternal() {
 
         // Initialize manifest for THIS RUN only
         const manifest = {
+            runId,
+            provider: provider.name,
             generatedAt: new Date().toISOString(),
             images: []
         };
 
-        if (!API_TOKEN) {
-            console.log('   ⚠️ No AI_BUILDER_TOKEN. Creating placeholders...');
-            return createPlaceholders(ideas);
+        if (!provider.isConfigured()) {
+            console.log(`   ⚠️ Image provider "${provider.name}" is not configured. Creating placeholders...`);
+            return createPlaceholders(ideas, output);
         }
 
         // Optimized: Generate in parallel batches
@@ -63,61 +56,89 @@ async function generateImagesInternal() {
         const timestamp = Date.now();
 
         for (let i = 0; i < ideas.length; i += BATCH_SIZE) {
+            signal?.throwIfAborted();
             const batch = ideas.slice(i, i + BATCH_SIZE);
             console.log(`   🚀 Processing batch ${Math.floor(i / BATCH_SIZE) + 1}/${Math.ceil(ideas.length / BATCH_SIZE)} (${batch.length} images)...`);
 
             const batchPromises = batch.map((idea, batchIndex) => {
                 // Generate unique filename: design_{timestamp}_{index}.png
                 const uniqueIndex = i + batchIndex + 1;
-                return generateSingleImage(idea, uniqueIndex, timestamp);
+                return generateSingleImage(idea, uniqueIndex, timestamp, signal, output).then(image => {
+                    // Progress hook (e.g. live job events) — never let it break generation
+                    try {
+                        onImageGenerated?.(image, { index: uniqueIndex, total: ideas.length });
+                    } catch (e) {
+                        console.log(`   ⚠️ onImageGenerated hook failed: ${e.message}`);
+                    }
+                    return image;
+                });
             });
 
-            const batchResults = await Promise.all(batchPromises);
-            currentRunImages.push(...batchResults);
+            // Wait for the whole batch even when one image is cancelled, so nothing is still writing afterwards
+            const settled = await Promise.allSettled(batchPromises);
+            const cancelled = settled.find(result => result.status === 'rejected');
+            if (cancelled) throw cancelled.reason;
+            currentRunImages.push(...settled.map(result => result.value));
         }
 
         // Update Manifest (Current Run)
         manifest.images = currentRunImages;
-        fs.writeFileSync(path.join(DATA_DIR, 'manifest.json'), JSON.stringify(manifest, null, 2));
+        writeRunJson(runId, 'manifest.json', manifest);
 
-        // Update History (Cumulative)
-        // Prepend new images to history so they appear first
-        const newHistory = [...currentRunImages, ...history];
-        fs.writeFileSync(historyPath, JSON.stringify(newHistory, null, 2));
+        // Add to the design catalog with the idea, prompt and trends behind each image. Ideas name
+        // their trends (trendIds); ideas from before that are credited to every trend of the run.
+        const trends = readRunJson(runId, 'trends.json', []).map((t, i) => ({ id: t.id ?? i + 1, title: t.title, source: t.source }));
+        addDesigns(currentRunImages.map((image, i) => {
+            const trendIds = ideas[i]?.trendIds;
+            return {
+                ...image,
+                colorScheme: ideas[i]?.colorScheme,
+                mood: ideas[i]?.mood,
+                prompt: buildPrompt(ideas[i]),
+                idea: ideas[i],
+                trends: trendIds ? trends.filter(trend => trendIds.includes(trend.id)) : trends,
+                trendAttribution: trendIds ? 'idea' : 'run'
+            };
+        }));
 
-        console.log(`\n✅ Generated ${currentRunImages.length} images! History size: ${newHistory.length}`);
+        console.log(`\n✅ Generated ${currentRunImages.length} images! Added to the design catalog.`);
         return currentRunImages;
 
     } catch (fatalError) {
+        // A cancelled run must stop here, not fall back to placeholders
+        if (signal?.aborted) throw fatalError;
         console.log(`\n❌ Fatal error in Generator: ${fatalError.message}`);
         console.log(`   ⚠️ Switching to fallback: Creating placeholders...`);
-        const ideasPath = path.join(DATA_DIR, 'ideas.json');
+        const ideasPath = runFile(runId, 'ideas.json');
         if (fs.existsSync(ideasPath)) {
             const ideas = JSON.parse(fs.readFileSync(ideasPath, 'utf-8'));
-            return createPlaceholders(ideas);
+            return createPlaceholders(ideas, output);
         }
         return [];
     }
 }
 
-async function generateSingleImage(idea, index, timestamp) {
+/**
+ * Image prompt for a design idea
+ */
+function buildPrompt(idea) {
+    return `T-shirt design, ${idea.title}. ${idea.theme}. ${idea.style}. ${idea.colorScheme}. Vector art, high quality, isolated on white background.`;
+}
+
+async function generateSingleImage(
+    idea, index, timestamp, signal, output = { runId: null, dir: runImagesDir(null), provider: getImageProvider() },
+    prompt = buildPrompt(idea)
+) {
     // Unique filename
     const filename = `design_${timestamp}_${String(index).padStart(2, '0')}.png`;
-    const filepath = path.join(OUTPUT_DIR, filename);
+    const filepath = path.join(output.dir, filename);
+    const imagePath = runImageUrl(output.runId, filename);
 
     console.log(`   🖼️ Generating ${index}: ${idea.title}...`);
 
     try {
-        const prompt = `T-shirt design, ${idea.title}. ${idea.theme}. ${idea.style}. ${idea.colorScheme}. Vector art, high quality, isolated on white background.`;
-
-        // API Call
-        const apiResponse = await callImageApi(prompt);
-
-        // Response format expected: { created: ..., data: [{ b64_json: "..." }] }
-        // or { created: ..., data: [{ url: "..." }] }
-        // We requested b64_json preferably, or we handle URL.
-
-        const imageObj = apiResponse.data?.[0];
+        // Provider call — resolves to { b64_json } or { url }
+        const imageObj = await output.provider.generate(prompt, { signal });
 
         if (imageObj?.b64_json) {
             const buffer = Buffer.from(imageObj.b64_json, 'base64');
@@ -125,7 +146,7 @@ async function generateSingleImage(idea, index, timestamp) {
             console.log(`   ✅ Saved (Base64): ${filename}`);
         } else if (imageObj?.url) {
             console.log(`   ⬇️ Downloading from URL: ${imageObj.url}`);
-            await downloadImage(imageObj.url, filepath);
+            await downloadImage(imageObj.url, filepath, signal);
             console.log(`   ✅ Saved (URL): ${filename}`);
         } else {
             throw new Error('No image data (b64 or url) in API response');
@@ -133,140 +154,45 @@ async function generateSingleImage(idea, index, timestamp) {
 
         return {
             id: `${timestamp}_${index}`,
+            runId: output.runId,
+            provider: output.provider.name,
             title: idea.title,
             description: idea.theme,
             style: idea.style,
-            imagePath: `/generated_images/${filename}`,
+            imagePath,
             timestamp: timestamp
         };
 
     } catch (e) {
-        console.log(`   ⚠️ Generation failed for #${index} (attempt 1): ${e.message}. Retrying in 2s...`);
-        // One auto-retry after 2 second delay
-        await new Promise(r => setTimeout(r, 2000));
-        try {
-            const prompt = `T-shirt design, ${idea.title}. ${idea.theme}. ${idea.style}. ${idea.colorScheme}. Vector art, high quality, isolated on white background.`;
-            const apiResponse = await callImageApi(prompt);
-            const imageObj = apiResponse.data?.[0];
-            if (imageObj?.b64_json) {
-                fs.writeFileSync(filepath, Buffer.from(imageObj.b64_json, 'base64'));
-                console.log(`   ✅ Retry succeeded: ${filename}`);
-            } else if (imageObj?.url) {
-                await downloadImage(imageObj.url, filepath);
-                console.log(`   ✅ Retry succeeded (URL): ${filename}`);
-            } else {
-                throw new Error('No image data on retry');
-            }
-            return {
-                id: `${timestamp}_${index}`,
-                title: idea.title,
-                description: idea.theme,
-                style: idea.style,
-                imagePath: `/generated_images/${filename}`,
-                timestamp: timestamp
-            };
-        } catch (retryErr) {
-            console.log(`   ❌ Retry also failed for #${index}: ${retryErr.message}. Using placeholder.`);
-            createPngPlaceholder(idea, filepath, index);
-            return {
-                id: `${timestamp}_${index}`,
-                title: idea.title,
-                description: 'Generation Failed',
-                style: idea.style,
-                imagePath: `/generated_images/${filename}`
-            };
-        }
-    }
-}
-
-const REQUEST_TIMEOUT = 180000; // 180 seconds
-
-async function callImageApi(prompt) {
-    return new Promise((resolve, reject) => {
-        const data = JSON.stringify({
-            prompt: prompt,
-            n: 1,
-            size: "1024x1024"
-        });
-
-        const url = new URL(`${API_BASE_URL}/backend/v1/images/generations`);
-        const options = {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${API_TOKEN}`,
-                'Content-Length': Buffer.byteLength(data)  // ✅ fixed: use byte length not char length
-            },
-            rejectUnauthorized: false
+        if (signal?.aborted) throw e;
+        // Transient failures were already retried by the HTTP client
+        console.log(`   ❌ Generation failed for #${index}: ${e.message}. Using placeholder.`);
+        createPngPlaceholder(idea, filepath, index);
+        return {
+            id: `${timestamp}_${index}`,
+            runId: output.runId,
+            provider: output.provider.name,
+            title: idea.title,
+            description: 'Generation Failed',
+            style: idea.style,
+            imagePath
         };
-
-        const req = https.request(url, options, (res) => {
-            let body = '';
-            res.on('data', chunk => body += chunk);
-            res.on('end', () => {
-                if (res.statusCode >= 200 && res.statusCode < 300) {
-                    try {
-                        resolve(JSON.parse(body));
-                    } catch (e) {
-                        reject(new Error(`Failed to parse API response: ${e.message}`));
-                    }
-                } else {
-                    reject(new Error(`API Error ${res.statusCode}: ${body}`));
-                }
-            });
-        });
-
-        req.on('error', (e) => reject(e));
-
-        // Add Timeout
-        req.setTimeout(REQUEST_TIMEOUT, () => {
-            req.destroy();
-            reject(new Error('Image Generation API Request Timed Out'));
-        });
-
-        req.write(data);
-        req.end();
-    });
+    }
 }
 
 // Download helper for URL-based responses
-import http from 'http';
-async function downloadImage(url, filepath) {
-    return new Promise((resolve, reject) => {
-        console.log(`   🔍 DEBUG: Downloading from ${url}`);
-        const isHttps = url.startsWith('https');
-        const lib = isHttps ? https : http;
-
-        const req = lib.get(url, { rejectUnauthorized: false }, (res) => {
-            if (res.statusCode !== 200) {
-                reject(new Error(`Download failed: ${res.statusCode}`));
-                return;
-            }
-            const stream = fs.createWriteStream(filepath);
-            res.pipe(stream);
-            stream.on('finish', () => {
-                stream.close();
-                resolve();
-            });
-            stream.on('error', reject);
-        });
-
-        req.on('error', reject);
-
-        // Add Timeout
-        req.setTimeout(REQUEST_TIMEOUT, () => {
-            req.destroy();
-            reject(new Error('Image Download Timed Out'));
-        });
-    });
+async function downloadImage(url, filepath, signal) {
+    const res = await request(url, { signal, timeout: GENERATION_TIMEOUT });
+    fs.writeFileSync(filepath, res.body);
 }
 
-function createPlaceholders(ideas) {
-    const manifest = { generatedAt: new Date().toISOString(), images: [] };
+function createPlaceholders(ideas, output = { runId: null, dir: runImagesDir(null) }) {
+    const manifest = { runId: output.runId, generatedAt: new Date().toISOString(), images: [] };
+    if (!fs.existsSync(output.dir)) fs.mkdirSync(output.dir, { recursive: true });
 
     ideas.forEach((idea, i) => {
         const filename = `design_${String(i + 1).padStart(2, '0')}.png`;
-        const filepath = path.join(OUTPUT_DIR, filename);
+        const filepath = path.join(output.dir, filename);
 
         // Use existing if valid
         if (fs.existsSync(filepath) && fs.statSync(filepath).size > 500) {
@@ -276,15 +202,16 @@ function createPlaceholders(ideas) {
         }
 
         manifest.images.push({
-            id: i + 1,
+            id: output.runId ? `${output.runId}_${i + 1}` : i + 1,
+            runId: output.runId,
             title: idea.title,
             description: idea.theme,
             style: idea.style,
-            imagePath: `/generated_images/${filename}`
+            imagePath: runImageUrl(output.runId, filename)
         });
     });
 
-    fs.writeFileSync(path.join(DATA_DIR, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    writeRunJson(output.runId, 'manifest.json', manifest);
     return manifest.images;
 }
 
@@ -304,25 +231,83 @@ function createPngPlaceholder(idea, filepath, idx) {
     console.log(`   📋 Placeholder saved as PNG: ${path.basename(filepath)}`);
 }
 
+/**
+ * Generate a new image for one catalog design, optionally with an edited prompt, style or color scheme.
+ * The previous image is kept as a variant. Returns the updated design, or null if the ID is unknown.
+ * @param {string} id - Design ID
+ * @param {object} [options]
+ * @param {string} [options.prompt] - Use this prompt as-is instead of building one from the idea
+ * @param {string} [options.style] - Replaces the idea's style
+ * @param {string} [options.colorScheme] - Replaces the idea's color scheme
+ * @param {string} [options.provider] - Image provider name (default: IMAGE_PROVIDER)
+ * @param {AbortSignal} [options.signal]
+ */
+export async function regenerateDesign(id, { prompt, style, colorScheme, provider: providerName, signal } = {}) {
+    const design = getDesign(id);
+    if (!design) return null;
+    const provider = getImageProvider(providerName);
+    if (!provider.isConfigured()) throw new Error(`Image provider "${provider.name}" is not configured — cannot regenerate images`);
+
+    const idea = {
+        title: design.title,
+        theme: design.status === 'failed' ? '' : design.description,
+        style: design.style,
+        colorScheme: design.colorScheme,
+        ...design.idea,
+        ...(style ? { style } : {}),
+        ...(colorScheme ? { colorScheme } : {})
+    };
+    const output = { runId: design.runId, dir: runImagesDir(design.runId), provider };
+    if (!fs.existsSync(output.dir)) fs.mkdirSync(output.dir, { recursive: true });
+
+    const finalPrompt = prompt || buildPrompt(idea);
+    const version = (design.version || 1) + 1;
+    const image = await generateSingleImage(idea, version, Date.now(), signal, output, finalPrompt);
+
+    // generateSingleImage falls back to a placeholder; keep the current image instead
+    if (image.description === 'Generation Failed') {
+        fs.rmSync(path.join(output.dir, path.basename(image.imagePath)), { force: true });
+        throw new Error('Image generation failed — the current version was kept');
+    }
+
+    console.log(`   🔁 Regenerated design ${design.id} (version ${version})`);
+    return addDesignVersion(design.id, {
+        imagePath: image.imagePath,
+        description: idea.theme || design.description,
+        style: idea.style,
+        colorScheme: idea.colorScheme,
+        prompt: finalPrompt,
+        provider: provider.name,
+        idea
+    });
+}
+
 /**
  * Main Export - With Timeout Wrapper
+ * On timeout the in-flight requests are aborted and generation has stopped by the time this returns.
+ * @param {object} [options]
+ * @param {function} [options.onImageGenerated] - Called with (image, { index, total }) as each image finishes
+ * @param {AbortSignal} [options.signal] - Aborts in-flight image requests (job cancellation)
+ * @param {string} [options.runId] - Read ideas from / write manifest and images to data/runs/<runId>/
+ *   (default: data/ and generated_images/)
+ * @param {string} [options.provider] - Image provider name (default: IMAGE_PROVIDER)
  */
-export async function generateImages() {
+export async function generateImages(options = {}) {
     // 10 Minute Timeout
     const timeoutMs = 600000;
-    const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error(`Timeout of ${timeoutMs}ms exceeded`)), timeoutMs);
-    });
+    const timeout = new AbortController();
+    const timer = setTimeout(() => timeout.abort(new Error(`Timeout of ${timeoutMs}ms exceeded`)), timeoutMs);
+    const signal = options.signal ? AbortSignal.any([options.signal, timeout.signal]) : timeout.signal;
 
     try {
         console.log(`\n⏱️ Starting Generation with ${timeoutMs / 1000}s timeout...`);
-        return await Promise.race([
-            generateImagesInternal(),
-            timeoutPromise
-        ]);
+        return await generateImagesInternal({ ...options, signal });
     } catch (error) {
-        console.log(`\n❌ Generator Failed or Timed Out: ${error.message}`);
+        if (options.signal?.aborted) throw error;
+        console.log(`\n❌ Generator Failed or Timed Out: ${(timeout.signal.reason || error).message}`);
         return [];
+    } finally {
+        clearTimeout(timer);
     }
 }
 
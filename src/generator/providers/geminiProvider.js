@@ -0,0 +1,41 @@
+/**
+ * Gemini Image Provider
+ * Native image output from a Gemini image model (GEMINI_IMAGE_MODEL, default gemini-2.5-flash-image)
+ * through the Generative Language REST API, authenticated with GEMINI_API_KEY.
+ */
+
+import { requestJson, GENERATION_TIMEOUT } from '../../http/httpClient.js';
+
+const API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const DEFAULT_MODEL = 'gemini-2.5-flash-image';
+
+export default {
+    name: 'gemini',
+    label: 'Google Gemini',
+
+    isConfigured() {
+        return Boolean(process.env.GEMINI_API_KEY);
+    },
+
+    async generate(prompt, { signal } = {}) {
+        const model = process.env.GEMINI_IMAGE_MODEL || DEFAULT_MODEL;
+        const response = await requestJson(`${API_BASE_URL}/models/${encodeURIComponent(model)}:generateContent`, {
+            json: {
+                contents: [{ parts: [{ text: prompt }] }],
+                generationConfig: { responseModalities: ['IMAGE'] }
+            },
+            headers: { 'x-goog-api-key': process.env.GEMINI_API_KEY },
+            idempotent: true,
+            timeout: GENERATION_TIMEOUT,
+            signal
+        });
+
+        const candidate = response.candidates?.[0];
+        const part = candidate?.content?.parts?.find(p => p.inlineData?.data);
+        if (!part) {
+            const reason = candidate?.finishReason || response.promptFeedback?.blockReason || 'no image part';
+            throw new Error(`Gemini returned no image data (${reason})`);
+        }
+        return { b64_json: part.inlineData.data };
+    }
+};
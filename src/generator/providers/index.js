@@ -0,0 +1,48 @@
+/**
+ * Image Providers
+ * Every provider turns a prompt into one image: `generate(prompt, { signal })` resolves to
+ * { b64_json } or { url }, and `isConfigured()` tells whether its settings are present.
+ * IMAGE_PROVIDER picks the default; a workflow run can choose another one when it starts.
+ */
+
+import openaiProvider from './openaiProvider.js';
+import geminiProvider from './geminiProvider.js';
+import stableDiffusionProvider from './stableDiffusionProvider.js';
+import stubProvider from './stubProvider.js';
+
+export const IMAGE_PROVIDERS = Object.fromEntries(
+    [openaiProvider, geminiProvider, stableDiffusionProvider, stubProvider].map(provider => [provider.name, provider])
+);
+
+export const DEFAULT_IMAGE_PROVIDER = 'openai';
+
+export function defaultImageProviderName() {
+    return process.env.IMAGE_PROVIDER || DEFAULT_IMAGE_PROVIDER;
+}
+
+/**
+ * Provider by name (default: IMAGE_PROVIDER). Throws on unknown names.
+ */
+export function getImageProvider(name) {
+    const key = name || defaultImageProviderName();
+    const provider = IMAGE_PROVIDERS[key];
+    if (!provider) {
+        throw new Error(`Unknown image provider "${key}" (expected one of: ${Object.keys(IMAGE_PROVIDERS).join(', ')})`);
+    }
+    return provider;
+}
+
+/**
+ * Provider summaries for pickers: { name, label, configured, default }
+ */
+export function listImageProviders() {
+    const defaultName = defaultImageProviderName();
+    return Object.values(IMAGE_PROVIDERS).map(provider => ({
+        name: provider.name,
+        label: provider.label,
+        configured: provider.isConfigured(),
+        default: provider.name === defaultName
+    }));
+}
+
+export default { IMAGE_PROVIDERS, DEFAULT_IMAGE_PROVIDER, defaultImageProviderName, getImageProvider, listImageProviders };
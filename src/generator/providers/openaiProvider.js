@@ -0,0 +1,43 @@
+/**
+ * OpenAI-compatible Image Provider
+ * POST {base}/images/generations — the AI Builder Space backend by default, or any
+ * OpenAI-compatible server via OPENAI_IMAGE_BASE_URL / OPENAI_IMAGE_API_KEY / OPENAI_IMAGE_MODEL.
+ */
+
+import { requestJson, GENERATION_TIMEOUT } from '../../http/httpClient.js';
+
+const DEFAULT_BASE_URL = 'https://space.ai-builders.com/backend/v1';
+
+function apiKey() {
+    return process.env.OPENAI_IMAGE_API_KEY || process.env.AI_BUILDER_TOKEN;
+}
+
+export default {
+    name: 'openai',
+    label: 'OpenAI-compatible API',
+
+    isConfigured() {
+        return Boolean(apiKey());
+    },
+
+    async generate(prompt, { signal } = {}) {
+        const baseUrl = (process.env.OPENAI_IMAGE_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, '');
+        const response = await requestJson(`${baseUrl}/images/generations`, {
+            json: {
+                prompt,
+                n: 1,
+                size: process.env.IMAGE_SIZE || '1024x1024',
+                ...(process.env.OPENAI_IMAGE_MODEL ? { model: process.env.OPENAI_IMAGE_MODEL } : {})
+            },
+            headers: { 'Authorization': `Bearer ${apiKey()}` },
+            idempotent: true,
+            timeout: GENERATION_TIMEOUT,
+            signal
+        });
+
+        // Response format: { created, data: [{ b64_json }] } or { created, data: [{ url }] }
+        const image = response.data?.[0];
+        if (!image?.b64_json && !image?.url) throw new Error('No image data (b64 or url) in API response');
+        return image.b64_json ? { b64_json: image.b64_json } : { url: image.url };
+    }
+};
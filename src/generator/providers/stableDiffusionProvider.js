@@ -0,0 +1,109 @@
+/**
+ * Local Stable Diffusion Image Provider
+ * Talks to a self-hosted server at SD_BASE_URL:
+ * - SD_BACKEND=automatic1111 (default): POST /sdapi/v1/txt2img
+ * - SD_BACKEND=comfyui: queues the API-format workflow from COMFYUI_WORKFLOW (a JSON file whose
+ *   "{{prompt}}", "{{negative_prompt}}" and "{{seed}}" strings are filled in), polls /history and
+ *   downloads the first output image from /view.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { request, requestJson, GENERATION_TIMEOUT } from '../../http/httpClient.js';
+
+const DEFAULT_NEGATIVE_PROMPT = 'text, watermark, signature, blurry, low quality';
+const COMFYUI_POLL_INTERVAL = 1000;
+
+/**
+ * Parse an IMAGE_SIZE like "1024x1024" into { width, height }
+ */
+function parseImageSize(size) {
+    const match = String(size || '').match(/^(\d+)x(\d+)$/);
+    return match ? { width: Number(match[1]), height: Number(match[2]) } : { width: 1024, height: 1024 };
+}
+
+function settings() {
+    return {
+        baseUrl: (process.env.SD_BASE_URL || '').replace(/\/$/, ''),
+        backend: (process.env.SD_BACKEND || 'automatic1111').toLowerCase(),
+        steps: Number(process.env.SD_STEPS) || 30,
+        negativePrompt: process.env.SD_NEGATIVE_PROMPT ?? DEFAULT_NEGATIVE_PROMPT,
+        workflowPath: process.env.COMFYUI_WORKFLOW,
+        ...parseImageSize(process.env.IMAGE_SIZE)
+    };
+}
+
+async function generateAutomatic1111(prompt, config, signal) {
+    const response = await requestJson(`${config.baseUrl}/sdapi/v1/txt2img`, {
+        json: {
+            prompt,
+            negative_prompt: config.negativePrompt,
+            width: config.width,
+            height: config.height,
+            steps: config.steps
+        },
+        idempotent: true,
+        timeout: GENERATION_TIMEOUT,
+        signal
+    });
+    if (!response.images?.[0]) throw new Error('Automatic1111 returned no images');
+    return { b64_json: response.images[0] };
+}
+
+/**
+ * Fill the workflow placeholders (JSON-escaped, so prompts with quotes stay valid)
+ */
+function buildComfyWorkflow(prompt, config) {
+    if (!config.workflowPath || !fs.existsSync(config.workflowPath)) {
+        throw new Error('COMFYUI_WORKFLOW must point to an API-format workflow JSON file');
+    }
+    const escape = value => JSON.stringify(String(value)).slice(1, -1);
+    const template = fs.readFileSync(config.workflowPath, 'utf-8');
+    return JSON.parse(template
+        .replaceAll('{{prompt}}', escape(prompt))
+        .replaceAll('{{negative_prompt}}', escape(config.negativePrompt))
+        .replaceAll('"{{seed}}"', String(crypto.randomInt(0, 2 ** 32))));
+}
+
+async function generateComfyUI(prompt, config, signal) {
+    const queued = await requestJson(`${config.baseUrl}/prompt`, {
+        json: { prompt: buildComfyWorkflow(prompt, config), client_id: crypto.randomUUID() },
+        signal
+    });
+    const promptId = queued.prompt_id;
+    if (!promptId) throw new Error(`ComfyUI did not queue the workflow: ${JSON.stringify(queued).slice(0, 300)}`);
+
+    const deadline = Date.now() + GENERATION_TIMEOUT;
+    while (Date.now() < deadline) {
+        signal?.throwIfAborted();
+        const history = await requestJson(`${config.baseUrl}/history/${promptId}`, { signal });
+        const outputs = history[promptId]?.outputs;
+        const image = outputs && Object.values(outputs).flatMap(output => output.images || [])[0];
+        if (image) {
+            const params = new URLSearchParams({ filename: image.filename, subfolder: image.subfolder || '', type: image.type || 'output' });
+            const res = await request(`${config.baseUrl}/view?${params}`, { signal });
+            return { b64_json: res.body.toString('base64') };
+        }
+        if (history[promptId]?.status?.status_str === 'error') throw new Error('ComfyUI workflow failed');
+        await new Promise(r => setTimeout(r, COMFYUI_POLL_INTERVAL));
+    }
+    throw new Error('ComfyUI generation timed out');
+}
+
+export default {
+    name: 'stable-diffusion',
+    label: 'Local Stable Diffusion (Automatic1111 / ComfyUI)',
+
+    isConfigured() {
+        const config = settings();
+        if (!config.baseUrl) return false;
+        return config.backend !== 'comfyui' || Boolean(config.workflowPath);
+    },
+
+    async generate(prompt, { signal } = {}) {
+        const config = settings();
+        if (config.backend === 'comfyui') return generateComfyUI(prompt, config, signal);
+        if (config.backend === 'automatic1111') return generateAutomatic1111(prompt, config, signal);
+        throw new Error(`Unknown SD_BACKEND "${config.backend}" (expected automatic1111 or comfyui)`);
+    }
+};
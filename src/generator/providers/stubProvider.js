@@ -0,0 +1,75 @@
+/**
+ * Stub Image Provider
+ * Offline and deterministic: the same prompt always yields the same striped PNG (colors derived
+ * from a hash of the prompt). For tests, demos and runs without any API access.
+ */
+
+import crypto from 'crypto';
+import zlib from 'zlib';
+
+const SIZE = 256;
+const STRIPE_WIDTH = 32;
+
+// CRC-32 table for PNG chunks (zlib.crc32 needs Node 20.15+)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * RGB PNG with diagonal stripes alternating between two colors
+ */
+function stripedPng(colorA, colorB) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(SIZE, 0);
+    header.writeUInt32BE(SIZE, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 2; // Color type: RGB
+
+    const rowLength = 1 + SIZE * 3; // Filter byte + pixels
+    const raw = Buffer.alloc(rowLength * SIZE);
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            const color = Math.floor((x + y) / STRIPE_WIDTH) % 2 ? colorB : colorA;
+            color.copy(raw, y * rowLength + 1 + x * 3);
+        }
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+export default {
+    name: 'stub',
+    label: 'Offline stub (deterministic test images)',
+
+    isConfigured() {
+        return true;
+    },
+
+    async generate(prompt, { signal } = {}) {
+        signal?.throwIfAborted();
+        const hash = crypto.createHash('sha256').update(prompt).digest();
+        return { b64_json: stripedPng(hash.subarray(0, 3), hash.subarray(3, 6)).toString('base64') };
+    }
+};
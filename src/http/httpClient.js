@@ -0,0 +1,396 @@
+/**
+ * Resilient HTTP Client
+ * The one place outbound HTTP(S) calls are made (search, LLM, image providers, Etsy):
+ * - retries with exponential backoff and full jitter on network errors, timeouts, 408/425/429/5xx
+ *   (POST/PATCH only when the caller marks the request idempotent, or the server refused it outright)
+ * - honours Retry-After (seconds or HTTP date) and pauses the whole host on 429
+ * - per-host rate limits and concurrency caps
+ * - an X-Request-Id on every request, repeated in logs and errors
+ * - typed errors: HttpStatusError, HttpTimeoutError, HttpNetworkError, HttpParseError (all HttpError)
+ * - certificates are verified unless HTTPS_INSECURE_SKIP_VERIFY=true (refused in production);
+ *   HTTPS_CA_BUNDLE adds trusted CAs, see getTlsOptions
+ *
+ * Defaults can be tuned with HTTP_MAX_RETRIES, HTTP_RETRY_BASE_DELAY_MS, HTTP_RETRY_MAX_DELAY_MS and
+ * HTTP_HOST_LIMITS (JSON: { "<host>": { "requestsPerSecond": 5, "maxConcurrent": 2 } }).
+ */
+
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
+import crypto from 'crypto';
+
+const DEFAULT_TIMEOUT = 30000;
+export const GENERATION_TIMEOUT = 180000; // Image generation and long model calls
+const MAX_RETRY_AFTER = 60000; // Don't sleep longer than this for a Retry-After; fail instead
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH'];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Built-in host limits (Etsy allows ~10 requests/second per app)
+const DEFAULT_HOST_LIMITS = {
+    'openapi.etsy.com': { requestsPerSecond: 5, maxConcurrent: 4 },
+    'api.etsy.com': { requestsPerSecond: 5, maxConcurrent: 2 },
+    'space.ai-builders.com': { maxConcurrent: 6 },
+    'generativelanguage.googleapis.com': { maxConcurrent: 4 }
+};
+
+// ── Errors ─────────────────────────────────────────────────────────────────────
+
+export class HttpError extends Error {
+    constructor(message, { url, method, requestId, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'HttpError';
+        this.url = url;
+        this.method = method;
+        this.requestId = requestId;
+    }
+}
+
+/**
+ * Non-2xx response. `body` is the response text, `json` the parsed body when it was JSON.
+ */
+export class HttpStatusError extends HttpError {
+    constructor(status, { body = '', json = null, retryAfterMs = null, ...context } = {}) {
+        const detail = json?.error_description || json?.error?.message || json?.error || json?.message || body.slice(0, 300);
+        super(`HTTP ${status}: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`, context);
+        this.name = 'HttpStatusError';
+        this.status = status;
+        this.body = body;
+        this.json = json;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+export class HttpTimeoutError extends HttpError {
+    constructor(timeout, context = {}) {
+        super(`Request to ${new URL(context.url).host} timed out after ${timeout / 1000}s`, context);
+        this.name = 'HttpTimeoutError';
+        this.code = 'ETIMEDOUT';
+    }
+}
+
+export class HttpNetworkError extends HttpError {
+    constructor(cause, context = {}) {
+        super(`Network error calling ${new URL(context.url).host}: ${cause.message}`, { ...context, cause });
+        this.name = 'HttpNetworkError';
+        this.code = cause.code;
+    }
+}
+
+export class HttpParseError extends HttpError {
+    constructor(cause, body, context = {}) {
+        super(`Failed to parse response from ${new URL(context.url).host}: ${cause.message}`, { ...context, cause });
+        this.name = 'HttpParseError';
+        this.body = body;
+    }
+}
+
+// ── Settings ───────────────────────────────────────────────────────────────────
+
+function numberEnv(name, fallback) {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && process.env[name] !== '' ? value : fallback;
+}
+
+function retryDefaults() {
+    return {
+        retries: numberEnv('HTTP_MAX_RETRIES', 3),
+        baseDelay: numberEnv('HTTP_RETRY_BASE_DELAY_MS', 1000),
+        maxDelay: numberEnv('HTTP_RETRY_MAX_DELAY_MS', 30000)
+    };
+}
+
+function hostLimitSettings(host) {
+    let overrides = {};
+    if (process.env.HTTP_HOST_LIMITS) {
+        try {
+            overrides = JSON.parse(process.env.HTTP_HOST_LIMITS);
+        } catch (e) {
+            console.log(`   ⚠️ Ignoring invalid HTTP_HOST_LIMITS: ${e.message}`);
+        }
+    }
+    return { ...DEFAULT_HOST_LIMITS[host], ...overrides[host] };
+}
+
+// ── TLS ────────────────────────────────────────────────────────────────────────
+
+let tlsOptions = null;
+
+/**
+ * Certificate options for https requests, resolved once from the environment:
+ * - HTTPS_CA_BUNDLE: PEM file of extra trusted CAs (e.g. a corporate TLS-inspecting proxy),
+ *   added to Node's bundled roots
+ * - HTTPS_INSECURE_SKIP_VERIFY=true: turn verification off for local debugging only.
+ *   Refused when NODE_ENV=production.
+ */
+export function getTlsOptions() {
+    if (tlsOptions) return tlsOptions;
+
+    if (process.env.HTTPS_INSECURE_SKIP_VERIFY === 'true') {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('HTTPS_INSECURE_SKIP_VERIFY=true is not allowed when NODE_ENV=production (use HTTPS_CA_BUNDLE instead)');
+        }
+        console.log('\n' + '⚠️ '.repeat(20));
+        console.log('   ⚠️ HTTPS_INSECURE_SKIP_VERIFY=true — TLS CERTIFICATE VERIFICATION IS DISABLED');
+        console.log('   ⚠️ API tokens are sent over connections that accept ANY certificate. Never use this in production.');
+        console.log('⚠️ '.repeat(20) + '\n');
+        tlsOptions = { rejectUnauthorized: false };
+        return tlsOptions;
+    }
+
+    const bundlePath = process.env.HTTPS_CA_BUNDLE;
+    if (bundlePath) {
+        if (!fs.existsSync(bundlePath)) throw new Error(`HTTPS_CA_BUNDLE file not found: ${bundlePath}`);
+        tlsOptions = { ca: [...tls.rootCertificates, fs.readFileSync(bundlePath, 'utf-8')] };
+        console.log(`   🔐 Trusting extra CA certificates from ${bundlePath}`);
+    } else {
+        tlsOptions = {};
+    }
+    return tlsOptions;
+}
+
+// ── Per-host limiter ───────────────────────────────────────────────────────────
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Concurrency cap + minimum spacing between request starts for one host.
+ * `pauseUntil` holds every request to the host (set when the host answers 429 with Retry-After).
+ */
+class HostLimiter {
+    constructor({ requestsPerSecond = 0, maxConcurrent = 0 } = {}) {
+        this.interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+        this.maxConcurrent = maxConcurrent > 0 ? maxConcurrent : Infinity;
+        this.active = 0;
+        this.nextStart = 0;
+        this.pausedUntil = 0;
+        this.waiters = [];
+    }
+
+    async acquire(signal) {
+        if (this.active >= this.maxConcurrent) {
+            await new Promise((resolve, reject) => {
+                const waiter = { resolve, reject };
+                this.waiters.push(waiter);
+                signal?.addEventListener('abort', () => {
+                    this.waiters = this.waiters.filter(w => w !== waiter);
+                    reject(signal.reason);
+                }, { once: true });
+            });
+        } else {
+            this.active++;
+        }
+
+        try {
+            const now = Date.now();
+            const start = Math.max(now, this.nextStart, this.pausedUntil);
+            this.nextStart = start + this.interval;
+            if (start > now) await sleep(start - now, signal);
+        } catch (e) {
+            this.release();
+            throw e;
+        }
+    }
+
+    release() {
+        const next = this.waiters.shift();
+        if (next) next.resolve(); // Hand the slot over directly
+        else this.active--;
+    }
+
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    }
+}
+
+const limiters = new Map();
+
+function limiterFor(host) {
+    if (!limiters.has(host)) limiters.set(host, new HostLimiter(hostLimitSettings(host)));
+    return limiters.get(host);
+}
+
+// ── Retry policy ───────────────────────────────────────────────────────────────
+
+/**
+ * Retry-After header in ms (delta-seconds or HTTP date), or null
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter: random in [0, min(maxDelay, baseDelay * 2^(attempt-1))]
+ */
+function backoffDelay(attempt, { baseDelay, maxDelay }) {
+    return Math.random() * Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+}
+
+function isRetryable(error, idempotent) {
+    if (error instanceof HttpStatusError) {
+        if (!RETRYABLE_STATUSES.includes(error.status)) return false;
+        // 429 / 503 mean the request was turned away, so even a POST is safe to repeat
+        return idempotent || error.status === 429 || error.status === 503;
+    }
+    if (error instanceof HttpTimeoutError) return idempotent;
+    if (error instanceof HttpNetworkError) {
+        // A refused connection never reached the server
+        return RETRYABLE_NETWORK_CODES.includes(error.code) && (idempotent || error.code === 'ECONNREFUSED');
+    }
+    return false;
+}
+
+// ── Requests ───────────────────────────────────────────────────────────────────
+
+function sendOnce(target, { method, headers, payload, signal, timeout }, context) {
+    return new Promise((resolve, reject) => {
+        const lib = target.protocol === 'https:' ? https : http;
+        const options = {
+            method,
+            headers: payload ? { ...headers, 'Content-Length': payload.length } : headers,
+            signal,
+            ...(target.protocol === 'https:' ? getTlsOptions() : {})
+        };
+
+        const req = lib.request(target, options, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+            res.on('error', e => reject(new HttpNetworkError(e, context)));
+        });
+
+        req.on('error', (e) => {
+            if (signal?.aborted) return reject(signal.reason ?? e);
+            reject(e instanceof HttpError ? e : new HttpNetworkError(e, context));
+        });
+        req.setTimeout(timeout, () => {
+            const error = new HttpTimeoutError(timeout, context);
+            req.destroy(error);
+            reject(error);
+        });
+
+        if (payload) req.write(payload);
+        req.end();
+    });
+}
+
+/**
+ * Send a request with retries and host limits. Resolves with { status, headers, body (Buffer), requestId }
+ * for 2xx responses (any status with `acceptStatus`); otherwise rejects with a typed HttpError.
+ * Aborting `signal` rejects with the signal's reason (callers check `signal.aborted`).
+ * @param {string} url
+ * @param {object} [options]
+ * @param {string} [options.method] - Default GET, or POST when a body is given
+ * @param {object} [options.headers]
+ * @param {object} [options.json] - JSON body
+ * @param {object} [options.form] - application/x-www-form-urlencoded body
+ * @param {string|Buffer} [options.body] - Raw body (set Content-Type yourself)
+ * @param {AbortSignal} [options.signal]
+ * @param {number} [options.timeout] - Idle timeout per attempt (ms)
+ * @param {boolean} [options.idempotent] - Safe to repeat after a timeout / 5xx (default: by method)
+ * @param {object} [options.retry] - { retries, baseDelay, maxDelay } overrides
+ * @param {function} [options.acceptStatus] - (status) => true to resolve instead of throwing
+ */
+export async function request(url, {
+    method, headers = {}, json, form, body, signal, timeout = DEFAULT_TIMEOUT, idempotent, retry = {},
+    acceptStatus = status => status >= 200 && status < 300
+} = {}) {
+    const target = new URL(url);
+    if (target.protocol === 'https:') getTlsOptions(); // Fail fast on a refused TLS configuration
+    let payload = null;
+    let contentType = null;
+    if (json !== undefined) {
+        payload = Buffer.from(JSON.stringify(json));
+        contentType = 'application/json';
+    } else if (form !== undefined) {
+        payload = Buffer.from(new URLSearchParams(form).toString());
+        contentType = 'application/x-www-form-urlencoded';
+    } else if (body !== undefined && body !== null) {
+        payload = Buffer.from(body);
+    }
+
+    const verb = (method || (payload ? 'POST' : 'GET')).toUpperCase();
+    const requestId = crypto.randomUUID();
+    const context = { url: `${target.origin}${target.pathname}`, method: verb, requestId };
+    const policy = { ...retryDefaults(), ...retry };
+    const safeToRepeat = idempotent ?? IDEMPOTENT_METHODS.includes(verb);
+    const limiter = limiterFor(target.host);
+    const allHeaders = {
+        ...(contentType ? { 'Content-Type': contentType } : {}),
+        ...headers,
+        'X-Request-Id': requestId
+    };
+
+    for (let attempt = 1; ; attempt++) {
+        await limiter.acquire(signal);
+        let response;
+        let error;
+        try {
+            response = await sendOnce(target, { method: verb, headers: allHeaders, payload, signal, timeout }, context);
+        } catch (e) {
+            error = e;
+        } finally {
+            limiter.release();
+        }
+
+        if (signal?.aborted) throw signal.reason ?? error;
+        if (response) {
+            if (acceptStatus(response.status)) return { ...response, requestId };
+            const text = response.body.toString('utf-8');
+            let parsed = null;
+            try { parsed = JSON.parse(text); } catch (e) { /* not JSON */ }
+            const retryAfterMs = parseRetryAfter(response.headers['retry-after']);
+            if (response.status === 429 && retryAfterMs) limiter.pause(Math.min(retryAfterMs, MAX_RETRY_AFTER));
+            error = new HttpStatusError(response.status, { body: text, json: parsed, retryAfterMs, ...context });
+        }
+
+        const retryAfterMs = error.retryAfterMs ?? null;
+        if (attempt > policy.retries || !isRetryable(error, safeToRepeat) || retryAfterMs > MAX_RETRY_AFTER) {
+            error.attempts = attempt;
+            throw error;
+        }
+
+        const delay = Math.max(retryAfterMs ?? 0, backoffDelay(attempt, policy));
+        console.log(`   ♻️ ${verb} ${target.host}${target.pathname} failed (${error.message.slice(0, 120)}) — retry ${attempt}/${policy.retries} in ${(delay / 1000).toFixed(1)}s [${requestId.slice(0, 8)}]`);
+        await sleep(delay, signal);
+    }
+}
+
+/**
+ * Request and parse the JSON response body (null for an empty body)
+ */
+export async function requestJson(url, options = {}) {
+    const response = await request(url, {
+        ...options,
+        headers: { 'Accept': 'application/json', ...options.headers }
+    });
+    const text = response.body.toString('utf-8');
+    if (!text) return null; // 204 No Content (e.g. DELETE)
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new HttpParseError(e, text, { url, method: options.method || 'GET', requestId: response.requestId });
+    }
+}
+
+export default {
+    GENERATION_TIMEOUT, getTlsOptions, request, requestJson, HttpError, HttpStatusError, HttpTimeoutError, HttpNetworkError, HttpParseError
+};
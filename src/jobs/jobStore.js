@@ -0,0 +1,225 @@
+/**
+ * Persistent Job Store
+ * Keeps workflow jobs (status, step, logs, timings, output image IDs) on disk under data/jobs/
+ * so a crash or redeploy mid-run doesn't lose the job and its outcome.
+ * Every change is also recorded as a numbered event (log / step / image / status) and
+ * broadcast on `jobEvents`, which backs the SSE progress stream with Last-Event-ID replay.
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.join(__dirname, '..', '..');
+
+const JOBS_DIR = path.join(rootDir, 'data', 'jobs');
+
+// Jobs touched by this process, so running jobs aren't re-read from disk on every poll
+const cache = new Map();
+
+// Emits ('event', jobId, event) for every recorded job event
+export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // One listener per open SSE connection
+
+function jobPath(jobId) {
+    return path.join(JOBS_DIR, `${jobId}.json`);
+}
+
+function isValidJobId(jobId) {
+    return typeof jobId === 'string' && /^[A-Za-z0-9_-]+$/.test(jobId);
+}
+
+/**
+ * Write a job to disk atomically (tmp file + rename) so a crash never leaves half a JSON file
+ */
+export function saveJob(job) {
+    if (!fs.existsSync(JOBS_DIR)) fs.mkdirSync(JOBS_DIR, { recursive: true });
+
+    job.updatedAt = Date.now();
+    const target = jobPath(job.id);
+    const tmp = `${target}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(job, null, 2));
+    fs.renameSync(tmp, target);
+    cache.set(job.id, job);
+    return job;
+}
+
+export function generateJobId() {
+    return 'job_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Create and persist a new running job
+ */
+export function createJob(fields = {}) {
+    const now = Date.now();
+    const job = {
+        id: generateJobId(),
+        status: 'running',
+        createdAt: now,
+        updatedAt: now,
+        startedAt: now,
+        finishedAt: null,
+        durationMs: null,
+        currentStep: 0,
+        progress: 0,
+        steps: {},       // step -> { startedAt, finishedAt }
+        logs: [],
+        events: [],      // { id, event, data, timestamp } — replayed to SSE clients
+        lastEventId: 0,
+        imageIds: [],
+        error: null,
+        ...fields
+    };
+    return saveJob(job);
+}
+
+/**
+ * Load a job by ID (memory first, then disk). Returns null if unknown.
+ */
+export function getJob(jobId) {
+    if (!isValidJobId(jobId)) return null;
+    if (cache.has(jobId)) return cache.get(jobId);
+
+    const file = jobPath(jobId);
+    if (!fs.existsSync(file)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+        console.error(`Failed to read job ${jobId}: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * List stored jobs, newest first
+ */
+export function listJobs(limit = 50) {
+    if (!fs.existsSync(JOBS_DIR)) return [];
+    return fs.readdirSync(JOBS_DIR)
+        .filter(f => f.endsWith('.json'))
+        .map(f => getJob(path.basename(f, '.json')))
+        .filter(Boolean)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, limit);
+}
+
+/**
+ * Jobs currently running in this process (running jobs always stay cached until they finish)
+ */
+export function getRunningJobs() {
+    return [...cache.values()].filter(job => job.status === 'running');
+}
+
+/**
+ * Record a numbered event on the job and broadcast it (caller persists)
+ */
+function pushEvent(job, event, data) {
+    job.events = job.events || [];
+    job.lastEventId = (job.lastEventId || 0) + 1;
+    const entry = { id: job.lastEventId, event, data, timestamp: new Date().toISOString() };
+    job.events.push(entry);
+    jobEvents.emit('event', job.id, entry);
+    return entry;
+}
+
+/**
+ * Record a non-log event (e.g. 'image' when a design finishes) and persist
+ */
+export function recordJobEvent(job, event, data) {
+    pushEvent(job, event, data);
+    saveJob(job);
+}
+
+/**
+ * Append a log line, track the step timing and persist
+ */
+export function addJobLog(job, step, message, type = 'info') {
+    const now = Date.now();
+    if (step && step !== job.currentStep) {
+        const previous = job.steps[job.currentStep];
+        if (previous && !previous.finishedAt) previous.finishedAt = now;
+        job.steps[step] = job.steps[step] || { startedAt: now, finishedAt: null };
+        pushEvent(job, 'step', { step, previousStep: job.currentStep });
+    }
+    if (step) job.currentStep = step;
+
+    const entry = {
+        timestamp: new Date(now).toISOString(),
+        message,
+        type,
+        step
+    };
+    job.logs.push(entry);
+    pushEvent(job, 'log', { ...entry, index: job.logs.length - 1 });
+    return saveJob(job);
+}
+
+/**
+ * Put a finished job back into 'running' (used when resuming it)
+ */
+export function reopenJob(job) {
+    job.status = 'running';
+    job.error = null;
+    job.finishedAt = null;
+    job.durationMs = null;
+    pushEvent(job, 'status', { status: job.status, error: null });
+    return saveJob(job);
+}
+
+/**
+ * Move a job to a terminal status (completed / failed / cancelled / interrupted) and persist
+ */
+export function finishJob(job, status, error = null) {
+    const now = Date.now();
+    const current = job.steps[job.currentStep];
+    if (current && !current.finishedAt) current.finishedAt = now;
+
+    job.status = status;
+    job.error = error;
+    job.finishedAt = now;
+    job.durationMs = now - job.startedAt;
+    if (status === 'completed') job.progress = 100;
+    pushEvent(job, 'status', { status, error });
+
+    saveJob(job);
+    // Finished jobs are read back from disk when needed
+    cache.delete(job.id);
+    return job;
+}
+
+/**
+ * Mark jobs left 'running' by a previous process as interrupted.
+ * Call once on server startup, before any new job is started.
+ */
+export function recoverInterruptedJobs() {
+    const recovered = [];
+    if (!fs.existsSync(JOBS_DIR)) return recovered;
+
+    for (const file of fs.readdirSync(JOBS_DIR)) {
+        if (file.endsWith('.tmp')) {
+            fs.rmSync(path.join(JOBS_DIR, file), { force: true });
+            continue;
+        }
+        if (!file.endsWith('.json')) continue;
+
+        const job = getJob(path.basename(file, '.json'));
+        if (!job || job.status !== 'running') continue;
+
+        addJobLog(job, job.currentStep, '⚠️ Server restarted while this job was running — marked as interrupted', 'warning');
+        finishJob(job, 'interrupted', 'Server restarted before the job finished');
+        recovered.push(job.id);
+    }
+
+    if (recovered.length > 0) {
+        console.log(`   ♻️ Marked ${recovered.length} unfinished job(s) as interrupted`);
+    }
+    return recovered;
+}
+
+export default {
+    jobEvents, createJob, getJob, saveJob, listJobs, getRunningJobs, addJobLog, recordJobEvent, reopenJob, finishJob, recoverInterruptedJobs
+};
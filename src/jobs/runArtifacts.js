@@ -0,0 +1,157 @@
+/**
+ * Run Artifacts
+ * Every workflow run keeps its own trends.json, ideas.json, manifest.json and images/
+ * under data/runs/<runId>/, next to its checkpoint, so any run can be inspected or re-used.
+ * Without a run ID the legacy shared files in data/ and generated_images/ are used
+ * (standalone `npm run scrape|analyze|generate`).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { runStages, runDir, loadRun } from './runCheckpoints.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.join(__dirname, '..', '..');
+
+const DATA_DIR = path.join(rootDir, 'data');
+const RUNS_DIR = path.join(DATA_DIR, 'runs');
+const LEGACY_IMAGES_DIR = path.join(rootDir, 'generated_images');
+const PUBLIC_DIR = path.join(rootDir, 'public');
+
+export const ARTIFACTS = ['trends.json', 'ideas.json', 'manifest.json'];
+
+/**
+ * Absolute path of a run artifact (e.g. 'ideas.json'); data/<name> when runId is empty
+ */
+export function runFile(runId, name) {
+    return runId ? path.join(runDir(runId), name) : path.join(DATA_DIR, name);
+}
+
+export function runImagesDir(runId) {
+    return runId ? path.join(runDir(runId), 'images') : LEGACY_IMAGES_DIR;
+}
+
+/**
+ * Public URL of a generated image file (served by the /runs/:runId/images route)
+ */
+export function runImageUrl(runId, filename) {
+    return runId ? `/runs/${runId}/images/${filename}` : `/generated_images/${filename}`;
+}
+
+/**
+ * Map an image URL (/runs/<runId>/images/x.png, /generated_images/x.png or a file served from
+ * public/) to its file on disk. Throws for anything that would land outside those directories,
+ * so a design's imagePath can never point an upload at other files (.env, data/users.json, ...).
+ */
+export function resolveImageFile(imagePath) {
+    const clean = String(imagePath).split('?')[0];
+    const match = clean.match(/^\/runs\/([A-Za-z0-9_-]+)\/images\/([^/]+)$/);
+    if (match) return path.join(runImagesDir(match[1]), path.basename(match[2]));
+
+    const relative = clean.replace(/^\/+/, '');
+    const [base, rest] = relative.startsWith('generated_images/')
+        ? [LEGACY_IMAGES_DIR, relative.slice('generated_images/'.length)]
+        : [PUBLIC_DIR, relative];
+    const file = path.resolve(base, rest);
+    if (!file.startsWith(base + path.sep)) throw new Error(`Image path ${clean} is outside the image directories`);
+    return file;
+}
+
+export function readRunJson(runId, name, fallback = null) {
+    const file = runFile(runId, name);
+    if (!fs.existsSync(file)) return fallback;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+        console.error(`Failed to read ${name} for ${runId || 'data/'}: ${e.message}`);
+        return fallback;
+    }
+}
+
+export function writeRunJson(runId, name, data) {
+    const file = runFile(runId, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+    return file;
+}
+
+function deriveStatus(run) {
+    const statuses = runStages(run).map(stage => run.stages[stage].status || 'pending');
+    if (statuses.every(s => s === 'completed')) return 'completed';
+    if (statuses.includes('running')) return 'running';
+    if (statuses.includes('failed')) return 'failed';
+    return 'pending';
+}
+
+function summarizeRun(run) {
+    const count = (name, pick = data => data) => {
+        const data = readRunJson(run.runId, name);
+        return data ? (pick(data) || []).length : 0;
+    };
+    return {
+        runId: run.runId,
+        createdAt: run.createdAt,
+        updatedAt: run.updatedAt,
+        status: deriveStatus(run),
+        stages: run.stages,
+        counts: {
+            trends: count('trends.json'),
+            ideas: count('ideas.json'),
+            images: count('manifest.json', manifest => manifest.images)
+        }
+    };
+}
+
+/**
+ * Runs recorded under data/runs/, newest first
+ */
+export function listRuns(limit = 50) {
+    if (!fs.existsSync(RUNS_DIR)) return [];
+    return fs.readdirSync(RUNS_DIR)
+        .map(id => loadRun(id))
+        .filter(Boolean)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, limit)
+        .map(summarizeRun);
+}
+
+/**
+ * One run with its full artifacts, or null if unknown
+ */
+export function getRunDetails(runId) {
+    const run = loadRun(runId);
+    if (!run) return null;
+    return {
+        ...summarizeRun(run),
+        trends: readRunJson(runId, 'trends.json', []),
+        ideas: readRunJson(runId, 'ideas.json', []),
+        manifest: readRunJson(runId, 'manifest.json')
+    };
+}
+
+/**
+ * Most recent run that produced `name`, or null (callers then fall back to data/<name>)
+ */
+export function latestRunWith(name) {
+    if (!fs.existsSync(RUNS_DIR)) return null;
+    const run = fs.readdirSync(RUNS_DIR)
+        .map(id => loadRun(id))
+        .filter(run => run && fs.existsSync(runFile(run.runId, name)))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+    return run?.runId || null;
+}
+
+/**
+ * Read an artifact from the given run, or from the latest run that has it, or from data/
+ */
+export function readLatestArtifact(name, runId = null, fallback = null) {
+    return readRunJson(runId || latestRunWith(name), name, fallback);
+}
+
+export default {
+    ARTIFACTS, runFile, runImagesDir, runImageUrl, resolveImageFile, readRunJson, writeRunJson,
+    listRuns, getRunDetails, latestRunWith, readLatestArtifact
+};
@@ -0,0 +1,162 @@
+/**
+ * Run Checkpoints
+ * Records each pipeline stage's status per run in data/runs/<runId>/checkpoint.json.
+ * Stages write their output (trends.json, ideas.json, manifest.json) into the same run directory
+ * (see runArtifacts.js), so a failed run can resume from the first incomplete stage instead of
+ * paying for search + chat calls again.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.join(__dirname, '..', '..');
+
+const RUNS_DIR = path.join(rootDir, 'data', 'runs');
+
+// Pipeline stages in order, with the dashboard step number and the run files each one produces
+export const STAGES = ['scrape', 'analyze', 'generate', 'copy', 'etsy'];
+
+const STAGE_INFO = {
+    scrape: { step: 1, outputs: ['trends.json'] },
+    analyze: { step: 2, outputs: ['ideas.json'] },
+    generate: { step: 3, outputs: ['manifest.json'] },
+    copy: { step: 4, outputs: [] }, // Listing copy is stored on the designs (design.listingCopy)
+    etsy: { step: 4, outputs: [] }
+};
+
+export function stageStep(stage) {
+    return STAGE_INFO[stage].step;
+}
+
+/**
+ * The stages a run has. Runs checkpointed before a stage was added don't have it and skip it.
+ */
+export function runStages(run) {
+    return STAGES.filter(stage => run.stages[stage]);
+}
+
+function isValidRunId(runId) {
+    return typeof runId === 'string' && /^[A-Za-z0-9_-]+$/.test(runId);
+}
+
+export function runDir(runId) {
+    if (!isValidRunId(runId)) throw new Error(`Invalid run ID: ${runId}`);
+    return path.join(RUNS_DIR, runId);
+}
+
+function checkpointPath(runId) {
+    return path.join(runDir(runId), 'checkpoint.json');
+}
+
+function saveRun(run) {
+    const dir = runDir(run.runId);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    run.updatedAt = new Date().toISOString();
+    const target = checkpointPath(run.runId);
+    fs.writeFileSync(`${target}.tmp`, JSON.stringify(run, null, 2));
+    fs.renameSync(`${target}.tmp`, target);
+    return run;
+}
+
+export function generateRunId() {
+    return 'run_' + Date.now();
+}
+
+/**
+ * Start a fresh checkpoint record with every stage pending.
+ * `settings` (e.g. { imageProvider }) are kept with the run so a resume uses the same configuration.
+ */
+export function createRun(runId = generateRunId(), settings = {}) {
+    const stages = {};
+    STAGES.forEach(stage => { stages[stage] = { status: 'pending' }; });
+    return saveRun({
+        runId,
+        createdAt: new Date().toISOString(),
+        updatedAt: null,
+        settings,
+        stages
+    });
+}
+
+export function loadRun(runId) {
+    if (!isValidRunId(runId)) return null;
+    const file = checkpointPath(runId);
+    if (!fs.existsSync(file)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+        console.error(`Failed to read checkpoint for ${runId}: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * Most recently created run, or null if none were checkpointed yet
+ */
+export function latestRunId() {
+    if (!fs.existsSync(RUNS_DIR)) return null;
+    const runs = fs.readdirSync(RUNS_DIR)
+        .map(id => loadRun(id))
+        .filter(Boolean)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    return runs[0]?.runId || null;
+}
+
+function updateStage(runId, stage, patch) {
+    const run = loadRun(runId) || createRun(runId);
+    run.stages[stage] = { ...run.stages[stage], ...patch };
+    return saveRun(run);
+}
+
+export function markStageStarted(runId, stage) {
+    return updateStage(runId, stage, { status: 'running', startedAt: new Date().toISOString(), finishedAt: null, error: null });
+}
+
+export function markStageCompleted(runId, stage) {
+    return updateStage(runId, stage, { status: 'completed', finishedAt: new Date().toISOString() });
+}
+
+export function markStageFailed(runId, stage, error) {
+    return updateStage(runId, stage, { status: 'failed', finishedAt: new Date().toISOString(), error });
+}
+
+/**
+ * First stage that is not completed, or null when the whole run finished
+ */
+export function getResumeStage(runId) {
+    const run = loadRun(runId);
+    if (!run) return null;
+    return runStages(run).find(stage => run.stages[stage].status !== 'completed') || null;
+}
+
+/**
+ * Check that every completed stage before `fromStage` left its output in the run directory,
+ * so the remaining stages can read the same inputs the original run produced.
+ * Returns the files that will be re-used.
+ */
+export function verifyRunOutputs(runId, fromStage) {
+    const run = loadRun(runId);
+    if (!run) throw new Error(`No checkpoint found for run ${runId}`);
+
+    const reused = [];
+    for (const stage of runStages(run).filter(stage => STAGES.indexOf(stage) < STAGES.indexOf(fromStage))) {
+        if (run.stages[stage]?.status !== 'completed') {
+            throw new Error(`Stage "${stage}" of run ${runId} never completed`);
+        }
+        for (const file of STAGE_INFO[stage].outputs) {
+            if (!fs.existsSync(path.join(runDir(runId), file))) {
+                throw new Error(`Output file ${file} missing for run ${runId}`);
+            }
+            reused.push(file);
+        }
+    }
+    return reused;
+}
+
+export default {
+    STAGES, stageStep, runStages, runDir, generateRunId, createRun, loadRun, latestRunId,
+    markStageStarted, markStageCompleted, markStageFailed, getResumeStage, verifyRunOutputs
+};
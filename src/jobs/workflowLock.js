@@ -0,0 +1,154 @@
+/**
+ * Workflow Lock
+ * Single-flight guard so only one workflow run (server job or `npm run workflow`) is in progress
+ * at a time — runs share the design catalog, the API quotas and the Etsy shop.
+ * The lock is a file (data/workflow.lock) created atomically, so it also works across processes;
+ * a lock left behind by a dead process is treated as stale and taken over (moved aside by rename,
+ * never deleted and re-created).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.join(__dirname, '..', '..');
+
+const LOCK_PATH = path.join(rootDir, 'data', 'workflow.lock');
+const UNREADABLE_STALE_MS = 60 * 1000; // An unparseable lock file older than this is abandoned
+
+// Owners holding the lock in this process
+const held = new Set();
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        return e.code === 'EPERM';
+    }
+}
+
+function fileAgeMs(file) {
+    try {
+        return Date.now() - fs.statSync(file).mtimeMs;
+    } catch (e) {
+        return 0;
+    }
+}
+
+/**
+ * The lock file's content, { unreadable: true, ageMs } when it exists but can't be parsed
+ * (e.g. written by an older version), or null when there is none
+ */
+function readLock(file = LOCK_PATH) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf-8');
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return { unreadable: true, ageMs: fileAgeMs(file) };
+    }
+}
+
+function isStale(lock) {
+    // A lock we can't read counts as held until it is clearly abandoned
+    if (lock.unreadable) return lock.ageMs > UNREADABLE_STALE_MS;
+    if (!isProcessAlive(lock.pid)) return true;
+    // Same PID but not held in memory: left over from a previous process that reused our PID
+    // (common for PID 1 in containers)
+    return lock.pid === process.pid && !held.has(lock.owner);
+}
+
+function uniquePath(kind) {
+    return `${LOCK_PATH}.${kind}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Move a stale lock out of the way. Renaming is atomic, so only one process gets a given lock file;
+ * if what it got is no longer the lock it judged stale (another process took over in between), it
+ * is put back. Returns true when the lock path is free to try again.
+ */
+function removeStaleLock(stale) {
+    const moved = uniquePath('stale');
+    try {
+        fs.renameSync(LOCK_PATH, moved);
+    } catch (e) {
+        if (e.code === 'ENOENT') return true; // Someone else moved it first
+        throw e;
+    }
+    const got = readLock(moved);
+    if (got && JSON.stringify(got) !== JSON.stringify(stale) && !isStale(got)) {
+        try {
+            fs.linkSync(moved, LOCK_PATH);
+        } catch (e) {
+            if (e.code !== 'EEXIST') throw e;
+        }
+        fs.rmSync(moved, { force: true });
+        return false;
+    }
+    console.log(`   🔓 Removed stale workflow lock held by ${stale.owner || 'unknown'}`);
+    fs.rmSync(moved, { force: true });
+    return true;
+}
+
+/**
+ * Current lock holder ({ owner, pid, acquiredAt }) or null if the workflow is free
+ */
+export function getWorkflowLock() {
+    const lock = readLock();
+    if (!lock || isStale(lock)) return null;
+    return lock.unreadable ? { owner: null, pid: null, acquiredAt: null } : lock;
+}
+
+/**
+ * Try to take the lock for `owner` (a job or run ID). Returns true on success.
+ * The lock is written to a temporary file and hard-linked into place, so other processes never see
+ * it half written.
+ */
+export function acquireWorkflowLock(owner) {
+    const dir = path.dirname(LOCK_PATH);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    const payload = JSON.stringify({ owner, pid: process.pid, acquiredAt: new Date().toISOString() });
+    const tmp = uniquePath('tmp');
+    fs.writeFileSync(tmp, payload);
+
+    try {
+        for (let attempt = 0; attempt < 3; attempt++) {
+            try {
+                fs.linkSync(tmp, LOCK_PATH);
+                held.add(owner);
+                return true;
+            } catch (e) {
+                if (e.code !== 'EEXIST') throw e;
+                const existing = readLock();
+                if (existing && !isStale(existing)) return false;
+                if (existing && !removeStaleLock(existing)) return false;
+            }
+        }
+        return false;
+    } finally {
+        fs.rmSync(tmp, { force: true });
+    }
+}
+
+/**
+ * Release the lock if `owner` still holds it
+ */
+export function releaseWorkflowLock(owner) {
+    held.delete(owner);
+    const lock = readLock();
+    if (lock && lock.owner === owner && lock.pid === process.pid) {
+        fs.rmSync(LOCK_PATH, { force: true });
+    }
+}
+
+export default { getWorkflowLock, acquireWorkflowLock, releaseWorkflowLock };
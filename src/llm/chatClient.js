@@ -0,0 +1,95 @@
+/**
+ * Chat Completion Client
+ * One entry point for every LLM call (trend summarizer, idea analyzer, listing copy) with provider adapters for
+ * OpenAI-compatible APIs, Gemini and a local Ollama / llama.cpp server.
+ *
+ * Settings are resolved per stage from the environment, most specific first:
+ *   LLM_<STAGE>_PROVIDER / _MODEL / _TEMPERATURE / _MAX_TOKENS   (e.g. LLM_ANALYZER_MODEL)
+ *   LLM_PROVIDER / LLM_MODEL / LLM_TEMPERATURE / LLM_MAX_TOKENS
+ *   the stage defaults below and the provider's default model
+ */
+
+import openaiChat from './providers/openaiChat.js';
+import geminiChat from './providers/geminiChat.js';
+import localChat from './providers/localChat.js';
+
+export const CHAT_PROVIDERS = Object.fromEntries(
+    [openaiChat, geminiChat, localChat].map(provider => [provider.name, provider])
+);
+
+export const DEFAULT_CHAT_PROVIDER = 'openai';
+
+// Per-stage defaults (temperature, token limit, request timeout)
+const STAGE_DEFAULTS = {
+    default: { temperature: 0.7, maxTokens: 4096, timeout: 120000 },
+    trends: { temperature: 0.6, maxTokens: 3000, timeout: 60000 },
+    analyzer: { temperature: 0.7, maxTokens: 4096, timeout: 180000 },
+    copy: { temperature: 0.6, maxTokens: 2000, timeout: 90000 }
+};
+
+function stageEnv(stage, key) {
+    return process.env[`LLM_${stage.toUpperCase()}_${key}`];
+}
+
+function numberSetting(...values) {
+    const value = values.find(v => v !== undefined && v !== '');
+    return value === undefined ? undefined : Number(value);
+}
+
+/**
+ * Resolved { provider, model, temperature, maxTokens, timeout } for a stage ('trends', 'analyzer', ...)
+ */
+export function getChatSettings(stage = 'default') {
+    const defaults = STAGE_DEFAULTS[stage] || STAGE_DEFAULTS.default;
+    const stageProvider = stageEnv(stage, 'PROVIDER');
+    const providerName = stageProvider || process.env.LLM_PROVIDER || DEFAULT_CHAT_PROVIDER;
+    const provider = CHAT_PROVIDERS[providerName];
+    if (!provider) {
+        throw new Error(`Unknown LLM provider "${providerName}" (expected one of: ${Object.keys(CHAT_PROVIDERS).join(', ')})`);
+    }
+
+    return {
+        provider: provider.name,
+        // A stage that switches provider doesn't inherit the global model name of another vendor
+        model: stageEnv(stage, 'MODEL') || (stageProvider ? null : process.env.LLM_MODEL) || provider.defaultModel,
+        temperature: numberSetting(stageEnv(stage, 'TEMPERATURE'), process.env.LLM_TEMPERATURE, defaults.temperature),
+        maxTokens: numberSetting(stageEnv(stage, 'MAX_TOKENS'), process.env.LLM_MAX_TOKENS, defaults.maxTokens),
+        timeout: defaults.timeout
+    };
+}
+
+/**
+ * Whether the provider configured for `stage` has its credentials
+ */
+export function isChatConfigured(stage = 'default') {
+    return CHAT_PROVIDERS[getChatSettings(stage).provider].isConfigured();
+}
+
+/**
+ * Run one chat completion and resolve to the reply text.
+ * @param {Array<{role: string, content: string|Array}>} messages - OpenAI-style messages
+ * @param {object} [options]
+ * @param {string} [options.stage] - Settings stage ('trends', 'analyzer', 'copy')
+ * @param {boolean} [options.json] - Ask for a JSON object reply
+ * @param {AbortSignal} [options.signal]
+ * @param {string} [options.model] - Overrides the stage settings (also temperature, maxTokens)
+ */
+export async function chatCompletion(messages, { stage = 'default', json = false, signal, ...overrides } = {}) {
+    const settings = { ...getChatSettings(stage), ...overrides };
+    const provider = CHAT_PROVIDERS[settings.provider];
+    if (!provider.isConfigured()) {
+        throw new Error(`LLM provider "${provider.name}" is not configured`);
+    }
+    return provider.complete({ ...settings, messages, json, signal });
+}
+
+/**
+ * Parse the JSON object in a model reply (tolerates surrounding prose or markdown fences)
+ */
+export function parseJsonReply(text) {
+    const match = String(text).match(/\{[\s\S]*\}/);
+    if (!match) throw new Error('No JSON found in response');
+    return JSON.parse(match[0]);
+}
+
+export default { CHAT_PROVIDERS, DEFAULT_CHAT_PROVIDER, getChatSettings, isChatConfigured, chatCompletion, parseJsonReply };
@@ -0,0 +1,61 @@
+/**
+ * Gemini Chat Provider
+ * Maps OpenAI-style messages onto the Generative Language generateContent API:
+ * system messages become the system instruction, assistant turns the "model" role.
+ * Authenticated with GEMINI_API_KEY.
+ */
+
+import { requestJson } from '../../http/httpClient.js';
+
+const API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+/**
+ * OpenAI message content (string or [{ type: 'text' | 'image_url' }]) to Gemini parts
+ */
+function toParts(content) {
+    if (typeof content === 'string') return [{ text: content }];
+    return content.map(part => {
+        if (part.type === 'text') return { text: part.text };
+        const match = String(part.image_url?.url || '').match(/^data:([^;]+);base64,(.+)$/);
+        if (!match) throw new Error('Gemini chat only supports inline (data URL) images');
+        return { inlineData: { mimeType: match[1], data: match[2] } };
+    });
+}
+
+export default {
+    name: 'gemini',
+    label: 'Google Gemini',
+    defaultModel: 'gemini-2.5-flash',
+
+    isConfigured() {
+        return Boolean(process.env.GEMINI_API_KEY);
+    },
+
+    async complete({ messages, model, temperature, maxTokens, json, signal, timeout }) {
+        const system = messages.filter(m => m.role === 'system');
+        const response = await requestJson(`${API_BASE_URL}/models/${encodeURIComponent(model)}:generateContent`, {
+            json: {
+                ...(system.length ? { systemInstruction: { parts: system.flatMap(m => toParts(m.content)) } } : {}),
+                contents: messages
+                    .filter(m => m.role !== 'system')
+                    .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: toParts(m.content) })),
+                generationConfig: {
+                    temperature,
+                    maxOutputTokens: maxTokens,
+                    ...(json ? { responseMimeType: 'application/json' } : {})
+                }
+            },
+            headers: { 'x-goog-api-key': process.env.GEMINI_API_KEY },
+            idempotent: true,
+            signal,
+            timeout
+        });
+
+        const candidate = response.candidates?.[0];
+        const content = (candidate?.content?.parts || []).map(part => part.text || '').join('');
+        if (!content) {
+            throw new Error(`No content in Gemini response (${candidate?.finishReason || response.promptFeedback?.blockReason || 'empty'})`);
+        }
+        return content;
+    }
+};
@@ -0,0 +1,23 @@
+/**
+ * Local Chat Provider (Ollama / llama.cpp)
+ * Both servers expose an OpenAI-compatible /v1/chat/completions endpoint, so this reuses the
+ * OpenAI-compatible call against LLM_LOCAL_BASE_URL (default: Ollama on localhost). No API key needed.
+ */
+
+import { openAICompatibleChat } from './openaiChat.js';
+
+const DEFAULT_BASE_URL = 'http://127.0.0.1:11434/v1';
+
+export default {
+    name: 'local',
+    label: 'Local Ollama / llama.cpp server',
+    defaultModel: 'llama3.1',
+
+    isConfigured() {
+        return true;
+    },
+
+    complete(request) {
+        return openAICompatibleChat(process.env.LLM_LOCAL_BASE_URL || DEFAULT_BASE_URL, process.env.LLM_LOCAL_API_KEY, request);
+    }
+};
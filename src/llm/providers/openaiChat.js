@@ -0,0 +1,49 @@
+/**
+ * OpenAI-compatible Chat Provider
+ * POST {base}/chat/completions — the AI Builder Space backend by default, or any OpenAI-compatible
+ * API via LLM_OPENAI_BASE_URL / LLM_OPENAI_API_KEY.
+ */
+
+import { requestJson } from '../../http/httpClient.js';
+
+const DEFAULT_BASE_URL = 'https://space.ai-builders.com/backend/v1';
+
+function apiKey() {
+    return process.env.LLM_OPENAI_API_KEY || process.env.AI_BUILDER_TOKEN;
+}
+
+/**
+ * One chat completion against an OpenAI-compatible endpoint; resolves to the reply text
+ */
+export async function openAICompatibleChat(baseUrl, key, { messages, model, temperature, maxTokens, json, signal, timeout }) {
+    const response = await requestJson(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        json: {
+            model,
+            messages,
+            temperature,
+            max_tokens: maxTokens,
+            ...(json ? { response_format: { type: 'json_object' } } : {})
+        },
+        headers: key ? { 'Authorization': `Bearer ${key}` } : {},
+        idempotent: true,
+        signal,
+        timeout
+    });
+    const content = response.choices?.[0]?.message?.content;
+    if (!content) throw new Error('No content in API response');
+    return content;
+}
+
+export default {
+    name: 'openai',
+    label: 'OpenAI-compatible API',
+    defaultModel: 'gpt-5',
+
+    isConfigured() {
+        return Boolean(apiKey());
+    },
+
+    complete(request) {
+        return openAICompatibleChat(process.env.LLM_OPENAI_BASE_URL || DEFAULT_BASE_URL, apiKey(), request);
+    }
+};
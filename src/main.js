@@ -9,11 +9,70 @@ import scrapeDesignTrends from './scraper/googleScraper.js';
 import { analyzeAndGenerateIdeas } from './analyzer/imageAnalyzer.js';
 import generateImages from './generator/imageGenerator.js';
 import { sendIdeasEmail, sendConfirmationEmail } from './emailer/emailService.js';
-import { createDraftListing } from './etsy/etsyUploader.js';
+import { uploadDesigns } from './etsy/listingSync.js';
+import { processUploadOutbox } from './etsy/uploadOutbox.js';
+import { generateListingCopy } from './etsy/listingCopy.js';
+import { isEtsyConnected } from './etsy/tokenStore.js';
 import { startServer } from './server/server.js';
+import {
+    STAGES, createRun, generateRunId, latestRunId, loadRun, markStageStarted, markStageCompleted,
+    markStageFailed, getResumeStage, verifyRunOutputs
+} from './jobs/runCheckpoints.js';
+import { readRunJson } from './jobs/runArtifacts.js';
+import {
+    PUBLISHABLE_REVIEW_STATUSES, queryDesigns, findDesignIds, reviewDesigns
+} from './catalog/designCatalog.js';
+import { getWorkflowLock, acquireWorkflowLock, releaseWorkflowLock } from './jobs/workflowLock.js';
+import { IMAGE_PROVIDERS } from './generator/providers/index.js';
 
 dotenv.config();
 
+/**
+ * Parse `--resume [runId]` from the command line.
+ * Without an ID the most recent run is resumed.
+ */
+function parseResumeArg(argv) {
+    const index = argv.indexOf('--resume');
+    if (index === -1) return null;
+    const value = argv[index + 1];
+    if (value && !value.startsWith('--')) return value;
+    return latestRunId() || '';
+}
+
+/**
+ * Parse `--provider <name>` (image provider for a new run) from the command line
+ */
+function parseProviderArg(argv) {
+    const index = argv.indexOf('--provider');
+    if (index === -1) return null;
+    const name = argv[index + 1];
+    if (!name || !IMAGE_PROVIDERS[name]) {
+        throw new Error(`--provider must be one of: ${Object.keys(IMAGE_PROVIDERS).join(', ')}`);
+    }
+    return name;
+}
+
+/**
+ * Take the single-flight workflow lock for this run, or exit if another run (CLI or server job) holds it.
+ * Ctrl+C releases the lock and marks the interrupted stage as failed so the run can be resumed.
+ */
+function lockWorkflow(runId) {
+    if (!acquireWorkflowLock(runId)) {
+        const lock = getWorkflowLock();
+        throw new Error(`Another workflow is already running (${lock?.owner || 'unknown'}, pid ${lock?.pid || '?'})`);
+    }
+    process.once('SIGINT', () => {
+        console.log('\n   🛑 Interrupted — releasing workflow lock');
+        const stage = runId && getResumeStage(runId);
+        if (stage && loadRun(runId)?.stages[stage]?.status === 'running') {
+            markStageFailed(runId, stage, 'Interrupted');
+        }
+        releaseWorkflowLock(runId);
+        console.log(`   ♻️ Resume later with: npm run workflow -- --resume ${runId}`);
+        process.exit(130);
+    });
+}
+
 async function main() {
     console.log('\n' + '='.repeat(60));
     console.log('  🤖 YOUR AI EMPLOYEE - TREND & DESIGN AUTOMATION');
@@ -21,63 +80,127 @@ async function main() {
     console.log(`  Started: ${new Date().toLocaleString()}`);
     console.log('='.repeat(60));
 
+    const resumeRunId = parseResumeArg(process.argv.slice(2));
+    let runId;
+    let fromStage = STAGES[0];
+    let currentStage = null;
+
     try {
-        // Clear previous run data
-        const fs = await import('fs');
-        const path = await import('path');
-        const rootDir = process.cwd();
-        const manifestPath = path.join(rootDir, 'data', 'manifest.json');
-        if (fs.existsSync(manifestPath)) {
-            try {
-                fs.unlinkSync(manifestPath);
-                console.log('   🧹 Cleared previous run manifest.');
-            } catch (e) {
-                console.log('   ⚠️ Failed to clear manifest:', e.message);
+        if (resumeRunId !== null) {
+            if (!resumeRunId || !loadRun(resumeRunId)) {
+                throw new Error(`No checkpointed run found to resume${resumeRunId ? `: ${resumeRunId}` : ''}`);
             }
+            runId = resumeRunId;
+            fromStage = getResumeStage(runId);
+            if (!fromStage) {
+                console.log(`\n   ✅ Run ${runId} already completed every stage — nothing to resume.`);
+                return;
+            }
+            lockWorkflow(runId);
+            const reused = verifyRunOutputs(runId, fromStage);
+            console.log(`\n   ♻️ Resuming run ${runId} from stage "${fromStage}" (re-using ${reused.join(', ') || 'nothing'})`);
+        } else {
+            const imageProvider = parseProviderArg(process.argv.slice(2));
+            runId = generateRunId();
+            lockWorkflow(runId);
+            createRun(runId, imageProvider ? { imageProvider } : {});
+            console.log(`  Run ID: ${runId} (resume with: npm run workflow -- --resume ${runId})`);
+            console.log(`  Output: data/runs/${runId}/`);
         }
 
+        const shouldRun = (stage) => STAGES.indexOf(stage) >= STAGES.indexOf(fromStage);
+        const beginStage = (stage) => { currentStage = stage; markStageStarted(runId, stage); };
+        const endStage = (stage) => { markStageCompleted(runId, stage); currentStage = null; };
+
         // Step 1: Search for Design Trends
-        console.log('\n📌 STEP 1: Searching for Fashion & Design Trends...');
-        const trends = await scrapeDesignTrends();
-        console.log(`   Found ${trends.length} trend insights`);
+        if (shouldRun('scrape')) {
+            beginStage('scrape');
+            console.log('\n📌 STEP 1: Searching for Fashion & Design Trends...');
+            const trends = await scrapeDesignTrends({ runId });
+            console.log(`   Found ${trends.length} trend insights`);
+            endStage('scrape');
+        } else {
+            console.log('\n📌 STEP 1: ⏭️ Trends already collected in this run — skipped');
+        }
 
         // Step 2: Analyze images and generate ideas
-        console.log('\n📌 STEP 2: Analyzing images and generating ideas...');
-        const ideas = await analyzeAndGenerateIdeas();
-        console.log(`   Generated ${ideas.length} unique design ideas`);
+        let ideas;
+        if (shouldRun('analyze')) {
+            beginStage('analyze');
+            console.log('\n📌 STEP 2: Analyzing images and generating ideas...');
+            ideas = await analyzeAndGenerateIdeas({ runId });
+            console.log(`   Generated ${ideas.length} unique design ideas`);
+            endStage('analyze');
+        } else {
+            console.log('\n📌 STEP 2: ⏭️ Ideas already generated in this run — skipped');
+            ideas = readRunJson(runId, 'ideas.json', []);
+        }
 
         // Step 3: Generate images first
-        console.log('\n📌 STEP 3: Generating images...');
-        const generatedImages = await generateImages();
-        console.log(`   🖼️ Generated: ${generatedImages.length} images`);
-
-        // Step 4: Auto-upload to Etsy as draft listings
-        console.log('\n📌 STEP 4: Uploading designs to Etsy...');
-        if (process.env.ETSY_ACCESS_TOKEN && process.env.ETSY_SHOP_ID) {
-            const path2 = await import('path');
-
-            // ✅ Parallel upload — all designs at once instead of serial for-loop
-            const uploadTasks = ideas.map(async (idea, i) => {
-                const imgFile = path2.join(process.cwd(), 'generated_images', `design_${String(i + 1).padStart(2, '0')}.png`);
-                await createDraftListing(idea, imgFile);
+        if (shouldRun('generate')) {
+            beginStage('generate');
+            console.log('\n📌 STEP 3: Generating images...');
+            const generatedImages = await generateImages({ runId, provider: loadRun(runId)?.settings?.imageProvider });
+            if (generatedImages.length === 0) {
+                throw new Error('Image generation produced no images (timed out or API unavailable)');
+            }
+            console.log(`   🖼️ Generated: ${generatedImages.length} images`);
+            endStage('generate');
+        } else {
+            console.log('\n📌 STEP 3: ⏭️ Images already generated in this run — skipped');
+        }
+
+        // Step 4: SEO listing copy (title, description, tags, alt text), editable in the gallery before upload
+        if (shouldRun('copy')) {
+            beginStage('copy');
+            console.log('\n📌 STEP 4: Writing Etsy listing copy...');
+            const copy = await generateListingCopy({ runId });
+            console.log(`   ✍️ Listing copy: ${copy.written} written, ${copy.skipped} kept, ${copy.failed} failed (template text used)`);
+            endStage('copy');
+        } else {
+            console.log('\n📌 STEP 4: ⏭️ Listing copy already written in this run — skipped');
+        }
+
+        // Step 5: Auto-upload to Etsy as draft listings
+        beginStage('etsy');
+        console.log('\n📌 STEP 5: Uploading designs to Etsy...');
+        if (isEtsyConnected()) {
+            // Only approved designs of this run are published
+            if (process.env.AUTO_APPROVE_DESIGNS === 'true') {
+                const approved = reviewDesigns(findDesignIds({ runId, status: 'generated', review: ['pending'] }), 'approved');
+                console.log(`   ✅ Auto-approved ${approved.length} design(s) (AUTO_APPROVE_DESIGNS)`);
+            }
+            const { items: images } = queryDesigns({
+                runId, review: PUBLISHABLE_REVIEW_STATUSES, uploaded: false, limit: Infinity
             });
-            const results = await Promise.allSettled(uploadTasks);
-            const uploaded = results.filter(r => r.status === 'fulfilled').length;
-            results.filter(r => r.status === 'rejected').forEach((r, i) =>
-                console.log(`   ⚠️ Etsy upload failed for design ${i + 1}: ${r.reason?.message}`)
-            );
-            console.log(`   🛍️ Uploaded ${uploaded}/${ideas.length} designs to Etsy as draft listings`);
+            const awaitingReview = findDesignIds({ runId, review: ['pending'] }).length;
+            if (awaitingReview > 0) {
+                console.log(`   📝 ${awaitingReview} design(s) awaiting review — approve them at /review, then publish from the gallery`);
+            }
+
+            // Earlier uploads due for a retry first, then this run's designs one at a time through the outbox
+            const earlier = await processUploadOutbox();
+            if (earlier.done + earlier.retrying + earlier.failed > 0) {
+                console.log(`   📤 Retried earlier uploads: ${earlier.done} done, ${earlier.retrying} retrying, ${earlier.failed} failed`);
+            }
+            const counts = await uploadDesigns(images);
+            console.log(`   🛍️ Uploaded ${counts.done}/${images.length} approved designs to Etsy as draft listings`);
+            if (counts.retrying + counts.failed > 0) {
+                console.log(`   ⚠️ ${counts.retrying} upload(s) will be retried by the server, ${counts.failed} failed — see /uploads`);
+            }
         } else {
             // Fallback to email if Etsy not configured
             console.log('   ℹ️ Etsy not configured — falling back to email');
             const emailResult = await sendIdeasEmail(ideas);
             console.log(`   📧 Ideas email: ${emailResult.success ? 'Sent' : 'Skipped'}`);
         }
+        endStage('etsy');
+        releaseWorkflowLock(runId);
 
-        // Step 5: Start server
-        console.log('\n📌 STEP 5: Starting server...');
+        // Step 6: Start server
+        console.log('\n📌 STEP 6: Starting server...');
         await startServer();
-        if (!process.env.ETSY_ACCESS_TOKEN) {
+        if (!isEtsyConnected()) {
             await sendConfirmationEmail();
         }
 
@@ -94,8 +217,11 @@ async function main() {
         await open(confirmUrl);
 
     } catch (error) {
+        if (runId && currentStage) markStageFailed(runId, currentStage, error.message);
+        if (runId) releaseWorkflowLock(runId);
         console.error('\n❌ Workflow error:', error.message);
         console.error(error.stack);
+        if (runId && loadRun(runId)) console.error(`   ♻️ Resume later with: npm run workflow -- --resume ${runId}`);
         process.exit(1);
     }
 }
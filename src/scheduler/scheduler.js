@@ -0,0 +1,350 @@
+/**
+ * Daily Workflow Scheduler
+ * Cron-style scheduler (5 fields: minute hour day-of-month month day-of-week, in a configurable
+ * time zone) that triggers the workflow from inside the server.
+ * The schedule and its run history live in data/schedule.json so they survive restarts;
+ * runs that were skipped (a job already running) or missed (server offline) are recorded.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.join(__dirname, '..', '..');
+
+const SCHEDULE_PATH = path.join(rootDir, 'data', 'schedule.json');
+const TICK_MS = 30 * 1000;
+const MAX_MISSED_RUNS = 50;
+const MISSED_LOOKBACK_MINUTES = 7 * 24 * 60; // Only report misses from the last week
+const NEXT_RUN_LOOKAHEAD_DAYS = 5 * 366; // Long enough for Feb 29 schedules
+
+const SHORTCUTS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+let timer = null;
+let hooks = null;
+
+// ── Cron parsing ──────────────────────────────────────────────────────────────
+
+function parseField(expr, min, max, name) {
+    const values = new Set();
+    for (const part of expr.split(',')) {
+        const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+        if (!match) throw new Error(`Invalid cron ${name} field: "${expr}"`);
+
+        let [start, end] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+        if (end === undefined) end = match[2] ? max : start;
+        const step = match[2] ? parseInt(match[2]) : 1;
+
+        if (start < min || end > max || start > end || step < 1) {
+            throw new Error(`Cron ${name} field out of range (${min}-${max}): "${expr}"`);
+        }
+        for (let v = start; v <= end; v += step) values.add(v);
+    }
+    return values;
+}
+
+/**
+ * Parse a 5-field cron expression (or @hourly/@daily/@weekly/@monthly)
+ */
+export function parseCron(expression) {
+    const normalized = SHORTCUTS[String(expression).trim()] || String(expression).trim();
+    const fields = normalized.split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Cron expression must have 5 fields (minute hour day month weekday): "${expression}"`);
+    }
+
+    const dow = parseField(fields[4], 0, 7, 'day-of-week');
+    if (dow.has(7)) dow.add(0); // 7 is also Sunday
+
+    return {
+        minute: parseField(fields[0], 0, 59, 'minute'),
+        hour: parseField(fields[1], 0, 23, 'hour'),
+        dom: parseField(fields[2], 1, 31, 'day-of-month'),
+        month: parseField(fields[3], 1, 12, 'month'),
+        dow,
+        domRestricted: fields[2] !== '*',
+        dowRestricted: fields[4] !== '*'
+    };
+}
+
+// ── Time zone helpers ─────────────────────────────────────────────────────────
+
+const formatters = new Map();
+
+function zonedParts(date, timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short'
+        }));
+    }
+    const parts = {};
+    for (const { type, value } of formatters.get(timezone).formatToParts(date)) parts[type] = value;
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour),
+        minute: parseInt(parts.minute),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+}
+
+export function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function dayMatches(cron, parts) {
+    if (!cron.month.has(parts.month)) return false;
+    // Standard cron: when both day fields are restricted, either may match
+    const domMatch = cron.dom.has(parts.day);
+    const dowMatch = cron.dow.has(parts.weekday);
+    if (cron.domRestricted && cron.dowRestricted) return domMatch || dowMatch;
+    if (cron.domRestricted) return domMatch;
+    if (cron.dowRestricted) return dowMatch;
+    return true;
+}
+
+function matches(cron, parts) {
+    return cron.minute.has(parts.minute) && cron.hour.has(parts.hour) && dayMatches(cron, parts);
+}
+
+function minuteKey(parts) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}`;
+}
+
+function startOfMinute(date) {
+    return new Date(Math.floor(date.getTime() / 60000) * 60000);
+}
+
+/**
+ * First minute at or after `fromMs` (and before `untilMs`) that matches. Skips whole local days
+ * that don't match and whole hours that don't match, so only matching hours are walked minute by minute.
+ */
+function nextMatch(cron, timezone, fromMs, untilMs) {
+    let t = startOfMinute(new Date(fromMs)).getTime();
+    while (t < untilMs) {
+        const parts = zonedParts(new Date(t), timezone);
+        if (!dayMatches(cron, parts)) {
+            // Jump to the next local midnight; a DST change that day can overshoot it by an hour
+            let next = t + ((23 - parts.hour) * 60 + (60 - parts.minute)) * 60000;
+            const landed = zonedParts(new Date(next), timezone);
+            if (landed.hour !== 0 && next - 3600000 > t && zonedParts(new Date(next - 3600000), timezone).day === landed.day) {
+                next -= 3600000;
+            }
+            t = next;
+        } else if (!cron.hour.has(parts.hour)) {
+            t += (60 - parts.minute) * 60000;
+        } else if (!cron.minute.has(parts.minute)) {
+            t += 60000;
+        } else {
+            return new Date(t);
+        }
+    }
+    return null;
+}
+
+/**
+ * Next time (after `from`) the expression fires in the given time zone, or null if it never does
+ */
+export function getNextRun(expression, timezone, from = new Date()) {
+    const start = startOfMinute(from).getTime() + 60000;
+    return nextMatch(parseCron(expression), timezone, start, start + NEXT_RUN_LOOKAHEAD_DAYS * 24 * 3600000);
+}
+
+// ── Persistence ───────────────────────────────────────────────────────────────
+
+function defaultState() {
+    return {
+        enabled: process.env.SCHEDULE_ENABLED === 'true',
+        cron: process.env.SCHEDULE_CRON || '0 9 * * *',
+        timezone: process.env.SCHEDULE_TIMEZONE || 'UTC',
+        updatedAt: null,
+        lastCheckedAt: null,
+        lastFiredMinute: null,
+        lastRunAt: null,
+        lastJobId: null,
+        missedRuns: []
+    };
+}
+
+function loadState() {
+    if (!fs.existsSync(SCHEDULE_PATH)) return defaultState();
+    try {
+        return { ...defaultState(), ...JSON.parse(fs.readFileSync(SCHEDULE_PATH, 'utf-8')) };
+    } catch (e) {
+        console.log(`   ⚠️ Failed to parse schedule.json, using defaults: ${e.message}`);
+        return defaultState();
+    }
+}
+
+function saveState(state) {
+    const dir = path.dirname(SCHEDULE_PATH);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(`${SCHEDULE_PATH}.tmp`, JSON.stringify(state, null, 2));
+    fs.renameSync(`${SCHEDULE_PATH}.tmp`, SCHEDULE_PATH);
+}
+
+function recordMissedRun(state, scheduledFor, reason, extra = {}) {
+    state.missedRuns.unshift({ scheduledFor, reason, recordedAt: new Date().toISOString(), ...extra });
+    state.missedRuns = state.missedRuns.slice(0, MAX_MISSED_RUNS);
+    console.log(`   ⏰ Scheduled run for ${scheduledFor} missed (${reason})`);
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Current schedule, including the next planned run
+ */
+export function getSchedule() {
+    const state = loadState();
+    let nextRunAt = null;
+    if (state.enabled) {
+        try {
+            nextRunAt = getNextRun(state.cron, state.timezone)?.toISOString() || null;
+        } catch (e) {
+            nextRunAt = null;
+        }
+    }
+    const { lastFiredMinute, ...visible } = state;
+    return { ...visible, nextRunAt };
+}
+
+/**
+ * Change the schedule. Throws on an invalid cron expression or time zone, a cron expression that
+ * never fires (e.g. "0 0 30 2 *") or a non-boolean `enabled`.
+ */
+export function updateSchedule({ enabled, cron, timezone } = {}) {
+    const state = loadState();
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') throw new Error('enabled must be true or false');
+    if (cron !== undefined) {
+        parseCron(cron); // Validate
+        state.cron = String(cron).trim();
+    }
+    if (timezone !== undefined) {
+        if (!isValidTimezone(timezone)) throw new Error(`Unknown time zone: "${timezone}"`);
+        state.timezone = timezone;
+    }
+    if (!getNextRun(state.cron, state.timezone)) {
+        throw new Error(`Cron expression "${state.cron}" never fires (no matching date in the next 5 years)`);
+    }
+    if (enabled !== undefined) state.enabled = enabled;
+
+    state.updatedAt = new Date().toISOString();
+    // Don't report the time before this change as missed runs
+    state.lastCheckedAt = state.updatedAt;
+    saveState(state);
+
+    console.log(`   ⏰ Schedule ${state.enabled ? 'enabled' : 'disabled'}: "${state.cron}" (${state.timezone})`);
+    return getSchedule();
+}
+
+/**
+ * Record scheduled minutes that passed while the server was offline
+ */
+function detectOfflineMisses(state, now) {
+    if (!state.enabled || !state.lastCheckedAt) return;
+
+    const cron = parseCron(state.cron);
+    const until = startOfMinute(now).getTime();
+    let t = Math.max(
+        startOfMinute(new Date(state.lastCheckedAt)).getTime() + 60000,
+        until - MISSED_LOOKBACK_MINUTES * 60000
+    );
+    for (let missed = nextMatch(cron, state.timezone, t, until); missed; missed = nextMatch(cron, state.timezone, t, until)) {
+        if (minuteKey(zonedParts(missed, state.timezone)) !== state.lastFiredMinute) {
+            recordMissedRun(state, missed.toISOString(), 'server-offline');
+        }
+        t = missed.getTime() + 60000;
+    }
+}
+
+function tick() {
+    const now = new Date();
+    const state = loadState();
+
+    try {
+        if (state.enabled) {
+            const parts = zonedParts(now, state.timezone);
+            const key = minuteKey(parts);
+
+            if (key !== state.lastFiredMinute && matches(parseCron(state.cron), parts)) {
+                state.lastFiredMinute = key;
+                const scheduledFor = startOfMinute(now).toISOString();
+                const runningJobId = hooks.getRunningJobId();
+
+                if (runningJobId) {
+                    recordMissedRun(state, scheduledFor, 'already-running', { runningJobId });
+                } else {
+                    console.log(`\n⏰ Scheduled run triggered (${state.cron}, ${state.timezone})`);
+                    state.lastRunAt = now.toISOString();
+                    state.lastJobId = hooks.onTrigger();
+                }
+            }
+        }
+    } catch (e) {
+        console.error(`Scheduler tick failed: ${e.message}`);
+    }
+
+    state.lastCheckedAt = now.toISOString();
+    saveState(state);
+}
+
+/**
+ * Start the scheduler loop.
+ * @param {object} options
+ * @param {function} options.onTrigger - Starts a workflow run, returns its job ID
+ * @param {function} options.getRunningJobId - Returns the ID of a job in progress, or null
+ */
+export function startScheduler({ onTrigger, getRunningJobId }) {
+    if (timer) return;
+    hooks = { onTrigger, getRunningJobId };
+
+    const state = loadState();
+    try {
+        detectOfflineMisses(state, new Date());
+    } catch (e) {
+        console.error(`Scheduler catch-up check failed: ${e.message}`);
+    }
+    state.lastCheckedAt = new Date().toISOString();
+    saveState(state);
+
+    timer = setInterval(tick, TICK_MS);
+    timer.unref();
+
+    if (state.enabled) {
+        console.log(`   ⏰ Scheduler active: "${state.cron}" (${state.timezone}), next run ${getSchedule().nextRunAt}`);
+    }
+}
+
+export function stopScheduler() {
+    clearInterval(timer);
+    timer = null;
+}
+
+export default { parseCron, getNextRun, getSchedule, updateSchedule, startScheduler, stopScheduler };
@@ -0,0 +1,194 @@
+/**
+ * Etsy Marketplace Trends (optional trend source)
+ * Searches Etsy for configurable seed keywords (ETSY_TREND_KEYWORDS) and reads the top-ranked
+ * listings for what buyers are actually purchasing: the tags sellers keep repeating, the price band
+ * the results sit in and the recurring themes in titles and seller styles. Each keyword becomes one
+ * trend entry (source "etsy-marketplace") that scrapeDesignTrends() merges into trends.json next to
+ * the web-search trends. Uses the public Open API with ETSY_API_KEY — no shop connection needed.
+ */
+
+import dotenv from 'dotenv';
+import { searchListings } from '../etsy/etsyClient.js';
+
+dotenv.config();
+
+export const ETSY_TREND_SOURCE = 'etsy-marketplace';
+
+const DEFAULT_LISTINGS_PER_KEYWORD = 50;
+const MAX_LISTINGS_PER_KEYWORD = 100; // Etsy's page size limit
+const TOP_TAGS = 10;
+const TOP_THEMES = 6;
+const TOP_LISTINGS = 5;
+const MIN_REPEATS = 2; // A tag or theme must appear in at least this many listings
+
+// Words that say nothing about the design (product type, audience, filler)
+const GENERIC_WORDS = new Set([
+    'a', 'an', 'and', 'the', 'for', 'of', 'with', 'in', 'on', 'to', 'my', 'your', 'is', 'it', 'by', 'or',
+    'shirt', 'shirts', 'tshirt', 'tshirts', 't-shirt', 't-shirts', 'tee', 'tees', 'top', 'sweatshirt', 'hoodie',
+    'unisex', 'women', 'womens', "women's", 'men', 'mens', "men's", 'kids', 'adult', 'gift', 'gifts', 'idea',
+    'ideas', 'graphic', 'cute', 'funny', 'comfort', 'colors', 'oversized', 'size', 'plus', 'new', 'trendy'
+]);
+
+/**
+ * Seed keywords from ETSY_TREND_KEYWORDS (comma separated); empty means the source is off
+ */
+export function getEtsyTrendKeywords() {
+    return String(process.env.ETSY_TREND_KEYWORDS || '')
+        .split(',')
+        .map(keyword => keyword.trim())
+        .filter(Boolean);
+}
+
+function listingsPerKeyword() {
+    const limit = parseInt(process.env.ETSY_TREND_LISTINGS, 10) || DEFAULT_LISTINGS_PER_KEYWORD;
+    return Math.min(Math.max(limit, 1), MAX_LISTINGS_PER_KEYWORD);
+}
+
+function words(text) {
+    return String(text || '').toLowerCase().match(/[\p{L}\p{Nd}'-]+/gu) || [];
+}
+
+/**
+ * Values that recur across listings, most common first: [{ value, count }].
+ * Each listing counts once per value.
+ */
+function recurring(valueLists, limit) {
+    const counts = new Map();
+    for (const values of valueLists) {
+        for (const value of new Set(values)) counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    return [...counts.entries()]
+        .filter(([, count]) => count >= MIN_REPEATS)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, limit)
+        .map(([value, count]) => ({ value, count }));
+}
+
+/**
+ * Two-word phrases from a title, skipping the seed keyword and generic words
+ */
+function titlePhrases(title, ignored) {
+    const tokens = words(title.split(/[|,–—:]/)[0]);
+    const phrases = [];
+    for (let i = 0; i < tokens.length - 1; i++) {
+        const pair = [tokens[i], tokens[i + 1]];
+        if (pair.some(word => GENERIC_WORDS.has(word) || ignored.has(word) || /^\d+$/.test(word))) continue;
+        phrases.push(pair.join(' '));
+    }
+    return phrases;
+}
+
+function percentile(sorted, p) {
+    const index = (sorted.length - 1) * p;
+    const low = Math.floor(index);
+    const high = Math.ceil(index);
+    return Math.round((sorted[low] + (sorted[high] - sorted[low]) * (index - low)) * 100) / 100;
+}
+
+/**
+ * Price band of the results in their most common currency: { currency, min, low, median, high, max, listings }
+ * (low / high are the 25th / 75th percentiles)
+ */
+function priceBand(listings) {
+    const prices = listings
+        .filter(listing => listing.price?.divisor)
+        .map(listing => ({ amount: listing.price.amount / listing.price.divisor, currency: listing.price.currency_code }));
+    if (prices.length === 0) return null;
+    const [{ value: currency } = {}] = recurring(prices.map(price => [price.currency]), 1);
+    const amounts = prices
+        .filter(price => price.currency === (currency || prices[0].currency))
+        .map(price => price.amount)
+        .sort((a, b) => a - b);
+    return {
+        currency: currency || prices[0].currency,
+        min: amounts[0],
+        low: percentile(amounts, 0.25),
+        median: percentile(amounts, 0.5),
+        high: percentile(amounts, 0.75),
+        max: amounts[amounts.length - 1],
+        listings: amounts.length
+    };
+}
+
+/**
+ * Recurring tags, price band and themes of one keyword's search results
+ */
+export function summarizeEtsyListings(keyword, listings) {
+    const ignored = new Set(words(keyword));
+    const tags = recurring(listings.map(listing => (listing.tags || []).map(tag => tag.toLowerCase().trim())), TOP_TAGS)
+        .filter(({ value }) => value !== keyword.toLowerCase());
+    const themes = recurring(listings.map(listing => [
+        ...titlePhrases(listing.title || '', ignored),
+        ...(listing.style || []).map(style => style.toLowerCase())
+    ]), TOP_THEMES);
+    const topListings = [...listings]
+        .sort((a, b) => (b.num_favorers || 0) - (a.num_favorers || 0))
+        .slice(0, TOP_LISTINGS)
+        .map(listing => ({
+            title: listing.title,
+            url: listing.url,
+            favorites: listing.num_favorers || 0,
+            price: listing.price?.divisor ? listing.price.amount / listing.price.divisor : null
+        }));
+    return { keyword, listings: listings.length, tags, themes, prices: priceBand(listings), topListings };
+}
+
+/**
+ * The trends.json entry for a keyword: content reads like the web trends so the idea analyzer can use it as is
+ */
+function toTrend(summary) {
+    const { keyword, listings, tags, themes, prices } = summary;
+    const sentences = [`Top ${listings} Etsy search results for "${keyword}".`];
+    if (themes.length > 0) sentences.push(`Recurring themes: ${themes.map(theme => theme.value).join(', ')}.`);
+    if (tags.length > 0) sentences.push(`Sellers keep tagging: ${tags.map(tag => tag.value).join(', ')}.`);
+    if (prices) {
+        sentences.push(`Most sell for ${prices.low}-${prices.high} ${prices.currency} (median ${prices.median}, range ${prices.min}-${prices.max}).`);
+    }
+    return {
+        title: `Etsy: ${keyword}`,
+        content: sentences.join(' '),
+        tags: tags.map(tag => tag.value),
+        url: `https://www.etsy.com/search?q=${encodeURIComponent(keyword)}`,
+        source: ETSY_TREND_SOURCE,
+        sourceQuery: keyword,
+        etsy: summary,
+        timestamp: new Date().toISOString()
+    };
+}
+
+// ── Main Export ────────────────────────────────────────────────────────────────
+/**
+ * One trend per seed keyword with results. A keyword whose search fails is skipped (logged);
+ * returns [] when the source is off.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Stops between keywords when the run is cancelled
+ * @param {string[]} [options.keywords] - Override ETSY_TREND_KEYWORDS
+ */
+export async function fetchEtsyMarketTrends({ signal, keywords = getEtsyTrendKeywords() } = {}) {
+    if (keywords.length === 0) return [];
+    if (!process.env.ETSY_API_KEY) {
+        console.log('   ⚠️ ETSY_API_KEY not set — skipping Etsy marketplace trends');
+        return [];
+    }
+
+    console.log(`\n🛍️ Reading Etsy marketplace signals for ${keywords.length} keyword(s)...`);
+    const trends = [];
+    for (const keyword of keywords) {
+        signal?.throwIfAborted();
+        try {
+            const { results = [] } = await searchListings(keyword, listingsPerKeyword());
+            if (results.length === 0) {
+                console.log(`   ⚠️ No Etsy listings for "${keyword}"`);
+                continue;
+            }
+            const summary = summarizeEtsyListings(keyword, results);
+            console.log(`   ✅ "${keyword}": ${results.length} listings, ${summary.tags.length} recurring tags, ${summary.themes.length} themes`);
+            trends.push(toTrend(summary));
+        } catch (e) {
+            console.log(`   ⚠️ Etsy search for "${keyword}" failed: ${e.message}`);
+        }
+    }
+    return trends;
+}
+
+export default { ETSY_TREND_SOURCE, getEtsyTrendKeywords, summarizeEtsyListings, fetchEtsyMarketTrends };
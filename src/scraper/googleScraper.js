@@ -1,13 +1,18 @@
 /**
  * Trend Ideas Scraper (AI Builder Space Search API + AI Summarization)
  * Searches web for the LATEST global popular design trends (not limited to t-shirts),
- * then uses AI to analyze and synthesize the raw results into structured trend ideas.
+ * then uses AI (shared chat client, stage "trends") to synthesize the raw results into structured trend ideas.
+ * When ETSY_TREND_KEYWORDS is set, Etsy marketplace signals (etsyMarketTrends.js) are merged in as well;
+ * every trend keeps its `source` so ideas can be traced back to web search or Etsy.
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url'
-import https from 'https';
+import { writeRunJson } from '../jobs/runArtifacts.js';
+import { chatCompletion, getChatSettings, isChatConfigured, parseJsonReply } from '../llm/chatClient.js';
+import { requestJson } from '../http/httpClient.js';
+import { fetchEtsyMarketTrends } from './etsyMarketTrends.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -40,75 +45,32 @@ function getFallbackTrends() {
     ];
 }
 
-// ── Step 1: Search the web for trend articles (with 1 retry) ──────────────────
-async function searchTrendsApi(query, attempt = 1) {
+// ── Step 1: Search the web for trend articles (retried by the HTTP client) ───
+async function searchTrendsApi(query, signal) {
     if (!API_TOKEN) throw new Error("AI_BUILDER_TOKEN missing");
-    try {
-        return await searchTrendsApiOnce(query);
-    } catch (e) {
-        // Retry once on timeout or network error (not on auth/API key errors)
-        const isRetryable = e.message.includes('timeout') || e.message.includes('ECONNRESET') || e.message.includes('ETIMEDOUT');
-        if (attempt === 1 && isRetryable) {
-            console.log(`   ♻️ Search API timeout/error — retrying in 3s... (${e.message})`);
-            await new Promise(r => setTimeout(r, 3000));
-            return searchTrendsApi(query, 2);
-        }
-        throw e;
-    }
-}
-
-async function searchTrendsApiOnce(query) {
 
     console.log(`   📡 Sending search query: "${query}"`);
 
-    return new Promise((resolve, reject) => {
-        const data = JSON.stringify({
+    const json = await requestJson(`${API_BASE_URL}/backend/v1/search/`, {
+        json: {
             keywords: [query],
             max_results: 10,
             include_images: false,       // TEXT ONLY — no images
             include_raw_content: false,
             search_depth: "advanced"     // Deeper = richer results
-        });
-
-        const url = new URL(`${API_BASE_URL}/backend/v1/search/`);
-        const options = {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${API_TOKEN}`,
-                'Content-Length': Buffer.byteLength(data)
-            },
-            rejectUnauthorized: false
-        };
-
-        const req = https.request(url, options, (res) => {
-            let body = '';
-            res.on('data', chunk => body += chunk);
-            res.on('end', () => {
-                if (res.statusCode >= 200 && res.statusCode < 300) {
-                    try {
-                        const json = JSON.parse(body);
-                        const searchResult = json.results?.[0] || json.queries?.[0];
-                        const resp = searchResult?.response;
-                        resolve(resp?.results || []);
-                    } catch (e) {
-                        reject(e);
-                    }
-                } else {
-                    reject(new Error(`API Error ${res.statusCode}: ${body.substring(0, 200)}`));
-                }
-            });
-        });
-        req.on('error', reject);
-        req.setTimeout(20000, () => { req.destroy(); reject(new Error('Search API timeout')); });
-        req.write(data);
-        req.end();
+        },
+        headers: { 'Authorization': `Bearer ${API_TOKEN}` },
+        idempotent: true,
+        timeout: 20000,
+        signal
     });
+    const searchResult = json.results?.[0] || json.queries?.[0];
+    return searchResult?.response?.results || [];
 }
 
 // ── Step 2: Use AI to analyze and summarize raw search results ─────────────────
-async function aiSummarizeTrends(rawResults, query) {
-    if (!API_TOKEN) throw new Error("AI_BUILDER_TOKEN missing");
+async function aiSummarizeTrends(rawResults, query, signal) {
+    if (!isChatConfigured('trends')) throw new Error(`LLM provider "${getChatSettings('trends').provider}" is not configured`);
     if (!rawResults || rawResults.length === 0) throw new Error("No raw results to analyze");
 
     // Build context from raw search snippets
@@ -118,18 +80,16 @@ async function aiSummarizeTrends(rawResults, query) {
 
     console.log(`   🧠 AI is analyzing ${rawResults.length} search results...`);
 
-    const data = JSON.stringify({
-        model: "gpt-5",
-        messages: [
-            {
-                role: "system",
-                content: `You are a trend analyst and creative director specializing in visual culture, fashion, and design movements.
+    const messages = [
+        {
+            role: "system",
+            content: `You are a trend analyst and creative director specializing in visual culture, fashion, and design movements.
 Your task: extract the most meaningful, actionable design trend insights from raw web search snippets.
 Output ONLY valid JSON — no markdown, no explanation.`
-            },
-            {
-                role: "user",
-                content: `I searched for: "${query}"
+        },
+        {
+            role: "user",
+            content: `I searched for: "${query}"
 
 Here are the raw web search results:
 ${rawContext}
@@ -155,54 +115,25 @@ Output this exact JSON structure:
     }
   ]
 }`
-            }
-        ],
-        temperature: 0.6,
-        max_tokens: 3000,
-        response_format: { type: "json_object" }
-    });
+        }
+    ];
 
-    return new Promise((resolve, reject) => {
-        const url = new URL(`${API_BASE_URL}/backend/v1/chat/completions`);
-        const options = {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${API_TOKEN}`,
-                'Content-Length': Buffer.byteLength(data)
-            },
-            rejectUnauthorized: false
-        };
-
-        const req = https.request(url, options, (res) => {
-            let body = '';
-            res.on('data', chunk => body += chunk);
-            res.on('end', () => {
-                if (res.statusCode >= 200 && res.statusCode < 300) {
-                    try {
-                        const json = JSON.parse(body);
-                        const content = json.choices?.[0]?.message?.content;
-                        if (!content) throw new Error("No content in AI response");
-                        const parsed = JSON.parse(content);
-                        const trends = parsed.trends || parsed.ideas || parsed.results || [];
-                        resolve(trends);
-                    } catch (e) {
-                        reject(new Error(`AI summarization parse failed: ${e.message}`));
-                    }
-                } else {
-                    reject(new Error(`AI API Error ${res.statusCode}: ${body.substring(0, 200)}`));
-                }
-            });
-        });
-        req.on('error', reject);
-        req.setTimeout(60000, () => { req.destroy(); reject(new Error('AI summarization timeout')); });
-        req.write(data);
-        req.end();
-    });
+    const responseText = await chatCompletion(messages, { stage: 'trends', json: true, signal });
+    try {
+        const parsed = parseJsonReply(responseText);
+        return parsed.trends || parsed.ideas || parsed.results || [];
+    } catch (e) {
+        throw new Error(`AI summarization parse failed: ${e.message}`);
+    }
 }
 
 // ── Main Export ────────────────────────────────────────────────────────────────
-export async function scrapeDesignTrends() {
+/**
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts in-flight search/AI requests (job cancellation)
+ * @param {string} [options.runId] - Write trends.json into data/runs/<runId>/ (default: data/)
+ */
+export async function scrapeDesignTrends({ signal, runId = null } = {}) {
     // Pick 2 diverse queries for richer coverage
     const shuffled = [...TREND_QUERIES].sort(() => Math.random() - 0.5);
     const queries = shuffled.slice(0, 2);
@@ -217,9 +148,10 @@ export async function scrapeDesignTrends() {
     try {
         // ── Step 1: Search both queries in parallel ────────────────────────────
         const [raw1, raw2] = await Promise.all([
-            searchTrendsApi(queries[0]).catch(e => { console.log(`   ⚠️ Query 1 failed: ${e.message}`); return []; }),
-            searchTrendsApi(queries[1]).catch(e => { console.log(`   ⚠️ Query 2 failed: ${e.message}`); return []; })
+            searchTrendsApi(queries[0], signal).catch(e => { console.log(`   ⚠️ Query 1 failed: ${e.message}`); return []; }),
+            searchTrendsApi(queries[1], signal).catch(e => { console.log(`   ⚠️ Query 2 failed: ${e.message}`); return []; })
         ]);
+        signal?.throwIfAborted();
 
         const allRaw = [...raw1, ...raw2];
         console.log(`   📝 Retrieved ${allRaw.length} raw search results.`);
@@ -228,7 +160,7 @@ export async function scrapeDesignTrends() {
 
         // ── Step 2: AI analyzes and summarizes ────────────────────────────────
         console.log(`   🤖 Sending to AI for analysis and synthesis...`);
-        const aiTrends = await aiSummarizeTrends(allRaw, queries.join(' + '));
+        const aiTrends = await aiSummarizeTrends(allRaw, queries.join(' + '), signal);
 
         if (!aiTrends || aiTrends.length === 0) throw new Error('AI returned no trend ideas.');
 
@@ -246,16 +178,28 @@ export async function scrapeDesignTrends() {
         }));
 
     } catch (error) {
+        // A cancelled run must stop here, not fall back to curated trends
+        if (signal?.aborted) throw error;
         console.log(`   ⚠️ Search/AI pipeline issue: ${error.message}`);
         console.log('   📦 Using curated fallback trend data...');
         results = getFallbackTrends();
     }
 
+    // ── Optional: what buyers purchase on Etsy (skipped unless ETSY_TREND_KEYWORDS is set) ──
+    let etsyTrends = [];
+    try {
+        etsyTrends = await fetchEtsyMarketTrends({ signal });
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        console.log(`   ⚠️ Etsy marketplace trends skipped: ${error.message}`);
+    }
+    results = [...results, ...etsyTrends.map((t, i) => ({ id: results.length + i + 1, ...t }))];
+
     // Save to trends.json
-    const trendsPath = path.join(DATA_DIR, 'trends.json');
-    fs.writeFileSync(trendsPath, JSON.stringify(results, null, 2));
+    writeRunJson(runId, 'trends.json', results);
 
-    console.log(`\n✅ Trend search complete! Saved ${results.length} AI-analyzed trend ideas.`);
+    const fromEtsy = etsyTrends.length > 0 ? ` (${etsyTrends.length} from Etsy marketplace)` : '';
+    console.log(`\n✅ Trend search complete! Saved ${results.length} trend ideas${fromEtsy}.`);
     return results;
 }
 
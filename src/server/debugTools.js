@@ -0,0 +1,129 @@
+/**
+ * Debug Tools
+ * Off by default. With DEBUG_ENDPOINTS=true the server keeps the last LOG_BUFFER_SIZE console lines
+ * in memory and mounts /api/debug/* for admins only:
+ *   GET /api/debug/logs      recent log lines
+ *   GET /api/debug/test-gen  list the Gemini models visible to GEMINI_API_KEY
+ *
+ * Every line is passed through redactSecrets() before it is buffered, so API keys, bearer tokens,
+ * Etsy tokens and email passwords never reach the buffer (or the browser).
+ */
+
+import express from 'express';
+import { requestJson } from '../http/httpClient.js';
+
+const LOG_BUFFER_SIZE = 200;
+const MIN_SECRET_LENGTH = 6; // Shorter env values would redact ordinary words
+
+// Environment variables whose values are secrets wherever they show up
+const SECRET_ENV_PATTERN = /(KEY|TOKEN|SECRET|PASS|PASSWORD)$/i;
+
+// Secrets recognisable by shape, independent of the environment
+const SECRET_PATTERNS = [
+    [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi, '$1 [REDACTED]'],
+    [/\b((?:x-api-key|x-goog-api-key|authorization)["']?\s*[:=]\s*["']?)[^\s"',}]+/gi, '$1[REDACTED]'],
+    [/([?&](?:key|api_key|apikey|token|access_token|refresh_token|client_secret|code|code_verifier|password)=)[^&\s"']+/gi, '$1[REDACTED]'],
+    [/("(?:access_token|refresh_token|id_token|api_key|apiKey|client_secret|password|pass|token|code_verifier)"\s*:\s*")[^"]*(")/gi, '$1[REDACTED]$2'],
+    [/\bsk[-_][A-Za-z0-9_-]{16,}/g, '[REDACTED]'],        // OpenAI-style / AI Builder keys
+    [/\bAIza[0-9A-Za-z_-]{30,}/g, '[REDACTED]'],          // Google API keys
+    [/\bdai_[A-Za-z0-9_-]{20,}/g, '[REDACTED]'],          // Our own API tokens
+    [/\b\d{5,}\.[A-Za-z0-9_-]{30,}/g, '[REDACTED]']       // Etsy OAuth tokens (<user id>.<token>)
+];
+
+const logBuffer = [];
+let installed = false;
+
+export function isDebugEnabled() {
+    return process.env.DEBUG_ENDPOINTS === 'true';
+}
+
+/**
+ * Replace secrets in a log line: the values of secret-looking environment variables first,
+ * then anything that has the shape of a key or token
+ */
+export function redactSecrets(text) {
+    let result = String(text);
+    for (const [name, value] of Object.entries(process.env)) {
+        if (SECRET_ENV_PATTERN.test(name) && value && value.length >= MIN_SECRET_LENGTH) {
+            result = result.split(value).join(`[REDACTED:${name}]`);
+        }
+    }
+    for (const [pattern, replacement] of SECRET_PATTERNS) {
+        result = result.replace(pattern, replacement);
+    }
+    return result;
+}
+
+function formatArg(arg) {
+    if (arg instanceof Error) return arg.stack || arg.message;
+    if (typeof arg === 'object' && arg !== null) {
+        try {
+            return JSON.stringify(arg);
+        } catch (e) {
+            return String(arg);
+        }
+    }
+    return String(arg);
+}
+
+function addToLogBuffer(type, args) {
+    const entry = `[${new Date().toISOString()}] [${type.toUpperCase()}] ${redactSecrets(args.map(formatArg).join(' '))}`;
+    logBuffer.push(entry);
+    if (logBuffer.length > LOG_BUFFER_SIZE) logBuffer.shift();
+}
+
+/**
+ * Start capturing console.log / console.error into the (redacted) buffer
+ */
+export function installLogBuffer() {
+    if (installed) return;
+    installed = true;
+
+    const originalLog = console.log;
+    const originalError = console.error;
+
+    console.log = function (...args) {
+        addToLogBuffer('info', args);
+        originalLog.apply(console, args);
+    };
+
+    console.error = function (...args) {
+        addToLogBuffer('error', args);
+        originalError.apply(console, args);
+    };
+}
+
+/**
+ * Routes for /api/debug (mount behind requireRole('admin'))
+ */
+export function createDebugRouter() {
+    const router = express.Router();
+
+    // Recent server logs
+    router.get('/logs', (req, res) => {
+        res.json({ success: true, count: logBuffer.length, logs: logBuffer });
+    });
+
+    // Test the Gemini key by listing the models it can see
+    router.get('/test-gen', async (req, res) => {
+        if (!process.env.GEMINI_API_KEY) {
+            return res.json({ success: false, error: 'No GEMINI_API_KEY found in env' });
+        }
+        try {
+            const models = await requestJson('https://generativelanguage.googleapis.com/v1beta/models', {
+                headers: { 'x-goog-api-key': process.env.GEMINI_API_KEY }
+            });
+            res.json({
+                success: true,
+                models,
+                message: 'Listing available models to find one that supports image generation'
+            });
+        } catch (error) {
+            res.json({ success: false, error: redactSecrets(error.message) });
+        }
+    });
+
+    return router;
+}
+
+export default { isDebugEnabled, redactSecrets, installLogBuffer, createDebugRouter };
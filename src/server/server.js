@@ -8,6 +8,31 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import dotenv from 'dotenv';
+import {
+  jobEvents, generateJobId, createJob, getJob, addJobLog, recordJobEvent, reopenJob, finishJob, recoverInterruptedJobs
+} from '../jobs/jobStore.js';
+import { getWorkflowLock, acquireWorkflowLock, releaseWorkflowLock } from '../jobs/workflowLock.js';
+import {
+  STAGES, stageStep, createRun, loadRun, markStageStarted, markStageCompleted, markStageFailed,
+  getResumeStage, verifyRunOutputs
+} from '../jobs/runCheckpoints.js';
+import {
+  runImagesDir, readRunJson, listRuns, getRunDetails, latestRunWith, readLatestArtifact
+} from '../jobs/runArtifacts.js';
+import {
+  SORTS, REVIEW_STATUSES, PUBLISHABLE_REVIEW_STATUSES, queryDesigns, filterDesigns, findDesignIds, countDesigns,
+  getDesignFacets, getDesign, updateDesign, reviewDesigns
+} from '../catalog/designCatalog.js';
+import { getSchedule, updateSchedule, startScheduler } from '../scheduler/scheduler.js';
+import { IMAGE_PROVIDERS, listImageProviders } from '../generator/providers/index.js';
+import { getTlsOptions } from '../http/httpClient.js';
+import { authenticate, requireRole, assertAuthConfig } from '../auth/authMiddleware.js';
+import { createAuthRouter } from '../auth/authRoutes.js';
+import { isDebugEnabled, installLogBuffer, createDebugRouter } from './debugTools.js';
+import { isEtsyConnected, clearEtsyConnection, describeEtsyConnection } from '../etsy/tokenStore.js';
+import { getListingEntries } from '../etsy/listingLedger.js';
+import { startUploadOutbox } from '../etsy/uploadOutbox.js';
+import { startShopAnalytics } from '../etsy/shopAnalytics.js';
 
 dotenv.config();
 
@@ -19,45 +44,43 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const APP_VERSION = '2.0.0'; // Etsy Auto-Publish
 
-// --- In-Memory Log Buffer for Debugging ---
-const LOG_BUFFER_SIZE = 200;
-const logBuffer = [];
-
-function addToLogBuffer(type, args) {
-  const msg = args.map(arg =>
-    typeof arg === 'object' ? JSON.stringify(arg) : String(arg)
-  ).join(' ');
-
-  const entry = `[${new Date().toISOString()}] [${type.toUpperCase()}] ${msg}`;
-  logBuffer.push(entry);
-
-  if (logBuffer.length > LOG_BUFFER_SIZE) {
-    logBuffer.shift();
-  }
+/**
+ * TRUST_PROXY for Express's "trust proxy": true, a hop count, or addresses / subnets
+ * ("loopback", "10.0.0.0/8"). Behind Render, GCP or ngrok req.ip is otherwise the proxy's address.
+ */
+function trustProxySetting() {
+  const value = String(process.env.TRUST_PROXY || '').trim();
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
 }
 
-// Override console methods to capture logs
-const originalLog = console.log;
-const originalError = console.error;
+app.set('trust proxy', trustProxySetting());
 
-console.log = function (...args) {
-  addToLogBuffer('info', args);
-  originalLog.apply(console, args);
-};
-
-console.error = function (...args) {
-  addToLogBuffer('error', args);
-  originalError.apply(console, args);
-};
-// ------------------------------------------
+// Debug log buffer and /api/debug routes (DEBUG_ENDPOINTS=true only, see debugTools.js)
+if (isDebugEnabled()) installLogBuffer();
 
 // Middleware
 app.use(express.json());
+// Everything below needs a signed-in user (viewer or above) unless it is on the public list
+app.use(authenticate);
+app.use(createAuthRouter({ port: PORT }));
 app.use(express.static(path.join(rootDir, 'public')));
 app.use('/generated_images', express.static(path.join(rootDir, 'generated_images')));
 app.use('/downloaded_images', express.static(path.join(rootDir, 'downloaded_images')));
 app.use('/demo', express.static(path.join(rootDir, 'public', 'demo')));
 
+// Images generated by a run live in data/runs/<runId>/images/
+app.get('/runs/:runId/images/:file', (req, res) => {
+  const { runId, file } = req.params;
+  if (!/^[A-Za-z0-9_-]+$/.test(runId) || file !== path.basename(file)) {
+    return res.status(400).send('Invalid image path');
+  }
+  const imageFile = path.join(runImagesDir(runId), file);
+  if (!fs.existsSync(imageFile)) return res.status(404).send('Image not found');
+  res.sendFile(imageFile);
+});
+
 app.get('/health', (req, res) => {
   res.status(200).send('OK');
 });
@@ -71,39 +94,10 @@ app.get('/version', (req, res) => {
   });
 });
 
-// Debug: Get recent server logs
-app.get('/api/debug/logs', (req, res) => {
-  res.json({
-    success: true,
-    count: logBuffer.length,
-    logs: logBuffer
-  });
-});
-
-// Debug: Test Image Generation directly
-app.get('/api/debug/test-gen', async (req, res) => {
-  try {
-    if (!process.env.GEMINI_API_KEY) {
-      return res.json({ success: false, error: 'No GEMINI_API_KEY found in env' });
-    }
-
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${process.env.GEMINI_API_KEY}`);
-    const data = await response.json();
-
-    res.json({
-      success: true,
-      models: data,
-      message: 'Listing available models to find one that supports image generation'
-    });
-
-  } catch (error) {
-    res.json({
-      success: false,
-      error: error.message,
-      stack: error.stack
-    });
-  }
-});
+// Debug routes: not mounted at all unless enabled, and then for admins only
+if (isDebugEnabled()) {
+  app.use('/api/debug', requireRole('admin'), createDebugRouter());
+}
 
 // Routes
 app.get('/', (req, res) => {
@@ -130,86 +124,254 @@ app.get('/gallery', (req, res) => {
   res.sendFile(path.join(rootDir, 'public', 'gallery.html'));
 });
 
-// API: Get generated images with metadata
+app.get('/review', (req, res) => {
+  res.sendFile(path.join(rootDir, 'public', 'review.html'));
+});
+
+app.get('/uploads', (req, res) => {
+  res.sendFile(path.join(rootDir, 'public', 'uploads.html'));
+});
+
+app.get('/analytics', (req, res) => {
+  res.sendFile(path.join(rootDir, 'public', 'analytics.html'));
+});
+
+// API: Get generated images with metadata, paged from the design catalog.
+// Query: page (1-based), limit, q (search title/description/style), style, mood, runId,
+// from / to (YYYY-MM-DD), uploaded (true|false), status (generated|failed),
+// review (comma-separated review states), sort (newest|oldest|title).
+// Images of the latest run are flagged isNew.
 app.get('/api/images', (req, res) => {
   try {
-    const manifestPath = path.join(rootDir, 'data', 'manifest.json');
     const ideasPath = path.join(rootDir, 'data', 'ideas.json');
     const generatedDir = path.join(rootDir, 'generated_images');
 
+    const { q, style, mood, runId, from, to, status, sort = 'newest' } = req.query;
+    const badRequest = (error) => res.status(400).json({ success: false, images: [], error });
+    if (runId && !/^[A-Za-z0-9_-]+$/.test(runId)) return badRequest('Invalid run ID');
+    if (!SORTS.includes(sort)) return badRequest(`sort must be one of: ${SORTS.join(', ')}`);
+    if (status && !['generated', 'failed'].includes(status)) return badRequest('status must be generated or failed');
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) return badRequest(`${name} must be a date (YYYY-MM-DD)`);
+    }
+    if (req.query.uploaded && !['true', 'false'].includes(req.query.uploaded)) {
+      return badRequest('uploaded must be true or false');
+    }
+    const uploaded = req.query.uploaded ? req.query.uploaded === 'true' : undefined;
+    const review = req.query.review ? String(req.query.review).split(',') : undefined;
+    if (review && !review.every(r => REVIEW_STATUSES.includes(r))) {
+      return badRequest(`review must be one or more of: ${REVIEW_STATUSES.join(', ')}`);
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const offset = (page - 1) * limit;
 
+    // The latest run that generated images is the "new" one
+    const latestRunId = latestRunWith('manifest.json');
+    const manifestRunId = runId || latestRunId;
 
-    // Load History (Master List)
-    const historyPath = path.join(rootDir, 'data', 'history.json');
     let images = [];
+    let total = 0;
 
-    let currentRunIds = new Set();
-
-    // Get current run IDs to mark as "New"
-    if (fs.existsSync(manifestPath)) {
-      try {
-        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
-
-        // Check if manifest is fresh (within last 10 minutes)
-        const manifestTime = new Date(manifest.generatedAt).getTime();
-        const now = Date.now();
-        const tenMinutes = 10 * 60 * 1000;
+    if (countDesigns() > 0) {
+      const result = queryDesigns({ q, style, mood, runId, from, to, uploaded, status, review, sort, offset, limit });
+      total = result.total;
+      images = result.items.map(img => ({
+        ...img,
+        isNew: Boolean(latestRunId) && img.runId === latestRunId // Flag for frontend
+      }));
+    } else {
+      let all = [];
+      const manifest = readRunJson(manifestRunId, 'manifest.json');
+
+      if (manifest) {
+        // Fallback to just the run manifest if the catalog is empty
+        all = (manifest.images || []).map(img => ({
+          ...img,
+          createdAt: img.timestamp ? new Date(img.timestamp).toISOString() : manifest.generatedAt || '',
+          isNew: manifestRunId === latestRunId
+        }));
+      }
+      // Fallback: scan generated_images directory (Legacy support)
+      else if (fs.existsSync(generatedDir)) {
+        const files = fs.readdirSync(generatedDir)
+          .filter(f => f.endsWith('.png') || f.endsWith('.jpg') || f.endsWith('.webp') || f.endsWith('.svg'))
+          .sort();
 
-        if (now - manifestTime < tenMinutes && manifest.images) {
-          manifest.images.forEach(img => currentRunIds.add(img.id));
+        // Try to load ideas for descriptions
+        let ideas = [];
+        if (fs.existsSync(ideasPath)) {
+          ideas = JSON.parse(fs.readFileSync(ideasPath, 'utf-8'));
         }
-      } catch (e) {
-        console.error('Error reading manifest:', e);
-      }
-    }
 
-    if (fs.existsSync(historyPath)) {
-      const history = JSON.parse(fs.readFileSync(historyPath, 'utf-8'));
-      images = history.map(img => ({
+        all = files.map((file, index) => ({
+          id: index + 1,
+          title: ideas[index]?.title || `Design ${String(index + 1).padStart(2, '0')}`,
+          description: ideas[index]?.theme || 'AI Generated T-Shirt Design',
+          imagePath: `/generated_images/${file}?v=${Date.now()}`,
+          style: ideas[index]?.style || 'Modern',
+          mood: ideas[index]?.mood || '',
+          colors: ideas[index]?.colorScheme || 'Colorful',
+          createdAt: fs.statSync(path.join(generatedDir, file)).mtime.toISOString()
+        }));
+      }
+      // Same filters as the catalog; these images were never reviewed or uploaded
+      const filtered = filterDesigns(all.map((img, index) => ({
+        title: '', description: '', style: '', mood: '', reviewStatus: 'pending', etsyListingId: null,
         ...img,
-        isNew: currentRunIds.has(img.id) // Flag for frontend
-      }));
-    } else if (fs.existsSync(manifestPath)) {
-      // Fallback to just manifest if no history
-      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
-      images = (manifest.images || []).map(img => ({ ...img, isNew: true }));
+        runId: img.runId || manifestRunId || null,
+        status: img.description === 'Generation Failed' ? 'failed' : 'generated',
+        seq: index
+      })), { q, style, mood, from, to, uploaded, status, review, sort });
+      total = filtered.length;
+      images = filtered.slice(offset, offset + limit);
     }
-    // Fallback: scan generated_images directory (Legacy support)
-    else if (fs.existsSync(generatedDir)) {
-      const files = fs.readdirSync(generatedDir)
-        .filter(f => f.endsWith('.png') || f.endsWith('.jpg') || f.endsWith('.webp') || f.endsWith('.svg'))
-        .sort();
-
-      // Try to load ideas for descriptions
-      let ideas = [];
-      if (fs.existsSync(ideasPath)) {
-        ideas = JSON.parse(fs.readFileSync(ideasPath, 'utf-8'));
-      }
 
-      images = files.map((file, index) => ({
-        id: index + 1,
-        title: ideas[index]?.title || `Design ${String(index + 1).padStart(2, '0')}`,
-        description: ideas[index]?.theme || 'AI Generated T-Shirt Design',
-        imagePath: `/generated_images/${file}?v=${Date.now()}`,
-        style: ideas[index]?.style || 'Modern',
-        colors: ideas[index]?.colorScheme || 'Colorful'
-      }));
-    }
+    // Etsy status of each design from the listing ledger
+    const listings = getListingEntries(images.map(img => img.id));
+    images = images.map(img => {
+      const entry = listings[String(img.id)];
+      return entry
+        ? { ...img, etsy: { listingId: entry.listingId, state: entry.state, listingUrl: entry.listingUrl || null, lastError: entry.lastError || null } }
+        : img;
+    });
 
-    res.json({ success: true, images });
+    res.json({ success: true, images, total, page, limit, totalPages: Math.ceil(total / limit) });
   } catch (error) {
     console.error('Error loading images:', error);
     res.json({ success: false, images: [], error: error.message });
   }
 });
 
+// API: Moods and styles in the catalog, for the gallery filter pickers
+app.get('/api/images/facets', (req, res) => {
+  try {
+    res.json({ success: true, ...getDesignFacets() });
+  } catch (error) {
+    res.json({ success: false, moods: [], styles: [], error: error.message });
+  }
+});
+
+// API: Review a single design (pending / approved / rejected / favourite)
+app.patch('/api/images/:id', requireRole('editor'), (req, res) => {
+  const { reviewStatus } = req.body || {};
+  if (!REVIEW_STATUSES.includes(reviewStatus)) {
+    return res.status(400).json({ success: false, error: `reviewStatus must be one of: ${REVIEW_STATUSES.join(', ')}` });
+  }
+
+  const [design] = reviewDesigns([req.params.id], reviewStatus);
+  if (!design) {
+    return res.status(404).json({ success: false, error: 'Design not found' });
+  }
+
+  res.json({ success: true, design });
+});
+
+// API: Review many designs at once, by ID list or by run (optionally only the still-pending ones)
+app.post('/api/images/review', requireRole('editor'), (req, res) => {
+  try {
+    const { ids, runId, onlyPending = false, reviewStatus } = req.body || {};
+    if (!REVIEW_STATUSES.includes(reviewStatus)) {
+      return res.status(400).json({ success: false, error: `reviewStatus must be one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+    if (!Array.isArray(ids) && !runId) {
+      return res.status(400).json({ success: false, error: 'Provide ids (array) or runId' });
+    }
+
+    const targetIds = Array.isArray(ids)
+      ? ids.map(String)
+      : findDesignIds({ runId, review: onlyPending ? ['pending'] : undefined });
+    const updated = reviewDesigns(targetIds, reviewStatus);
+
+    res.json({ success: true, updated: updated.length, ids: updated.map(design => design.id) });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// API: Regenerate one design, optionally with an edited prompt, style or color scheme (and image provider).
+// The previous image is kept as a variant (see design.variants) and the design goes back to pending review.
+const regeneratingDesigns = new Set();
+app.post('/api/images/:id/regenerate', requireRole('editor'), async (req, res) => {
+  const { id } = req.params;
+  const edits = {};
+  const { provider } = req.body || {};
+  if (provider !== undefined && !IMAGE_PROVIDERS[provider]) {
+    return res.status(400).json({ success: false, error: `provider must be one of: ${Object.keys(IMAGE_PROVIDERS).join(', ')}` });
+  }
+  if (provider) edits.provider = provider;
+  for (const field of ['prompt', 'style', 'colorScheme']) {
+    const value = req.body?.[field];
+    if (value === undefined || value === null) continue;
+    if (typeof value !== 'string' || value.length > 2000) {
+      return res.status(400).json({ success: false, error: `${field} must be a string of at most 2000 characters` });
+    }
+    if (value.trim()) edits[field] = value.trim();
+  }
+
+  if (!getDesign(id)) {
+    return res.status(404).json({ success: false, error: 'Design not found' });
+  }
+  if (regeneratingDesigns.has(id)) {
+    return res.status(409).json({ success: false, error: 'This design is already being regenerated' });
+  }
+
+  regeneratingDesigns.add(id);
+  try {
+    const { regenerateDesign } = await import('../generator/imageGenerator.js');
+    const design = await regenerateDesign(id, edits);
+    res.json({ success: true, design });
+  } catch (error) {
+    console.error(`Regenerate ${id} failed:`, error.message);
+    res.json({ success: false, error: error.message });
+  } finally {
+    regeneratingDesigns.delete(id);
+  }
+});
+
+// API: Edit a design's Etsy listing copy before upload ({ title, description, tags, altText })
+app.put('/api/images/:id/listing-copy', requireRole('editor'), async (req, res) => {
+  try {
+    const design = getDesign(req.params.id);
+    if (!design) return res.status(404).json({ success: false, error: 'Design not found' });
+
+    const { validateListingCopy } = await import('../etsy/listingCopy.js');
+    const { title, description, altText = null } = req.body || {};
+    const tags = Array.isArray(req.body?.tags) ? req.body.tags.map(tag => String(tag).trim()).filter(Boolean) : req.body?.tags;
+    const copy = { title: typeof title === 'string' ? title.trim() : title, description, tags, altText };
+    const errors = validateListingCopy(copy);
+    if (errors.length > 0) return res.status(400).json({ success: false, error: errors.join('; '), errors });
+
+    const updated = updateDesign(design.id, {
+      listingCopy: { ...design.listingCopy, ...copy, editedAt: new Date().toISOString(), editedBy: req.user?.username || null }
+    });
+    res.json({ success: true, design: updated });
+  } catch (error) {
+    console.error(`Saving listing copy for ${req.params.id} failed:`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API: (Re)write a design's listing copy with the LLM
+app.post('/api/images/:id/listing-copy/generate', requireRole('editor'), async (req, res) => {
+  const design = getDesign(req.params.id);
+  if (!design) return res.status(404).json({ success: false, error: 'Design not found' });
+  try {
+    const { writeListingCopy } = await import('../etsy/listingCopy.js');
+    const listingCopy = await writeListingCopy(design);
+    res.json({ success: true, design: updateDesign(design.id, { listingCopy }) });
+  } catch (error) {
+    console.error(`Listing copy for ${design.id} failed:`, error.message);
+    res.json({ success: false, error: error.message });
+  }
+});
+
 // API: Get ideas
 app.get('/api/ideas', (req, res) => {
   try {
-    const ideasPath = path.join(rootDir, 'data', 'ideas.json');
+    const ideas = readLatestArtifact('ideas.json', req.query.runId);
 
-    if (fs.existsSync(ideasPath)) {
-      const ideas = JSON.parse(fs.readFileSync(ideasPath, 'utf-8'));
+    if (ideas) {
       res.json({ success: true, ideas });
     } else {
       res.json({ success: false, ideas: [], error: 'Ideas not generated yet' });
@@ -250,12 +412,7 @@ app.get('/api/scraped', (req, res) => {
 // API: Get trend inspirations
 app.get('/api/inspirations', (req, res) => {
   try {
-    const trendsPath = path.join(rootDir, 'data', 'trends.json');
-    let trends = [];
-
-    if (fs.existsSync(trendsPath)) {
-      trends = JSON.parse(fs.readFileSync(trendsPath, 'utf-8'));
-    }
+    const trends = readLatestArtifact('trends.json', req.query.runId, []);
 
     res.json({ success: true, images: trends }); // Keep 'images' key for frontend compatibility if needed, or better change it
   } catch (error) {
@@ -265,17 +422,16 @@ app.get('/api/inspirations', (req, res) => {
 });
 
 // API: Send email with designs (kept for backward compat)
-app.post('/api/send-email', async (req, res) => {
+app.post('/api/send-email', requireRole('admin'), async (req, res) => {
   try {
-    const { recipient } = req.body;
+    const { recipient, runId } = req.body;
     const { sendIdeasEmail } = await import('../emailer/emailService.js');
-    const ideasPath = path.join(rootDir, 'data', 'ideas.json');
+    const ideas = readLatestArtifact('ideas.json', runId);
 
-    if (!fs.existsSync(ideasPath)) {
+    if (!ideas) {
       return res.json({ success: false, error: 'Design ideas not generated yet, please run workflow first' });
     }
 
-    const ideas = JSON.parse(fs.readFileSync(ideasPath, 'utf-8'));
     const result = await sendIdeasEmail(ideas, recipient);
 
     if (result.success) {
@@ -290,163 +446,105 @@ app.post('/api/send-email', async (req, res) => {
 });
 
 // --- Cloud Etsy OAuth2 PKCE Routes ---
-// Stores the PKCE code_verifier in memory between /start and /callback
-const etsyOAuthState = new Map(); // state -> { codeVerifier, createdAt }
-
-function generateCodeVerifier() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~';
-  let v = '';
-  for (let i = 0; i < 64; i++) v += chars.charAt(Math.floor(Math.random() * chars.length));
-  return v;
-}
+// The PKCE flow itself lives in src/etsy/etsyOAuth.js (shared with `npm run etsy-auth`)
 
-async function sha256Base64url(str) {
-  const { createHash } = await import('crypto');
-  return createHash('sha256').update(str).digest('base64url');
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
 }
 
-async function exchangeEtsyCode(code, codeVerifier, redirectUri) {
-  const https = await import('https');
-  return new Promise((resolve, reject) => {
-    const body = new URLSearchParams({
-      grant_type: 'authorization_code',
-      client_id: process.env.ETSY_API_KEY,
-      redirect_uri: redirectUri,
-      code,
-      code_verifier: codeVerifier
-    }).toString();
-
-    const req = https.default.request({
-      hostname: 'api.etsy.com',
-      path: '/v3/public/oauth/token',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Content-Length': Buffer.byteLength(body)
-      }
-    }, (res) => {
-      let data = '';
-      res.on('data', c => data += c);
-      res.on('end', () => { try { resolve(JSON.parse(data)); } catch (e) { reject(e); } });
-    });
-    req.on('error', reject);
-    req.write(body);
-    req.end();
-  });
+function etsyRedirectUri() {
+  return process.env.ETSY_REDIRECT_URI || `${process.env.BASE_URL || `http://localhost:${PORT}`}/auth/etsy/callback`;
 }
 
 // Step 1: Redirect user to Etsy authorization page
-app.get('/auth/etsy/start', async (req, res) => {
+app.get('/auth/etsy/start', requireRole('admin'), async (req, res) => {
   if (!process.env.ETSY_API_KEY) {
     return res.status(400).send('<h2>❌ ETSY_API_KEY not set in environment variables.</h2>');
   }
 
-  const codeVerifier = generateCodeVerifier();
-  const codeChallenge = await sha256Base64url(codeVerifier);
-  const state = Math.random().toString(36).substring(2) + Date.now();
-
-  // Store verifier (expires after 10 min)
-  etsyOAuthState.set(state, { codeVerifier, createdAt: Date.now() });
-  // Cleanup old states
-  for (const [k, v] of etsyOAuthState) {
-    if (Date.now() - v.createdAt > 10 * 60 * 1000) etsyOAuthState.delete(k);
-  }
-
-  const baseUrl = process.env.BASE_URL || `http://localhost:${PORT}`;
-  const redirectUri = `${baseUrl}/auth/etsy/callback`;
-
-  const authUrl = new URL('https://www.etsy.com/oauth/connect');
-  authUrl.searchParams.set('response_type', 'code');
-  authUrl.searchParams.set('redirect_uri', redirectUri);
-  authUrl.searchParams.set('scope', 'listings_r listings_w listings_d shops_r');
-  authUrl.searchParams.set('client_id', process.env.ETSY_API_KEY);
-  authUrl.searchParams.set('state', state);
-  authUrl.searchParams.set('code_challenge', codeChallenge);
-  authUrl.searchParams.set('code_challenge_method', 'S256');
-
-  res.redirect(authUrl.toString());
+  const { buildEtsyAuthorizationUrl } = await import('../etsy/etsyOAuth.js');
+  res.redirect(buildEtsyAuthorizationUrl({ redirectUri: etsyRedirectUri() }));
 });
 
 // Step 2: Etsy redirects back here with the auth code
-app.get('/auth/etsy/callback', async (req, res) => {
+app.get('/auth/etsy/callback', requireRole('admin'), async (req, res) => {
   const { code, state, error } = req.query;
 
   if (error) {
-    return res.status(400).send(`<h2>❌ Etsy denied authorization: ${error}</h2>`);
-  }
-
-  const stored = etsyOAuthState.get(state);
-  if (!code || !stored) {
-    return res.status(400).send('<h2>❌ Invalid or expired OAuth state. Please <a href="/auth/etsy/start">try again</a>.</h2>');
+    return res.status(400).send(`<h2>❌ Etsy denied authorization: ${escapeHtml(error)}</h2>`);
   }
 
-  etsyOAuthState.delete(state);
-
   try {
-    const baseUrl = process.env.BASE_URL || `http://localhost:${PORT}`;
-    const redirectUri = `${baseUrl}/auth/etsy/callback`;
-    const tokens = await exchangeEtsyCode(code, stored.codeVerifier, redirectUri);
-
-    if (!tokens.access_token) {
-      throw new Error(`No access_token in response: ${JSON.stringify(tokens)}`);
-    }
-
-    console.log('✅ Etsy OAuth successful! Tokens obtained.');
+    // Tokens go straight into the encrypted token store — never into the page
+    const { completeEtsyAuthorization } = await import('../etsy/etsyOAuth.js');
+    const { shopName } = await completeEtsyAuthorization({ code, state });
+    console.log(`✅ Etsy connected${shopName ? ` as shop ${shopName}` : ''}`);
 
-    // Display tokens on screen — user copies them to deploy-config.json
     res.send(`<!DOCTYPE html>
 <html>
 <head>
   <title>Etsy Connected!</title>
   <style>
-    body { font-family: sans-serif; max-width: 700px; margin: 60px auto; padding: 0 20px; }
+    body { font-family: sans-serif; max-width: 700px; margin: 60px auto; padding: 0 20px; text-align: center; }
     h1 { color: #f1641e; }
-    .token-box { background: #1f2937; color: #86efac; border-radius: 8px; padding: 16px; font-family: monospace; font-size: 13px; word-break: break-all; margin: 12px 0; }
-    .step { background: #f9fafb; border-left: 4px solid #f1641e; padding: 12px 16px; margin: 16px 0; border-radius: 4px; }
-    button { background: #f1641e; color: white; border: none; padding: 8px 16px; border-radius: 6px; cursor: pointer; font-size: 14px; margin-top: 6px; }
+    a { color: #f1641e; }
   </style>
 </head>
 <body>
   <h1>✅ Etsy Connected!</h1>
-  <p>Copy these values into your <strong>deploy-config.json</strong> → <code>env_vars</code>, then redeploy.</p>
-
-  <div class="step">
-    <strong>ETSY_ACCESS_TOKEN</strong>
-    <div class="token-box" id="at">${tokens.access_token}</div>
-    <button onclick="navigator.clipboard.writeText('${tokens.access_token}')">Copy</button>
-  </div>
-
-  ${tokens.refresh_token ? `
-  <div class="step">
-    <strong>ETSY_REFRESH_TOKEN</strong>
-    <div class="token-box" id="rt">${tokens.refresh_token}</div>
-    <button onclick="navigator.clipboard.writeText('${tokens.refresh_token}')">Copy</button>
-  </div>` : ''}
-
-  <div class="step">
-    <strong>Next steps:</strong>
-    <ol>
-      <li>Add <code>ETSY_ACCESS_TOKEN</code> (and optionally <code>ETSY_REFRESH_TOKEN</code>) to <code>deploy-config.json</code></li>
-      <li>Run <code>python deploy_script.py</code> to redeploy</li>
-      <li>The workflow will now auto-upload designs to your Etsy shop as draft listings</li>
-    </ol>
-  </div>
+  <p>${shopName ? `Connected as shop <strong>${escapeHtml(shopName)}</strong>.` : 'Connected — no shop was found for this Etsy account yet.'}</p>
+  <p>Approved designs will now be uploaded as draft listings. No redeploy needed.</p>
+  <p><a href="/dashboard">Back to the dashboard</a></p>
 </body>
 </html>`);
 
   } catch (err) {
-    console.error('Etsy OAuth callback error:', err);
-    res.status(500).send(`<h2>❌ Token exchange failed</h2><pre>${err.message}</pre><p><a href="/auth/etsy/start">Try again</a></p>`);
+    console.error('Etsy OAuth callback error:', err.message);
+    res.status(400).send(`<h2>❌ Etsy authorization failed</h2><pre>${escapeHtml(err.message)}</pre><p><a href="/auth/etsy/start">Try again</a></p>`);
   }
 });
 
 // --- Etsy API Routes ---
 
+// API: Etsy connection status (no tokens)
+app.get('/api/etsy/connection', requireRole('admin'), (req, res) => {
+  res.json({ success: true, ...describeEtsyConnection() });
+});
+
+// API: Disconnect Etsy (deletes the stored tokens)
+app.delete('/api/etsy/connection', requireRole('admin'), (req, res) => {
+  clearEtsyConnection();
+  console.log('🔌 Etsy disconnected — stored tokens deleted');
+  res.json({ success: true });
+});
+
+// API: Shop analytics — views, favourites and sales of our listings, per design, style and trend
+app.get('/api/etsy/analytics', requireRole('admin'), async (req, res) => {
+  try {
+    const { getShopAnalytics } = await import('../etsy/shopAnalytics.js');
+    res.json({ success: true, ...getShopAnalytics() });
+  } catch (error) {
+    console.error('Error loading shop analytics:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API: Pull the latest stats from Etsy now instead of waiting for the next periodic sync
+app.post('/api/etsy/analytics/refresh', requireRole('admin'), async (req, res) => {
+  try {
+    const { syncShopAnalytics, getShopAnalytics } = await import('../etsy/shopAnalytics.js');
+    const result = await syncShopAnalytics();
+    res.json({ success: true, warnings: result.errors, ...getShopAnalytics() });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
 // API: Get Etsy shop info
-app.get('/api/etsy/shop', async (req, res) => {
+app.get('/api/etsy/shop', requireRole('admin'), async (req, res) => {
   try {
-    const shopId = process.env.ETSY_SHOP_ID;
-    if (!shopId) return res.json({ success: false, error: 'ETSY_SHOP_ID not set in .env' });
+    const shopId = describeEtsyConnection().shopId;
+    if (!shopId) return res.json({ success: false, error: 'Etsy is not connected — authorize at /auth/etsy/start' });
     if (!process.env.ETSY_API_KEY) return res.json({ success: false, error: 'ETSY_API_KEY not set in .env' });
     const { getShopInfo } = await import('../etsy/etsyClient.js');
     const shop = await getShopInfo(shopId);
@@ -457,10 +555,10 @@ app.get('/api/etsy/shop', async (req, res) => {
 });
 
 // API: Get active Etsy listings
-app.get('/api/etsy/listings', async (req, res) => {
+app.get('/api/etsy/listings', requireRole('admin'), async (req, res) => {
   try {
-    const shopId = process.env.ETSY_SHOP_ID;
-    if (!shopId) return res.json({ success: false, error: 'ETSY_SHOP_ID not set in .env' });
+    const shopId = describeEtsyConnection().shopId;
+    if (!shopId) return res.json({ success: false, error: 'Etsy is not connected — authorize at /auth/etsy/start' });
     if (!process.env.ETSY_API_KEY) return res.json({ success: false, error: 'ETSY_API_KEY not set in .env' });
     const limit = parseInt(req.query.limit) || 10;
     const { getActiveListings } = await import('../etsy/etsyClient.js');
@@ -471,186 +569,429 @@ app.get('/api/etsy/listings', async (req, res) => {
   }
 });
 
+// API: Listing templates, resolved for the connected shop and checked (see listing-templates.json)
+app.get('/api/etsy/templates', requireRole('admin'), async (req, res) => {
+  try {
+    const { loadListingTemplates, resolveListingTemplate } = await import('../etsy/listingTemplates.js');
+    const config = loadListingTemplates();
+    const shopId = describeEtsyConnection().shopId || null;
+    const templates = Object.keys(config.productTypes || {}).map(productType => {
+      try {
+        return { productType, valid: true, template: resolveListingTemplate({ shopId, productType }) };
+      } catch (e) {
+        return { productType, valid: false, error: e.message };
+      }
+    });
+    res.json({ success: true, shopId, defaultProductType: config.defaultProductType || null, templates });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
 // API: Upload a generated image as a draft Etsy listing
-app.post('/api/etsy/upload', async (req, res) => {
+app.post('/api/etsy/upload', requireRole('admin'), async (req, res) => {
   try {
-    const { imageId, imagePath: relPath, title, theme, style, colorScheme, designElements, mood } = req.body;
-    if (!process.env.ETSY_ACCESS_TOKEN) {
-      return res.json({ success: false, error: 'Etsy not authorized. Add ETSY_ACCESS_TOKEN to .env first.' });
+    const { imageId, runId, title, theme, style, colorScheme, designElements, mood, productType } = req.body;
+    if (imageId === undefined || imageId === null || imageId === '') {
+      return res.status(400).json({ success: false, error: 'imageId is required' });
+    }
+    if (runId && !/^[A-Za-z0-9_-]+$/.test(runId)) {
+      return res.status(400).json({ success: false, error: 'Invalid run ID' });
     }
-    if (!process.env.ETSY_SHOP_ID) {
-      return res.json({ success: false, error: 'ETSY_SHOP_ID not set in .env' });
+    if (!isEtsyConnected()) {
+      return res.json({ success: false, error: 'Etsy is not connected — authorize at /auth/etsy/start first.' });
     }
 
-    // Resolve absolute path from relative `/generated_images/...`
-    const absoluteImagePath = relPath
-      ? path.join(rootDir, relPath.replace(/^\//, ''))
-      : null;
+    // Designs outside the catalog (manifest fallback) are still tracked in the ledger by their ID.
+    // The image always comes from the catalog or the run's manifest, never from the request.
+    const manifestImage = (readRunJson(runId || latestRunWith('manifest.json'), 'manifest.json')?.images || [])
+      .find(img => String(img.id) === String(imageId));
+    const design = getDesign(imageId)
+      || (manifestImage && { id: String(imageId), imagePath: manifestImage.imagePath, title: title || manifestImage.title });
+    if (!design) return res.status(404).json({ success: false, error: 'Design not found' });
+    const idea = title
+      ? { title, theme, style, colorScheme, designElements, mood, productType, ...(design.listingCopy ? { listingCopy: design.listingCopy } : {}) }
+      : undefined;
+
+    const { uploadDesign } = await import('../etsy/listingSync.js');
+    const { queued, upload, entry } = await uploadDesign(design, idea);
+    if (!queued) {
+      return res.status(409).json({
+        success: false,
+        error: upload ? `This design is already in the upload outbox (${upload.status})` : `Already on Etsy as listing ${entry.listingId} (${entry.state})`,
+        listing: entry,
+        upload
+      });
+    }
+    if (upload.status !== 'done') {
+      const next = upload.status === 'failed' ? 'retry or abandon it at /uploads' : `retrying at ${upload.nextAttemptAt}`;
+      return res.json({ success: false, error: `Upload failed at the ${upload.lastError} — ${next}`, listing: entry, upload });
+    }
+    res.json({ success: true, listingId: entry.listingId, listingUrl: entry.listingUrl, title: entry.title, listing: entry, upload });
+  } catch (error) {
+    console.error('Etsy upload error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
 
-    const idea = { title, theme, style, colorScheme, designElements, mood };
+// API: Listing ledger — which design became which Etsy listing, and its state
+app.get('/api/etsy/ledger', requireRole('admin'), async (req, res) => {
+  try {
+    const { listListingEntries, LISTING_STATES } = await import('../etsy/listingLedger.js');
+    const states = req.query.state ? String(req.query.state).split(',') : undefined;
+    if (states && !states.every(state => LISTING_STATES.includes(state))) {
+      return res.status(400).json({ success: false, error: `state must be one or more of: ${LISTING_STATES.join(', ')}` });
+    }
+    res.json({ success: true, listings: listListingEntries({ states }) });
+  } catch (error) {
+    console.error('Error loading the listing ledger:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    const { createDraftListing } = await import('../etsy/etsyUploader.js');
-    const result = await createDraftListing(idea, absoluteImagePath);
+// API: Actions on a design's Etsy listing
+const LISTING_ACTIONS = {
+  publish: 'publishDesignListing',
+  deactivate: 'deactivateDesignListing',
+  images: 'replaceDesignListingImage',
+  sync: 'syncDesignListing'
+};
 
-    res.json(result);
+async function runListingAction(res, designId, action, ...args) {
+  try {
+    const { getListingEntry } = await import('../etsy/listingLedger.js');
+    if (!getDesign(designId) && !getListingEntry(designId)) {
+      return res.status(404).json({ success: false, error: 'Design not found' });
+    }
+    if (!isEtsyConnected()) {
+      return res.json({ success: false, error: 'Etsy is not connected — authorize at /auth/etsy/start first.' });
+    }
+    const sync = await import('../etsy/listingSync.js');
+    const listing = await sync[action](designId, ...args);
+    res.json({ success: true, listing });
   } catch (error) {
-    console.error('Etsy upload error:', error);
+    console.error(`Etsy ${action} failed for design ${designId}:`, error.message);
     res.json({ success: false, error: error.message });
   }
+}
+
+app.post('/api/etsy/listings/:designId/:action', requireRole('admin'), (req, res) => {
+  const action = LISTING_ACTIONS[req.params.action];
+  if (!action) return res.status(404).json({ success: false, error: 'Unknown listing action' });
+  return runListingAction(res, req.params.designId, action);
+});
+
+app.patch('/api/etsy/listings/:designId', requireRole('admin'), async (req, res) => {
+  const { title, description, tags, price } = req.body || {};
+  const edits = { title, description, tags, price };
+  if (Object.values(edits).every(value => value === undefined)) {
+    return res.status(400).json({ success: false, error: 'Provide title, description, tags and/or price' });
+  }
+  try {
+    const { validateListingEdits } = await import('../etsy/listingSync.js');
+    const problem = validateListingEdits(edits);
+    if (problem) return res.status(400).json({ success: false, error: problem });
+  } catch (error) {
+    console.error(`Checking listing edits for design ${req.params.designId} failed:`, error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+  return runListingAction(res, req.params.designId, 'updateDesignListing', edits);
+});
+
+app.delete('/api/etsy/listings/:designId', requireRole('admin'), (req, res) => {
+  return runListingAction(res, req.params.designId, 'deleteDesignListing');
+});
+
+// API: Upload outbox — uploads waiting for a retry, failed or finished (?status=failed,pending)
+app.get('/api/etsy/uploads', requireRole('admin'), async (req, res) => {
+  try {
+    const { listUploads, UPLOAD_STATUSES } = await import('../etsy/uploadOutbox.js');
+    const statuses = req.query.status ? String(req.query.status).split(',') : undefined;
+    if (statuses && !statuses.every(status => UPLOAD_STATUSES.includes(status))) {
+      return res.status(400).json({ success: false, error: `status must be one or more of: ${UPLOAD_STATUSES.join(', ')}` });
+    }
+    res.json({ success: true, uploads: listUploads({ statuses }) });
+  } catch (error) {
+    console.error('Error loading the upload outbox:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API: Retry a failed upload now
+app.post('/api/etsy/uploads/:designId/retry', requireRole('admin'), async (req, res) => {
+  try {
+    const { getUpload, retryUpload } = await import('../etsy/uploadOutbox.js');
+    const upload = getUpload(req.params.designId);
+    if (!upload) return res.status(404).json({ success: false, error: 'Upload not found' });
+    if (!['pending', 'failed'].includes(upload.status)) {
+      return res.status(409).json({ success: false, error: `Upload is ${upload.status}` });
+    }
+    if (!isEtsyConnected()) {
+      return res.json({ success: false, error: 'Etsy is not connected — authorize at /auth/etsy/start first.' });
+    }
+    const retried = await retryUpload(req.params.designId);
+    res.json({ success: retried.status === 'done', ...(retried.status === 'done' ? {} : { error: retried.lastError }), upload: retried });
+  } catch (error) {
+    console.error(`Retrying upload ${req.params.designId} failed:`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API: Abandon an upload (a draft it already created stays on Etsy)
+app.post('/api/etsy/uploads/:designId/abandon', requireRole('admin'), async (req, res) => {
+  try {
+    const { getUpload, abandonUpload } = await import('../etsy/uploadOutbox.js');
+    if (!getUpload(req.params.designId)) return res.status(404).json({ success: false, error: 'Upload not found' });
+    try {
+      res.json({ success: true, upload: abandonUpload(req.params.designId) });
+    } catch (error) {
+      res.status(409).json({ success: false, error: error.message }); // Finished or running meanwhile
+    }
+  } catch (error) {
+    console.error(`Abandoning upload ${req.params.designId} failed:`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
 // --- Async Job Queue System ---
-const jobs = new Map();
+// Jobs are persisted under data/jobs/ so they survive restarts (see jobStore.js).
+// Each job is also a checkpointed run (runId = jobId) so it can be resumed (see runCheckpoints.js).
+// Only one workflow runs at a time (see workflowLock.js); the caller must hold the lock for jobId.
 
-function generateJobId() {
-  return 'job_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-}
+// Abort controllers of jobs running in this process, used by POST /api/jobs/:id/cancel
+const jobControllers = new Map();
 
 // Background Worker Function
-async function runBackgroundWorkflow(jobId) {
-  const job = jobs.get(jobId);
-  if (!job) return;
+async function runBackgroundWorkflow(jobId, { resume = false } = {}) {
+  const job = getJob(jobId);
+  if (!job) {
+    releaseWorkflowLock(jobId);
+    return;
+  }
+
+  const controller = new AbortController();
+  const { signal } = controller;
+  jobControllers.set(jobId, controller);
+
+  let currentStage = null;
 
   try {
     // Helper to update job status
     const updateJob = (step, msg, type = 'info') => {
-      job.currentStep = step;
-      job.logs.push({
-        timestamp: new Date().toISOString(),
-        message: msg,
-        type: type,
-        step: step
-      });
-      job.updatedAt = Date.now();
+      addJobLog(job, step, msg, type);
+    };
+
+    // Work out where to start: from scratch, or from the first incomplete stage of this run
+    let fromStage = STAGES[0];
+    if (resume && loadRun(jobId)) {
+      fromStage = getResumeStage(jobId) || STAGES[STAGES.length - 1];
+      const reused = verifyRunOutputs(jobId, fromStage);
+      updateJob(stageStep(fromStage), `♻️ Resuming from stage "${fromStage}" (re-using ${reused.join(', ') || 'nothing'})`);
+    } else {
+      createRun(jobId, job.settings || {});
+    }
+    const shouldRun = (stage) => STAGES.indexOf(stage) >= STAGES.indexOf(fromStage);
+    const beginStage = (stage) => {
+      signal.throwIfAborted();
+      currentStage = stage;
+      markStageStarted(jobId, stage);
     };
+    const endStage = (stage) => { markStageCompleted(jobId, stage); currentStage = null; };
 
     // Step 1: Trend Search
-    updateJob(1, '🔍 Searching for latest Design Trends...');
+    if (shouldRun('scrape')) {
+      beginStage('scrape');
+      updateJob(1, '🔍 Searching for latest Design Trends...');
 
-    try {
-      const { scrapeDesignTrends } = await import('../scraper/googleScraper.js');
-      await scrapeDesignTrends();
-      updateJob(1, '✅ Trend Search completed', 'success');
-    } catch (e) {
-      console.log(`Scraper module error: ${e.message}`);
-      updateJob(1, '⚠️ Trend API issue - Using fallback trends', 'warning');
-      updateJob(1, '✅ Trend Search completed (Fallback)', 'success');
+      try {
+        const { scrapeDesignTrends } = await import('../scraper/googleScraper.js');
+        await scrapeDesignTrends({ signal, runId: jobId });
+        updateJob(1, '✅ Trend Search completed', 'success');
+      } catch (e) {
+        if (signal.aborted) throw e;
+        console.log(`Scraper module error: ${e.message}`);
+        updateJob(1, '⚠️ Trend API issue - Using fallback trends', 'warning');
+        updateJob(1, '✅ Trend Search completed (Fallback)', 'success');
+      }
+      endStage('scrape');
+    } else {
+      updateJob(1, '⏭️ Trend Search already completed in this run — skipped');
     }
 
     // Step 2: Analyzer
-    updateJob(2, '🧠 Analyzing trends to generate ideas...');
+    if (shouldRun('analyze')) {
+      beginStage('analyze');
+      updateJob(2, '🧠 Analyzing trends to generate ideas...');
 
-    try {
-      const { analyzeAndGenerateIdeas } = await import('../analyzer/imageAnalyzer.js');
-      await analyzeAndGenerateIdeas();
-      updateJob(2, '✅ Ideas generated', 'success');
-    } catch (e) {
-      throw new Error(`Analysis failed: ${e.message}`);
+      try {
+        const { analyzeAndGenerateIdeas } = await import('../analyzer/imageAnalyzer.js');
+        await analyzeAndGenerateIdeas({ signal, runId: jobId });
+        updateJob(2, '✅ Ideas generated', 'success');
+      } catch (e) {
+        if (signal.aborted) throw e;
+        throw new Error(`Analysis failed: ${e.message}`);
+      }
+      endStage('analyze');
+    } else {
+      updateJob(2, '⏭️ Ideas already generated in this run — skipped');
     }
 
     // Step 3: Generator
-    updateJob(3, '🎨 Generating AI Images...');
+    if (shouldRun('generate')) {
+      beginStage('generate');
+      updateJob(3, '🎨 Generating AI Images...');
 
-    try {
-      const { generateImages } = await import('../generator/imageGenerator.js');
-      await generateImages();
-      updateJob(3, '✅ Image generation completed', 'success');
-    } catch (e) {
-      throw new Error(`Generation failed: ${e.message}`);
+      try {
+        const { generateImages } = await import('../generator/imageGenerator.js');
+        const generated = await generateImages({
+          signal,
+          runId: jobId,
+          provider: loadRun(jobId)?.settings?.imageProvider,
+          onImageGenerated: (image, { index, total }) => {
+            recordJobEvent(job, 'image', {
+              id: image.id,
+              title: image.title,
+              imagePath: image.imagePath,
+              failed: image.description === 'Generation Failed',
+              index,
+              total
+            });
+          }
+        });
+        if (!generated || generated.length === 0) {
+          throw new Error('No images were produced (timed out or API unavailable)');
+        }
+        job.imageIds = generated.map(img => img.id);
+        updateJob(3, '✅ Image generation completed', 'success');
+      } catch (e) {
+        if (signal.aborted) throw e;
+        throw new Error(`Generation failed: ${e.message}`);
+      }
+      endStage('generate');
+    } else {
+      updateJob(3, '⏭️ Images already generated in this run — skipped');
+    }
+
+    // Step 4a: SEO listing copy for the run's designs (editable in the gallery before upload)
+    if (shouldRun('copy')) {
+      beginStage('copy');
+      updateJob(4, '✍️ Writing Etsy listing copy...');
+      try {
+        const { generateListingCopy } = await import('../etsy/listingCopy.js');
+        const copy = await generateListingCopy({ signal, runId: jobId });
+        updateJob(4, `✅ Listing copy written for ${copy.written} design(s)${copy.failed ? ` (${copy.failed} failed — template text used)` : ''}`, 'success');
+      } catch (e) {
+        if (signal.aborted) throw e;
+        updateJob(4, `⚠️ Listing copy skipped: ${e.message}`, 'warning');
+      }
+      endStage('copy');
     }
 
-    // Step 4: Auto-upload to Etsy (if configured)
-    if (process.env.ETSY_ACCESS_TOKEN && process.env.ETSY_SHOP_ID) {
+    // Step 4b: Auto-upload to Etsy (if configured)
+    beginStage('etsy');
+    if (isEtsyConnected()) {
       updateJob(4, '🛍️ Uploading designs to Etsy as draft listings...');
       try {
-        const ideasPath = path.join(rootDir, 'data', 'ideas.json');
-        const historyPath = path.join(rootDir, 'data', 'history.json');
-        const { createDraftListing } = await import('../etsy/etsyUploader.js');
+        const { uploadDesigns } = await import('../etsy/listingSync.js');
 
-        let ideas = [];
-        if (fs.existsSync(ideasPath)) {
-          ideas = JSON.parse(fs.readFileSync(ideasPath, 'utf-8'));
+        // Only upload approved designs from this run that aren't on Etsy yet
+        if (process.env.AUTO_APPROVE_DESIGNS === 'true') {
+          const approved = reviewDesigns(findDesignIds({ runId: jobId, status: 'generated', review: ['pending'] }), 'approved');
+          if (approved.length > 0) updateJob(4, `✅ Auto-approved ${approved.length} design(s) (AUTO_APPROVE_DESIGNS)`);
         }
-        let images = [];
-        if (fs.existsSync(historyPath)) {
-          const history = JSON.parse(fs.readFileSync(historyPath, 'utf-8'));
-          // Only upload images from this run (marked as new via manifest)
-          const manifestPath = path.join(rootDir, 'data', 'manifest.json');
-          let newIds = new Set();
-          if (fs.existsSync(manifestPath)) {
-            const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
-            (manifest.images || []).forEach(img => newIds.add(img.id));
-          }
-          images = history.filter(img => newIds.size === 0 || newIds.has(img.id));
+        const { items: images } = queryDesigns({
+          runId: jobId, review: PUBLISHABLE_REVIEW_STATUSES, uploaded: false, limit: Infinity
+        });
+        const awaitingReview = findDesignIds({ runId: jobId, review: ['pending'] }).length;
+        if (awaitingReview > 0) {
+          updateJob(4, `📝 ${awaitingReview} design(s) awaiting review — approve them at /review, then publish from the gallery`);
         }
 
-        let uploaded = 0;
-        // ✅ Parallel upload using Promise.allSettled for speed
-        const uploadTasks = images.map(async (img, i) => {
-          const idea = ideas[i] || { title: img.title || `Design ${i + 1}` };
-          const absoluteImagePath = path.join(rootDir, img.imagePath ? img.imagePath.replace(/^\//, '').split('?')[0] : `generated_images/design_${String(i + 1).padStart(2, '0')}.png`);
-          await createDraftListing(idea, absoluteImagePath);
-        });
-        const results = await Promise.allSettled(uploadTasks);
-        uploaded = results.filter(r => r.status === 'fulfilled').length;
-        const failed = results.filter(r => r.status === 'rejected');
-        failed.forEach((r, i) => console.error(`Etsy upload failed for image ${i + 1}: ${r.reason?.message}`));
-        updateJob(4, `✅ Uploaded ${uploaded} draft listing(s) to Etsy`, 'success');
+        // One at a time through the upload outbox; failed steps are retried in the background
+        const counts = await uploadDesigns(images, { signal });
+        signal.throwIfAborted();
+        updateJob(4, `✅ Uploaded ${counts.done} approved draft listing(s) to Etsy`, 'success');
+        if (counts.retrying + counts.failed > 0) {
+          updateJob(4, `⚠️ ${counts.retrying} upload(s) will be retried, ${counts.failed} failed — see /uploads`, 'warning');
+        }
       } catch (e) {
+        if (signal.aborted) throw e;
         updateJob(4, `⚠️ Etsy upload skipped: ${e.message}`, 'warning');
       }
     } else {
-      updateJob(4, '⏭️ Etsy upload skipped (ETSY_ACCESS_TOKEN not set)', 'info');
+      updateJob(4, '⏭️ Etsy upload skipped (Etsy not connected)', 'info');
     }
 
+    endStage('etsy');
+
     // Complete
-    job.status = 'completed';
-    job.progress = 100;
     updateJob(4, '🎉 Workflow Completed!', 'success');
+    finishJob(job, 'completed');
 
   } catch (error) {
-    job.status = 'failed';
-    job.error = error.message;
-    job.logs.push({
-      timestamp: new Date().toISOString(),
-      message: `❌ Error: ${error.message}`,
-      type: 'error'
-    });
+    if (signal.aborted) {
+      if (currentStage) markStageFailed(jobId, currentStage, 'Cancelled');
+      addJobLog(job, job.currentStep, '🛑 Job cancelled', 'warning');
+      finishJob(job, 'cancelled', 'Cancelled by user');
+    } else {
+      if (currentStage) markStageFailed(jobId, currentStage, error.message);
+      addJobLog(job, job.currentStep, `❌ Error: ${error.message}`, 'error');
+      finishJob(job, 'failed', error.message);
+    }
+  } finally {
+    jobControllers.delete(jobId);
+    releaseWorkflowLock(jobId);
   }
 }
 
-// API: Start Job
-app.post('/api/jobs/start', (req, res) => {
+// Create a job and run the workflow in the background; `trigger` records who started it and
+// `settings` (e.g. { imageProvider }) are stored with the run.
+// Returns null (and creates nothing) when another workflow already holds the lock.
+function startWorkflowJob(trigger, settings = {}) {
   const jobId = generateJobId();
+  if (!acquireWorkflowLock(jobId)) return null;
 
-  // Initialize Job
-  jobs.set(jobId, {
-    id: jobId,
-    status: 'running',
-    createdAt: Date.now(),
-    updatedAt: Date.now(),
-    currentStep: 0,
-    progress: 0,
-    logs: [],
-    error: null
-  });
+  // Initialize Job (persisted immediately)
+  createJob({ id: jobId, trigger, settings });
 
   // Start processing in background (FIRE AND FORGET)
   runBackgroundWorkflow(jobId);
+  return jobId;
+}
+
+function workflowBusyResponse(res) {
+  const lock = getWorkflowLock();
+  return res.status(409).json({
+    success: false,
+    error: 'A workflow is already running',
+    runningJobId: lock?.owner || null
+  });
+}
 
-  // Cleanup: keep only the 20 most recent jobs to avoid memory leak
-  if (jobs.size > 20) {
-    const oldestKey = jobs.keys().next().value;
-    jobs.delete(oldestKey);
+// API: Start Job
+// Body (optional): { imageProvider } — one of /api/image-providers, default IMAGE_PROVIDER
+app.post('/api/jobs/start', requireRole('editor'), (req, res) => {
+  const { imageProvider } = req.body || {};
+  if (imageProvider && !IMAGE_PROVIDERS[imageProvider]) {
+    return res.status(400).json({
+      success: false,
+      error: `imageProvider must be one of: ${Object.keys(IMAGE_PROVIDERS).join(', ')}`
+    });
   }
 
+  const jobId = startWorkflowJob('manual', imageProvider ? { imageProvider } : {});
+  if (!jobId) return workflowBusyResponse(res);
   res.json({ success: true, jobId, message: 'Workflow started in background' });
 });
 
+// API: Image providers a run can use (and whether their settings are present)
+app.get('/api/image-providers', (req, res) => {
+  res.json({ success: true, providers: listImageProviders() });
+});
+
 // API: Get Job Status
 app.get('/api/jobs/:id', (req, res) => {
-  const jobId = req.params.id;
-  const job = jobs.get(jobId);
+  const job = getJob(req.params.id);
 
   if (!job) {
     return res.status(404).json({ success: false, error: 'Job not found' });
@@ -659,8 +1000,172 @@ app.get('/api/jobs/:id', (req, res) => {
   res.json({ success: true, job });
 });
 
+// API: Live job progress as Server-Sent Events.
+// Replays every event after Last-Event-ID (header, or ?lastEventId=) then streams new ones;
+// the stream ends once the job reaches a terminal status.
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx / Render)
+  });
+  res.flushHeaders();
+
+  const isTerminal = (status) => status !== 'running';
+  let closed = false;
+
+  const send = (evt) => {
+    if (closed) return;
+    res.write(`id: ${evt.id}\nevent: ${evt.event}\ndata: ${JSON.stringify(evt.data)}\n\n`);
+    if (evt.event === 'status' && isTerminal(evt.data.status)) close();
+  };
+
+  const onEvent = (eventJobId, evt) => {
+    if (eventJobId === job.id) send(evt);
+  };
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    jobEvents.off('event', onEvent);
+    res.end();
+  }
+
+  req.on('close', close);
+
+  // Subscribe before replaying so nothing emitted in between is lost (both are synchronous)
+  jobEvents.on('event', onEvent);
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+  (job.events || []).filter(evt => evt.id > lastEventId).forEach(send);
+
+  // Nothing left to stream for a job that already finished
+  if (isTerminal(job.status)) close();
+});
+
+// API: Resume a failed/interrupted job from its first incomplete stage
+app.post('/api/jobs/:id/resume', requireRole('editor'), (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  if (job.status === 'running') {
+    return res.status(409).json({ success: false, error: 'Job is still running' });
+  }
+  if (!loadRun(job.id)) {
+    return res.status(409).json({ success: false, error: 'No checkpoint recorded for this job' });
+  }
+
+  const fromStage = getResumeStage(job.id);
+  if (!fromStage) {
+    return res.status(409).json({ success: false, error: 'All stages already completed' });
+  }
+  if (!acquireWorkflowLock(job.id)) return workflowBusyResponse(res);
+
+  reopenJob(job);
+
+  runBackgroundWorkflow(job.id, { resume: true });
+
+  res.json({ success: true, jobId: job.id, fromStage, message: `Resuming from stage "${fromStage}"` });
+});
+
+// API: Cancel a running job; in-flight search/chat/image requests are aborted
+app.post('/api/jobs/:id/cancel', requireRole('editor'), (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  const controller = jobControllers.get(job.id);
+  if (job.status !== 'running' || !controller) {
+    return res.status(409).json({ success: false, error: `Job is not running (status: ${job.status})` });
+  }
+
+  if (!controller.signal.aborted) {
+    addJobLog(job, job.currentStep, '🛑 Cancellation requested — stopping...', 'warning');
+    controller.abort();
+  }
+
+  res.json({ success: true, jobId: job.id, message: 'Cancellation requested' });
+});
+
+// --- Runs API ---
+
+// API: List workflow runs (status per stage, artifact counts), newest first
+app.get('/api/runs', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    res.json({ success: true, runs: listRuns(limit) });
+  } catch (error) {
+    res.json({ success: false, runs: [], error: error.message });
+  }
+});
+
+// API: One run with its trends, ideas and manifest
+app.get('/api/runs/:id', (req, res) => {
+  const run = getRunDetails(req.params.id);
+
+  if (!run) {
+    return res.status(404).json({ success: false, error: 'Run not found' });
+  }
+
+  res.json({ success: true, run });
+});
+
+// --- Scheduler API ---
+
+// API: Get the workflow schedule (cron, time zone, next run, missed runs)
+app.get('/api/schedule', (req, res) => {
+  try {
+    res.json({ success: true, schedule: getSchedule() });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// API: Change the workflow schedule
+app.put('/api/schedule', requireRole('editor'), (req, res) => {
+  try {
+    const { enabled, cron, timezone } = req.body || {};
+    const schedule = updateSchedule({ enabled, cron, timezone });
+    res.json({ success: true, schedule });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
 // Start server
 export function startServer() {
+  // Validates HTTPS_CA_BUNDLE and refuses HTTPS_INSECURE_SKIP_VERIFY in production before anything runs
+  getTlsOptions();
+  // Refuses AUTH_DISABLED in production and creates the first admin from ADMIN_USERNAME / ADMIN_PASSWORD
+  assertAuthConfig();
+
+  // Jobs still 'running' on disk belong to a previous process that died mid-run
+  recoverInterruptedJobs();
+
+  startScheduler({
+    onTrigger: () => startWorkflowJob('schedule'),
+    getRunningJobId: () => getWorkflowLock()?.owner || null
+  });
+
+  // Retries Etsy uploads whose listing/image step failed (see uploadOutbox.js)
+  startUploadOutbox();
+  // Pulls listing views, favourites and sales every ETSY_ANALYTICS_INTERVAL_HOURS (see shopAnalytics.js)
+  startShopAnalytics();
+
   return new Promise((resolve) => {
     const server = app.listen(PORT, '0.0.0.0', () => {
       console.log(`\n🚀 Server running at http://localhost:${PORT}`);
@@ -1,6 +1,8 @@
 // Native fetch is available in Node 18+
 
 const BASE_URL = 'http://localhost:3000';
+// API token for an editor account (`npm run users -- token <username> <name>`)
+const AUTH_HEADERS = process.env.API_TOKEN ? { 'Authorization': `Bearer ${process.env.API_TOKEN}` } : {};
 
 async function testAsyncWorkflow() {
     console.log('🚀 Testing Async Background Job Workflow...');
@@ -10,7 +12,7 @@ async function testAsyncWorkflow() {
         console.log('1. Starting Job...');
         const startRes = await fetch(`${BASE_URL}/api/jobs/start`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' }
+            headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS }
         });
 
         if (!startRes.ok) throw new Error(`Start failed: ${startRes.status}`);
@@ -23,7 +25,7 @@ async function testAsyncWorkflow() {
 
         let status = 'running';
         while (status === 'running') {
-            const jobRes = await fetch(`${BASE_URL}/api/jobs/${jobId}`);
+            const jobRes = await fetch(`${BASE_URL}/api/jobs/${jobId}`, { headers: AUTH_HEADERS });
             const jobData = await jobRes.json();
 
             if (!jobData.success) throw new Error('Failed to get job info');
@@ -19,8 +19,7 @@ async function callImageApi(prompt) {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${API_TOKEN}`,
                 'Content-Length': data.length
-            },
-            rejectUnauthorized: false
+            }
         };
 
         console.log(`Sending request for prompt: "${prompt}"...`);